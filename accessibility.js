@@ -0,0 +1,158 @@
+// Phase Shift 2025 - Practicing with eyes closed or without the screen
+//
+// Haptic cues for each phase, keyboard shortcuts, live-region announcements
+// for screen readers, and focus trapping for the app's dialogs. Vibration
+// encodes the nostril as the number of pulses (left one, right two, both
+// three) and the action as their length (long in, short out); a hold is one
+// steady buzz.
+
+const VIBRATION_PULSE_MS = { in: 250, out: 80 };
+const VIBRATION_PULSE_COUNT = { left: 1, right: 2, both: 3 };
+const VIBRATION_GAP_MS = 150;
+const HOLD_VIBRATION = [600];
+const SESSION_END_VIBRATION = [400, 200, 400, 200, 400];
+
+function getPhaseVibration(breath) {
+    if (breath.action === 'hold') return HOLD_VIBRATION;
+
+    const pulse = VIBRATION_PULSE_MS[breath.action];
+    const count = VIBRATION_PULSE_COUNT[breath.nostril] || 1;
+    const pattern = [];
+    for (let i = 0; i < count; i++) {
+        if (i > 0) pattern.push(VIBRATION_GAP_MS);
+        pattern.push(pulse);
+    }
+    return pattern;
+}
+
+function canVibrate() {
+    return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+}
+
+// `key` is KeyboardEvent.key, lower-cased
+const KEYBOARD_SHORTCUTS = [
+    { key: ' ', label: 'Space', command: 'toggle', description: 'Start, pause or resume' },
+    { key: 's', label: 'S', command: 'stop', description: 'Stop the session' },
+    { key: 'o', label: 'O', command: 'settings', description: 'Open settings' },
+    { key: 'h', label: 'H', command: 'history', description: 'Open history' },
+    { key: 'i', label: 'I', command: 'status', description: 'Read out the current phase and time' }
+];
+
+// The command for a keydown, or null when it belongs to a form field, a
+// button (Space already presses it) or a browser shortcut
+function getShortcutCommand(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) return null;
+    const target = event.target;
+    const tag = target && target.tagName ? target.tagName.toLowerCase() : '';
+    if (['input', 'select', 'textarea'].includes(tag) || (target && target.isContentEditable)) return null;
+
+    const key = event.key.toLowerCase();
+    if (key === ' ' && ['button', 'a', 'summary'].includes(tag)) return null;
+    const shortcut = KEYBOARD_SHORTCUTS.find(entry => entry.key === key);
+    return shortcut ? shortcut.command : null;
+}
+
+// Writes messages to a polite and an assertive live region. Clearing first
+// makes screen readers repeat a message identical to the previous one.
+class LiveAnnouncer {
+    constructor(politeRegion, assertiveRegion) {
+        this.regions = { polite: politeRegion, assertive: assertiveRegion };
+        this.timers = {};
+    }
+
+    announce(message, { assertive = false } = {}) {
+        const priority = assertive ? 'assertive' : 'polite';
+        const region = this.regions[priority];
+        clearTimeout(this.timers[priority]);
+        region.textContent = '';
+        this.timers[priority] = setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    // Writes a visible message into `element` and announces it. Messages shown
+    // this way sit in elements without a live role, so each is read once, here.
+    show(element, message, options = {}) {
+        element.textContent = message;
+        element.classList.remove('hidden');
+        this.announce(message, options);
+    }
+}
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled])', 'select:not([disabled])',
+    'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Keeps Tab and Shift+Tab inside a dialog while it is open, and puts focus
+// back where it was when it closes. `onEscape` is called for the Escape key.
+class FocusTrap {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onEscape = options.onEscape || null;
+        this.returnFocus = null;
+        this.active = false;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    getFocusable() {
+        return [...this.container.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(element => !element.closest('.hidden, [hidden]'));
+    }
+
+    activate() {
+        if (this.active) return;
+        this.active = true;
+        this.returnFocus = document.activeElement;
+        this.container.addEventListener('keydown', this.handleKeyDown);
+        const [first] = this.getFocusable();
+        (first || this.container).focus();
+    }
+
+    deactivate() {
+        if (!this.active) return;
+        this.active = false;
+        this.container.removeEventListener('keydown', this.handleKeyDown);
+        if (this.returnFocus && this.returnFocus.isConnected && typeof this.returnFocus.focus === 'function') {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Escape' && this.onEscape) {
+            event.preventDefault();
+            this.onEscape();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+
+        const focusable = this.getFocusable();
+        if (focusable.length === 0) {
+            event.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || !this.container.contains(document.activeElement))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getPhaseVibration,
+        getShortcutCommand,
+        canVibrate,
+        LiveAnnouncer,
+        FocusTrap,
+        KEYBOARD_SHORTCUTS,
+        HOLD_VIBRATION,
+        SESSION_END_VIBRATION
+    };
+}
@@ -0,0 +1,381 @@
+// Phase Shift 2025 - <ai-breathing-session> custom element
+//
+// An embeddable breathing guide: a BreathingSession with its own shadow DOM,
+// so a host page can place it anywhere without the app's markup. Attributes:
+//   pattern           a BREATHING_PATTERNS id (default nadi_shodhana)
+//   breath-duration   base breath length in seconds (default 4)
+//   session-duration  session length in seconds (default 300)
+//   language          guide language, a LANGUAGES id from i18n.js (default en)
+//   audio             play a short tone at each phase
+//   voice             speak each phase's instruction
+//   camera            score posture from the camera with the pose model,
+//                     loaded from model-path (default vendor/mediapipe/pose/)
+//   controls          show Start, Pause and Stop buttons
+// start(), pause(), resume() and stop() drive the session from script. Every
+// BreathingSession event (see breathing-session.js) is re-dispatched from the
+// element as a bubbling, composed CustomEvent with the same detail. Load
+// i18n.js, breathing-patterns.js, session-clock.js, feedback-policy.js,
+// voice-guide.js, pose-estimation.js and breathing-session.js first.
+
+const AI_BREATHING_TONES = { in: 440, out: 330, hold: 392 }; // Hz, the same cues as the app
+
+const AI_BREATHING_STYLE = `
+:host {
+  display: block;
+  font-family: inherit;
+  color: inherit;
+  --ai-breathing-accent: #21808d;
+  --ai-breathing-blocked: #c0152f;
+  --ai-breathing-hold: #a84b2f;
+}
+.guide { text-align: center; padding: 16px; }
+.circle {
+  width: 120px;
+  height: 120px;
+  margin: 24px auto;
+  border: 3px solid var(--ai-breathing-accent);
+  border-radius: 50%;
+  transition: transform 0.8s ease-in-out;
+}
+.circle.inhaling { transform: scale(1.4); }
+.circle.exhaling { transform: scale(0.8); }
+.circle.holding { border-style: dashed; border-color: var(--ai-breathing-hold); }
+.text { font-size: 1.25em; font-weight: 500; margin: 0 0 8px; }
+.nostrils { display: flex; justify-content: center; gap: 16px; margin: 8px 0; }
+.nostril {
+  width: 36px;
+  height: 36px;
+  line-height: 36px;
+  border-radius: 50%;
+  border: 2px solid currentColor;
+  opacity: 0.6;
+}
+.nostril.active { background: var(--ai-breathing-accent); border-color: var(--ai-breathing-accent); color: #fff; opacity: 1; }
+.nostril.blocked { background: var(--ai-breathing-blocked); border-color: var(--ai-breathing-blocked); color: #fff; }
+.instruction { min-height: 1.5em; margin: 8px 0; }
+.stats { display: flex; justify-content: center; gap: 16px; font-variant-numeric: tabular-nums; opacity: 0.8; }
+.controls { display: flex; justify-content: center; gap: 8px; margin-top: 16px; }
+.controls[hidden], button[hidden] { display: none; }
+button {
+  font: inherit;
+  padding: 6px 16px;
+  border-radius: 8px;
+  border: 1px solid var(--ai-breathing-accent);
+  background: transparent;
+  color: inherit;
+  cursor: pointer;
+}
+button[data-action="start"] { background: var(--ai-breathing-accent); color: #fff; }
+`;
+
+function formatGuideTime(totalSeconds) {
+    const seconds = Math.max(0, Math.floor(totalSeconds));
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+class AIBreathingSessionElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['pattern', 'breath-duration', 'session-duration', 'language', 'controls'];
+    }
+
+    constructor() {
+        super();
+        this.session = new BreathingSession();
+        this.voiceGuide = new VoiceGuide();
+        this.audioContext = null;
+        this.camera = null; // { stream, video, estimator } while the camera scores posture
+        this.lastAction = null;
+        this.currentPhase = null; // the latest phasechange detail
+
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `
+            <style>${AI_BREATHING_STYLE}</style>
+            <div class="guide" part="guide">
+                <div class="circle" part="circle"></div>
+                <p class="text" part="text" aria-live="polite"></p>
+                <div class="nostrils" part="nostrils">
+                    <span class="nostril" data-side="left">L</span>
+                    <span class="nostril" data-side="right">R</span>
+                </div>
+                <p class="instruction" part="instruction"></p>
+                <div class="stats" part="stats">
+                    <span class="remaining"></span>
+                    <span class="elapsed"></span>
+                    <span class="cycles"></span>
+                    <span class="posture"></span>
+                </div>
+                <div class="controls" part="controls" hidden>
+                    <button type="button" data-action="start">Start</button>
+                    <button type="button" data-action="pause" hidden>Pause</button>
+                    <button type="button" data-action="stop" hidden>Stop</button>
+                </div>
+            </div>`;
+        const $ = selector => this.shadowRoot.querySelector(selector);
+        this.elements = {
+            circle: $('.circle'),
+            text: $('.text'),
+            left: $('[data-side="left"]'),
+            right: $('[data-side="right"]'),
+            instruction: $('.instruction'),
+            remaining: $('.remaining'),
+            elapsed: $('.elapsed'),
+            cycles: $('.cycles'),
+            posture: $('.posture'),
+            controls: $('.controls'),
+            start: $('[data-action="start"]'),
+            pause: $('[data-action="pause"]'),
+            stop: $('[data-action="stop"]')
+        };
+        this.elements.start.addEventListener('click', () => this.start());
+        this.elements.pause.addEventListener('click', () => this.session.isPaused() ? this.resume() : this.pause());
+        this.elements.stop.addEventListener('click', () => this.stop());
+
+        BREATHING_SESSION_EVENTS.forEach(type => {
+            this.session.addEventListener(type, event => {
+                this.render(type, event.detail);
+                this.dispatchEvent(new CustomEvent(type, { detail: event.detail, bubbles: true, composed: true }));
+            });
+        });
+    }
+
+    connectedCallback() {
+        this.applyAttributes();
+    }
+
+    disconnectedCallback() {
+        this.stop();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue) {
+            this.applyAttributes();
+        }
+    }
+
+    get language() {
+        const language = this.getAttribute('language');
+        return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    }
+
+    t(key, params) {
+        return translate(this.language, key, params);
+    }
+
+    // Durations are read at every phase, so changes apply from the next one
+    applyAttributes() {
+        const pattern = this.getAttribute('pattern');
+        if ((BREATHING_PATTERNS[pattern] ? pattern : DEFAULT_BREATHING_PATTERN) !== this.session.pattern) {
+            this.session.setPattern(pattern);
+        }
+        this.session.breathDuration = parseFloat(this.getAttribute('breath-duration')) || 4;
+        this.session.sessionDuration = parseFloat(this.getAttribute('session-duration')) || 300;
+        this.voiceGuide.language = this.language;
+        this.elements.controls.hidden = !this.hasAttribute('controls');
+        if (!this.session.isActive()) {
+            this.renderIdle();
+        }
+    }
+
+    start() {
+        if (this.session.isActive()) return;
+        // Created here so a click on Start counts as the user gesture browsers ask for
+        if (this.hasAttribute('audio') && !this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = AudioContextClass ? new AudioContextClass() : null;
+        }
+        this.session.start();
+        if (this.hasAttribute('camera')) {
+            this.startCamera();
+        }
+    }
+
+    pause() {
+        this.session.pause();
+    }
+
+    resume() {
+        this.session.resume();
+    }
+
+    // Returns the session summary, or null when no session was running
+    stop() {
+        return this.session.stop();
+    }
+
+    render(type, detail) {
+        const { elements } = this;
+        switch (type) {
+        case 'sessionstart':
+            this.lastAction = null;
+            this.currentPhase = null;
+            elements.cycles.textContent = this.t('guide.cycles', { count: 0 });
+            elements.elapsed.textContent = formatGuideTime(0);
+            this.renderControls();
+            break;
+        case 'phasechange':
+            this.currentPhase = detail;
+            this.renderPhase(detail);
+            this.playCues(detail);
+            break;
+        case 'tick':
+            elements.remaining.textContent = detail.waiting ? '...' : `${detail.remaining}s`;
+            elements.elapsed.textContent = formatGuideTime(detail.elapsed);
+            break;
+        case 'cyclecomplete':
+            elements.cycles.textContent = this.t('guide.cycles', { count: detail.count });
+            break;
+        case 'posturechange':
+            elements.posture.textContent = `${detail.score}%`;
+            break;
+        case 'pause':
+            this.voiceGuide.cancel();
+            elements.text.textContent = this.t('guide.paused');
+            elements.remaining.textContent = '';
+            this.renderControls();
+            break;
+        case 'resume':
+            // The interrupted phase continues where it left off
+            if (this.currentPhase) {
+                this.renderPhase(this.currentPhase);
+            }
+            this.renderControls();
+            break;
+        case 'sessionend':
+            this.voiceGuide.cancel();
+            this.stopCamera();
+            this.renderIdle();
+            break;
+        }
+    }
+
+    renderPhase({ action, nostril, instructionKey, duration }) {
+        const { elements } = this;
+        elements.instruction.textContent = this.t(instructionKey);
+        elements.left.classList.toggle('active', nostril === 'left' || nostril === 'both');
+        elements.right.classList.toggle('active', nostril === 'right' || nostril === 'both');
+        elements.left.classList.toggle('blocked', nostril === 'right' || nostril === 'none');
+        elements.right.classList.toggle('blocked', nostril === 'left' || nostril === 'none');
+
+        // Retention keeps the circle at the size of the preceding breath
+        const size = action === 'hold' ? (this.lastAction === 'out' ? 'exhaling' : 'inhaling') : (action === 'in' ? 'inhaling' : 'exhaling');
+        elements.circle.className = `circle ${size}${action === 'hold' ? ' holding' : ''}`;
+        const through = this.t(`nostril.${nostril}`);
+        elements.text.textContent = action === 'in'
+            ? this.t('guide.inhale', { through })
+            : action === 'out' ? this.t('guide.exhale', { through }) : this.t('guide.hold');
+        elements.remaining.textContent = `${duration}s`;
+        if (action !== 'hold') {
+            this.lastAction = action;
+        }
+    }
+
+    playCues({ action, instructionKey }) {
+        if (this.audioContext) {
+            this.playTone(AI_BREATHING_TONES[action] || 440);
+        }
+        if (this.hasAttribute('voice')) {
+            this.voiceGuide.speak(translateVoice(this.language, instructionKey), { interrupt: true });
+        }
+    }
+
+    renderIdle() {
+        const { elements } = this;
+        elements.circle.className = 'circle';
+        elements.text.textContent = this.t('guide.ready');
+        elements.instruction.textContent = getBreathingPattern(this.session.pattern).name;
+        elements.left.classList.remove('active', 'blocked');
+        elements.right.classList.remove('active', 'blocked');
+        elements.remaining.textContent = '';
+        elements.posture.textContent = '';
+        this.renderControls();
+    }
+
+    renderControls() {
+        const active = this.session.isActive();
+        this.elements.start.hidden = active;
+        this.elements.pause.hidden = !active;
+        this.elements.stop.hidden = !active;
+        this.elements.pause.textContent = this.session.isPaused() ? 'Resume' : 'Pause';
+    }
+
+    playTone(frequency, duration = 0.1) {
+        try {
+            const now = this.audioContext.currentTime;
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.frequency.setValueAtTime(frequency, now);
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(0.15, now + 0.05);
+            gain.gain.linearRampToValueAtTime(0, now + duration);
+            oscillator.start(now);
+            oscillator.stop(now + duration);
+        } catch (error) {
+            console.warn('Audio playback failed:', error);
+        }
+    }
+
+    // The camera never leaves the element: frames go to the pose model and only scores come out
+    async startCamera() {
+        const camera = { stream: null, video: document.createElement('video'), estimator: null };
+        this.camera = camera;
+        try {
+            camera.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' }, audio: false });
+            if (this.camera !== camera) throw new Error('The session ended while the camera started');
+            camera.video.muted = true;
+            camera.video.playsInline = true;
+            camera.video.srcObject = camera.stream;
+            await camera.video.play();
+
+            const estimator = new PoseEstimator(this.getAttribute('model-path') || POSE_VENDOR_PATH);
+            await estimator.load();
+            camera.estimator = estimator;
+            if (this.camera !== camera) throw new Error('The session ended while the pose model loaded');
+            this.trackPosture(camera);
+        } catch (error) {
+            console.warn('Posture scoring unavailable:', error);
+            this.releaseCamera(camera);
+        }
+    }
+
+    async trackPosture(camera) {
+        if (this.camera !== camera) return;
+        try {
+            const landmarks = await camera.estimator.estimate(camera.video);
+            const analysis = landmarks && this.camera === camera
+                ? analyzePoseLandmarks(landmarks, camera.video.videoWidth, camera.video.videoHeight)
+                : null;
+            if (analysis) {
+                this.session.reportPosture(analysis.score);
+            }
+        } catch (error) {
+            console.error('Pose estimation error:', error);
+        }
+        requestAnimationFrame(() => this.trackPosture(camera));
+    }
+
+    stopCamera() {
+        if (this.camera) {
+            const camera = this.camera;
+            this.camera = null;
+            this.releaseCamera(camera);
+        }
+    }
+
+    releaseCamera(camera) {
+        if (this.camera === camera) {
+            this.camera = null;
+        }
+        if (camera.stream) {
+            camera.stream.getTracks().forEach(track => track.stop());
+        }
+        if (camera.estimator) {
+            camera.estimator.close();
+        }
+    }
+}
+
+if (!customElements.get('ai-breathing-session')) {
+    customElements.define('ai-breathing-session', AIBreathingSessionElement);
+}
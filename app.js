@@ -1,52 +1,229 @@
 // Phase Shift 2025 - AI-Assisted Alternate Nostril Breathing App
 
-class PhaseShift2025 {
+// Runs sessions on a BreathingSession, renders its events and re-dispatches
+// them, as documented in breathing-session.js
+class PhaseShift2025 extends EventTarget {
     constructor() {
-        this.isSessionActive = false;
-        this.isPaused = false;
-        this.sessionStartTime = null;
-        this.sessionDuration = 300; // 5 minutes default
-        this.breathDuration = 4; // 4 seconds default
-        this.currentPhase = 0; // 0: right_in, 1: left_out, 2: left_in, 3: right_out
-        this.cycleCount = 0;
-        this.breathTimer = null;
-        this.sessionTimer = null;
-        this.breathCountdown = null;
+        super();
+        // Holds the pattern, durations, cycle count and posture statistics of the session
+        this.breathingSession = new BreathingSession({
+            shouldExtendPhase: (breath, overtime, duration) => this.isWaitingForBreath(breath, overtime, duration)
+        });
+        // Read for phase timing only; its events arrive through the session
+        this.scheduler = this.breathingSession.scheduler;
+        this.currentPhase = 0; // index into breathingSequence
         this.postureScore = 100;
         this.postureHistory = [];
+        this.sessionStats = this.createSessionStats();
+        
+        // Completed sessions are kept in IndexedDB, settings in localStorage
+        this.sessionHistory = new SessionHistory();
+        this.settingsStore = new SettingsStore();
         
         // Camera and detection
         this.videoElement = null;
         this.canvas = null;
         this.ctx = null;
         this.stream = null;
+        // The camera is released between sessions and reopened for the next one, once allowed
+        this.cameraEnabled = false;
+        this.cameraDeviceId = '';
+        this.cameraResolution = DEFAULT_CAMERA_RESOLUTION;
+        this.cameraFrameRate = DEFAULT_CAMERA_FRAME_RATE;
+        this.mirrorVideo = false;
+        this.cameraSource = new CameraSource({
+            onStream: (stream) => this.handleCameraStream(stream),
+            onStatusChange: (status, detail) => this.updateCameraStatus(status, detail)
+        });
         this.faceDetector = null;
+        this.faceBackend = 'auto';
+        this.poseEstimator = null;
+        this.handTracker = null;
+        this.mudraTracker = new MudraTracker();
+        this.mudraCheck = true;
         this.detectionActive = false;
         
+        // Screen wake lock held while a session is running
+        this.wakeLock = null;
+        
         // Audio context
         this.audioContext = null;
         this.alertVolume = 0.5;
         this.audioEnabled = true;
         this.eyeAlerts = true;
+        this.eyeAlertDelay = 5; // seconds of open eyes before an alert
         this.feedbackSensitivity = 'medium';
         
-        // Breathing sequence
-        this.breathingSequence = [
-            { phase: 'right_in', instruction: 'Block left nostril, breathe in through right', nostril: 'right', action: 'in' },
-            { phase: 'left_out', instruction: 'Block right nostril, breathe out through left', nostril: 'left', action: 'out' },
-            { phase: 'left_in', instruction: 'Block right nostril, breathe in through left', nostril: 'left', action: 'in' },
-            { phase: 'right_out', instruction: 'Block left nostril, breathe out through right', nostril: 'right', action: 'out' }
-        ];
+        // Decides which detected issues turn into alerts, and how loudly
+        this.feedbackPolicy = new FeedbackPolicy({
+            sensitivity: this.feedbackSensitivity,
+            onAlert: (alert) => this.handleFeedbackAlert(alert)
+        });
+        this.feedbackAlertTimer = null;
+        
+        // Ambient soundscape, created along with the audio context
+        this.soundscape = null;
+        this.soundscapeType = 'off';
+        this.binauralBeat = 0;
+        this.noiseBed = false;
+        this.soundscapeVolume = 0.4;
+        
+        // Language for on-screen and spoken guidance
+        this.language = DEFAULT_LANGUAGE;
+        this.voiceEnabled = false;
+        this.countAloud = false;
+        this.voiceGuide = new VoiceGuide();
+        this.currentPhaseDuration = 0;
+        
+        // Optional microphone breath detection
+        this.micEnabled = false;
+        this.adaptiveBreathing = false;
+        this.breathSegment = null;
+        this.breathAdherence = new BreathAdherenceTracker();
+        this.breathDetector = new BreathDetector({
+            onBreathStart: () => this.handleBreathStart(),
+            onBreathEnd: (duration) => this.handleBreathEnd(duration)
+        });
+        
+        // Posture is scored against the user's own calibrated position when a profile is active
+        this.postureCalibration = new PostureCalibration();
+        this.recalibrateOnStart = false;
+        // A first-use calibration that failed is not tried again until the page is reloaded
+        this.autoCalibrationFailed = false;
+        this.isCalibratingPosture = false;
+        
+        // Eye state from face landmarks
+        this.eyeDetector = new EyeStateDetector();
+        
+        // Turns detector output into posture, head and eye results, for the camera and replays
+        this.detectionAnalyzer = new DetectionAnalyzer({
+            feedbackPolicy: this.feedbackPolicy,
+            eyeDetector: this.eyeDetector,
+            postureCalibration: this.postureCalibration
+        });
+        
+        // Optional heart rate sensor for live BPM and before/after HRV
+        this.heartRateSource = 'off';
+        this.heartRateMonitor = new HeartRateMonitor({
+            onUpdate: (live) => this.updateHeartRateDisplay(live),
+            onDisconnect: () => this.handleHeartRateDisconnect()
+        });
+        
+        // Pulse and respiration estimated from face skin colour
+        this.cameraPulse = true;
+        this.rppgEstimator = new RPPGEstimator();
+        this.rppgSampler = null;
+        this.lastRppgEstimate = 0;
+        this.cameraVitals = { pulse: null, respiration: null };
+        
+        // Corrective prompts from posture and head trends, given at the start of exhales
+        this.liveCoaching = true;
+        this.liveCoach = new LiveCoach();
+        
+        // Haptic phase cues on phones, for practicing with eyes closed
+        this.vibrationEnabled = true;
+        
+        // Written report on the finished session, from rules or a local model server
+        this.coachEngine = 'rules';
+        this.coachServerUrl = 'http://localhost:8787/coach';
+        
+        // Detector output can be recorded to a file and replayed in place of the live detectors
+        this.detectionRecorder = new DetectionRecorder();
+        this.detectionReplay = null;
+        this.liveDetectors = null;
+        this.resolveReplay = null;
+        
+        // Class mode: session state goes to an instructor through the class relay
+        this.classRelayUrl = getDefaultRelayUrl();
+        this.classId = '';
+        this.studentName = '';
+        this.classClient = new ClassClient({
+            role: 'student',
+            onMessage: (message) => this.handleClassMessage(message),
+            onStatusChange: (status, detail) => this.updateClassStatus(status, detail)
+        });
+        this.classSchedule = null;
+        this.classStartTimer = null;
+        this.classCountdownTimer = null;
+        this.sessionClassId = null;
+        
+        // Per-second record of the running session, kept with its history entry
+        this.timeline = new SessionTimeline();
+        this.lastSessionRecord = null;
+        
+        // Multi-week programs pick the next session's parameters
+        this.programTracker = new ProgramTracker();
+        
+        // Recurring practice times, checked while the app is open
+        this.practiceSchedule = new PracticeSchedule();
+        this.reminderCheckTimer = null;
+        this.reminderSlotKey = null;
+        this.sessionReminderId = null;
+        this.sessionUsesProgram = false;
         
         this.init();
     }
     
+    get isSessionActive() {
+        return this.breathingSession.isActive();
+    }
+    
+    get isPaused() {
+        return this.breathingSession.isPaused();
+    }
+    
+    get breathingPattern() {
+        return this.breathingSession.pattern;
+    }
+    
+    get breathingSequence() {
+        return getBreathingPattern(this.breathingSession.pattern).phases;
+    }
+    
+    // Seconds; the base unit for pattern ratios
+    get breathDuration() {
+        return this.breathingSession.breathDuration;
+    }
+    
+    set breathDuration(seconds) {
+        this.breathingSession.breathDuration = seconds;
+    }
+    
+    // Seconds
+    get sessionDuration() {
+        return this.breathingSession.sessionDuration;
+    }
+    
+    set sessionDuration(seconds) {
+        this.breathingSession.sessionDuration = seconds;
+    }
+    
+    get cycleCount() {
+        return this.breathingSession.cycleCount;
+    }
+    
     async init() {
         this.setupElements();
+        this.populatePatternPicker();
+        this.populateProgramPicker();
+        this.populateLanguagePicker();
+        this.populateSoundscapePickers();
+        this.populateFaceBackendPicker();
+        this.populateCameraPickers();
+        this.populatePostureProfilePicker();
+        this.populateCoachEnginePicker();
+        this.populateReminderPickers();
         this.setupEventListeners();
+        this.setupSession();
         this.loadSettings();
+        this.updateProgramStatus();
+        this.renderReminders();
         await this.initializeAudioContext();
         this.showPermissionModal();
+        this.registerServiceWorker();
+        this.handleReminderLaunch();
+        this.checkReminders();
+        this.reminderCheckTimer = setInterval(() => this.checkReminders(), 30000);
     }
     
     setupElements() {
@@ -60,11 +237,18 @@ class PhaseShift2025 {
         this.pauseBtn = document.getElementById('pauseBtn');
         this.stopBtn = document.getElementById('stopBtn');
         this.settingsBtn = document.getElementById('settingsBtn');
+        this.historyBtn = document.getElementById('historyBtn');
         
         // Display elements
         this.sessionTimerEl = document.getElementById('sessionTimer');
         this.cycleCountEl = document.getElementById('cycleCount');
         this.postureScoreEl = document.getElementById('postureScore');
+        this.heartRateEl = document.getElementById('heartRate');
+        this.hrvEl = document.getElementById('heartRateVariability');
+        this.heartRateStats = [this.heartRateEl.parentElement, this.hrvEl.parentElement];
+        this.heartRateStatus = document.getElementById('heartRateStatus');
+        this.cameraPulseStatus = document.getElementById('cameraPulseStatus');
+        this.programStatusEl = document.getElementById('programStatus');
         this.breathingInstruction = document.getElementById('breathingInstruction');
         this.breathTimerEl = document.getElementById('breathTimer');
         this.leftNostril = document.getElementById('leftNostril');
@@ -73,9 +257,15 @@ class PhaseShift2025 {
         // Status elements
         this.cameraStatus = document.getElementById('cameraStatus');
         this.cameraIndicator = document.getElementById('cameraIndicator');
+        this.faceModelStatus = document.getElementById('faceModelStatus');
+        this.poseModelStatus = document.getElementById('poseModelStatus');
+        this.handModelStatus = document.getElementById('handModelStatus');
+        this.postureBreakdown = document.getElementById('postureBreakdown');
         this.postureStatus = document.getElementById('postureStatus');
         this.headStatus = document.getElementById('headStatus');
         this.eyeStatus = document.getElementById('eyeStatus');
+        this.handStatus = document.getElementById('handStatus');
+        this.breathSyncStatus = document.getElementById('breathSyncStatus');
         
         // Breathing guide
         this.breathingGuide = document.querySelector('.breathing-circle');
@@ -85,245 +275,1772 @@ class PhaseShift2025 {
         this.permissionModal = document.getElementById('permissionModal');
         this.settingsModal = document.getElementById('settingsModal');
         this.sessionCompleteModal = document.getElementById('sessionCompleteModal');
+        this.historyModal = document.getElementById('historyModal');
+        this.modalTraps = new Map([
+            [this.permissionModal, new FocusTrap(this.permissionModal.querySelector('.modal-content'))],
+            [this.settingsModal, new FocusTrap(this.settingsModal.querySelector('.modal-content'), { onEscape: () => this.hideSettings() })],
+            [this.sessionCompleteModal, new FocusTrap(this.sessionCompleteModal.querySelector('.modal-content'), { onEscape: () => this.hideSessionComplete() })],
+            [this.historyModal, new FocusTrap(this.historyModal.querySelector('.modal-content'), { onEscape: () => this.hideHistory() })]
+        ]);
+        
+        // Screen reader announcements; phase changes interrupt, everything else waits its turn
+        this.announcer = new LiveAnnouncer(document.getElementById('politeAnnouncer'), document.getElementById('assertiveAnnouncer'));
     }
     
     setupEventListeners() {
         // Main controls
-        this.startBtn.addEventListener('click', () => this.startSession());
+        this.startBtn.addEventListener('click', () => this.beginSession());
         this.pauseBtn.addEventListener('click', () => this.togglePause());
         this.stopBtn.addEventListener('click', () => this.stopSession());
         this.settingsBtn.addEventListener('click', () => this.showSettings());
+        this.historyBtn.addEventListener('click', () => this.showHistory());
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        
+        // Heart rate sensor
+        document.getElementById('heartRateSource').addEventListener('change', (e) => {
+            this.heartRateSource = e.target.value;
+            this.disconnectHeartRate();
+        });
+        document.getElementById('connectHeartRateBtn').addEventListener('click', () => this.connectHeartRate());
+        
+        // Export and import
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportHistory('json'));
+        document.getElementById('exportSessionsCsvBtn').addEventListener('click', () => this.exportHistory('sessions-csv'));
+        document.getElementById('exportTimelineCsvBtn').addEventListener('click', () => this.exportHistory('timeline-csv'));
+        document.getElementById('importHistoryBtn').addEventListener('click', () => document.getElementById('importHistoryFile').click());
+        document.getElementById('importHistoryFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importHistory(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        document.getElementById('recordDetectionsBtn').addEventListener('click', () => this.toggleDetectionRecording());
+        document.getElementById('replayDetectionsBtn').addEventListener('click', () => document.getElementById('replayFiles').click());
+        document.getElementById('replayFiles').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.replayFromFiles([...e.target.files]);
+            }
+            e.target.value = '';
+        });
+        document.getElementById('exportSessionJsonBtn').addEventListener('click', () => this.exportLastSession('json'));
+        document.getElementById('exportSessionCsvBtn').addEventListener('click', () => this.exportLastSession('timeline-csv'));
+        
+        // Timers and animation frames are throttled in the background, so catch up on return
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
         
         // Permission modal
         document.getElementById('requestPermissionBtn').addEventListener('click', () => this.requestCameraPermission());
-        document.getElementById('skipPermissionBtn').addEventListener('click', () => this.hidePermissionModal());
+        document.getElementById('skipPermissionBtn').addEventListener('click', () => {
+            this.showDetectionUnavailable('No camera');
+            this.hidePermissionModal();
+        });
         
         // Settings modal
         document.getElementById('closeSettingsBtn').addEventListener('click', () => this.hideSettings());
-        document.getElementById('breathDuration').addEventListener('change', (e) => this.breathDuration = parseInt(e.target.value));
+        document.getElementById('breathingPattern').addEventListener('change', (e) => this.setBreathingPattern(e.target.value));
+        document.getElementById('practiceProgram').addEventListener('change', (e) => this.setPracticeProgram(e.target.value));
+        document.getElementById('breathDuration').addEventListener('change', (e) => {
+            this.breathDuration = parseInt(e.target.value);
+            this.updatePatternDescription();
+        });
         document.getElementById('sessionDuration').addEventListener('change', (e) => this.sessionDuration = parseInt(e.target.value));
         document.getElementById('alertVolume').addEventListener('change', (e) => this.alertVolume = parseFloat(e.target.value));
-        document.getElementById('feedbackSensitivity').addEventListener('change', (e) => this.feedbackSensitivity = e.target.value);
+        document.getElementById('feedbackSensitivity').addEventListener('change', (e) => {
+            this.feedbackSensitivity = e.target.value;
+            this.feedbackPolicy.setSensitivity(this.feedbackSensitivity);
+        });
+        document.getElementById('soundscapeType').addEventListener('change', (e) => {
+            this.soundscapeType = e.target.value;
+            this.refreshSoundscape();
+        });
+        document.getElementById('binauralBeat').addEventListener('change', (e) => {
+            this.binauralBeat = parseInt(e.target.value);
+            this.refreshSoundscape();
+        });
+        document.getElementById('noiseBed').addEventListener('change', (e) => {
+            this.noiseBed = e.target.checked;
+            this.refreshSoundscape();
+        });
+        document.getElementById('soundscapeVolume').addEventListener('change', (e) => {
+            this.soundscapeVolume = parseFloat(e.target.value);
+            if (this.soundscape) {
+                this.soundscape.setVolume(this.soundscapeVolume);
+            }
+        });
         document.getElementById('audioEnabled').addEventListener('change', (e) => this.audioEnabled = e.target.checked);
         document.getElementById('eyeAlerts').addEventListener('change', (e) => this.eyeAlerts = e.target.checked);
+        document.getElementById('mudraCheck').addEventListener('change', (e) => this.mudraCheck = e.target.checked);
+        document.getElementById('faceBackend').addEventListener('change', (e) => this.setFaceBackend(e.target.value));
+        document.getElementById('cameraDevice').addEventListener('change', (e) => {
+            this.cameraDeviceId = e.target.value;
+            this.restartCamera();
+        });
+        document.getElementById('cameraResolution').addEventListener('change', (e) => {
+            this.cameraResolution = e.target.value;
+            this.restartCamera();
+        });
+        document.getElementById('cameraFrameRate').addEventListener('change', (e) => {
+            this.cameraFrameRate = parseInt(e.target.value);
+            this.restartCamera();
+        });
+        document.getElementById('mirrorVideo').addEventListener('change', (e) => this.setMirrorVideo(e.target.checked));
+        document.getElementById('joinClassBtn').addEventListener('click', () => this.toggleClass());
+        document.getElementById('coachEngine').addEventListener('change', (e) => this.coachEngine = e.target.value);
+        document.getElementById('coachServerUrl').addEventListener('change', (e) => this.coachServerUrl = e.target.value.trim());
+        document.getElementById('cameraPulse').addEventListener('change', (e) => {
+            this.cameraPulse = e.target.checked;
+            this.rppgEstimator.reset();
+            this.resetCameraPulseStatus();
+        });
+        document.getElementById('guideLanguage').addEventListener('change', (e) => this.setLanguage(e.target.value));
+        document.getElementById('voiceEnabled').addEventListener('change', (e) => {
+            this.voiceEnabled = e.target.checked;
+            if (!this.voiceEnabled) {
+                this.voiceGuide.cancel();
+            }
+        });
+        document.getElementById('countAloud').addEventListener('change', (e) => this.countAloud = e.target.checked);
+        document.getElementById('vibrationEnabled').addEventListener('change', (e) => this.vibrationEnabled = e.target.checked);
+        document.getElementById('liveCoaching').addEventListener('change', (e) => {
+            this.liveCoaching = e.target.checked;
+            if (!this.liveCoaching) {
+                this.showCoachPrompt(null);
+            }
+        });
+        document.getElementById('voiceSelect').addEventListener('change', (e) => this.voiceGuide.voiceURI = e.target.value);
+        document.getElementById('voiceRate').addEventListener('change', (e) => this.voiceGuide.rate = parseFloat(e.target.value));
+        document.getElementById('voicePitch').addEventListener('change', (e) => this.voiceGuide.pitch = parseFloat(e.target.value));
+        document.getElementById('previewVoiceBtn').addEventListener('click', () => {
+            this.voiceGuide.speak(translateVoice(this.language, this.breathingSequence[0].instructionKey), { interrupt: true });
+        });
+        this.voiceGuide.onVoicesChanged(() => this.populateVoicePicker());
+        document.getElementById('micEnabled').addEventListener('change', (e) => this.setMicEnabled(e.target.checked));
+        document.getElementById('adaptiveBreathing').addEventListener('change', (e) => this.adaptiveBreathing = e.target.checked);
+        document.getElementById('eyeAlertDelay').addEventListener('change', (e) => this.eyeAlertDelay = parseInt(e.target.value));
+        document.getElementById('calibrateEyesBtn').addEventListener('click', () => this.calibrateEyes());
+        document.getElementById('postureProfile').addEventListener('change', (e) => {
+            this.postureCalibration.setActiveProfile(e.target.value || null);
+            this.postureHistory = [];
+            this.showPostureProfileStatus();
+        });
+        document.getElementById('newPostureProfileBtn').addEventListener('click', () => {
+            const nameInput = document.getElementById('postureProfileName');
+            this.calibratePosture({ name: nameInput.value.trim() }).then(profile => {
+                if (profile) {
+                    nameInput.value = '';
+                }
+            });
+        });
+        document.getElementById('recalibratePostureBtn').addEventListener('click', () => {
+            const profile = this.postureCalibration.getActiveProfile();
+            this.calibratePosture(profile ? { id: profile.id } : {});
+        });
+        document.getElementById('deletePostureProfileBtn').addEventListener('click', () => this.deletePostureProfile());
+        
+        // Practice reminders
+        document.getElementById('reminderPattern').addEventListener('change', () => this.updateReminderFields());
+        document.getElementById('addReminderBtn').addEventListener('click', () => this.addReminder());
+        document.getElementById('enableNotificationsBtn').addEventListener('click', () => this.enableNotifications());
+        document.getElementById('reminderStartBtn').addEventListener('click', () => this.handleReminderAction('start', this.reminderSlotKey));
+        document.getElementById('reminderSnoozeBtn').addEventListener('click', () => this.handleReminderAction('snooze', this.reminderSlotKey));
+        document.getElementById('recalibrateOnStart').addEventListener('change', (e) => this.recalibrateOnStart = e.target.checked);
         
         // Session complete modal
         document.getElementById('newSessionBtn').addEventListener('click', () => this.startNewSession());
         document.getElementById('closeSessionBtn').addEventListener('click', () => this.hideSessionComplete());
+        
+        // History modal
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => this.hideHistory());
     }
     
-    async initializeAudioContext() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        } catch (error) {
-            console.warn('Audio context not supported:', error);
+    setupSession() {
+        BREATHING_SESSION_EVENTS.forEach(type => {
+            this.breathingSession.addEventListener(type, event => this.handleSessionEvent(type, event.detail));
+        });
+    }
+    
+    // Renders a session event, then passes it on to the app's own listeners
+    handleSessionEvent(type, detail) {
+        switch (type) {
+        case 'sessionstart':
+            this.updateControls();
+            break;
+        case 'phasechange':
+            this.handlePhaseStart(detail);
+            break;
+        case 'phaseend':
+            this.handlePhaseEnd(detail);
+            break;
+        case 'tick':
+            this.handleTick(detail);
+            break;
+        case 'cyclecomplete':
+            this.cycleCountEl.textContent = detail.count;
+            break;
+        case 'pause':
+            this.handlePause();
+            break;
+        case 'resume':
+            this.handleResume();
+            break;
+        case 'sessionend':
+            // Dispatched from there with the full session record
+            this.finishSession(detail.summary);
+            return;
         }
+        this.emit(type, detail);
     }
     
-    showPermissionModal() {
-        this.permissionModal.classList.remove('hidden');
+    populatePatternPicker() {
+        const select = document.getElementById('breathingPattern');
+        select.innerHTML = '';
+        Object.entries(BREATHING_PATTERNS).forEach(([id, pattern]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = pattern.name;
+            select.appendChild(option);
+        });
     }
     
-    hidePermissionModal() {
-        this.permissionModal.classList.add('hidden');
+    populateSoundscapePickers() {
+        const typeSelect = document.getElementById('soundscapeType');
+        Object.entries(SOUNDSCAPES).forEach(([id, soundscape]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = soundscape.name;
+            typeSelect.appendChild(option);
+        });
+        
+        const beatSelect = document.getElementById('binauralBeat');
+        Object.entries(BINAURAL_BEATS).forEach(([beat, label]) => {
+            const option = document.createElement('option');
+            option.value = beat;
+            option.textContent = label;
+            beatSelect.appendChild(option);
+        });
     }
     
-    async requestCameraPermission() {
+    populateFaceBackendPicker() {
+        const select = document.getElementById('faceBackend');
+        Object.entries(FACE_BACKENDS).forEach(([id, backend]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = backend.Backend.isSupported() ? backend.name : `${backend.name} (not supported)`;
+            select.appendChild(option);
+        });
+    }
+    
+    // Cameras are listed separately, see populateCameraDevices()
+    populateCameraPickers() {
+        const resolutionSelect = document.getElementById('cameraResolution');
+        Object.entries(CAMERA_RESOLUTIONS).forEach(([id, resolution]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = resolution.label;
+            resolutionSelect.appendChild(option);
+        });
+        const frameRateSelect = document.getElementById('cameraFrameRate');
+        CAMERA_FRAME_RATES.forEach(frameRate => {
+            const option = document.createElement('option');
+            option.value = frameRate;
+            option.textContent = `${frameRate} fps`;
+            frameRateSelect.appendChild(option);
+        });
+    }
+    
+    // Camera names are only available once the camera has been allowed, so this runs whenever settings open
+    async populateCameraDevices() {
+        const select = document.getElementById('cameraDevice');
+        let cameras = [];
         try {
-            this.stream = await navigator.mediaDevices.getUserMedia({ 
-                video: { facingMode: 'user' }, 
-                audio: false 
-            });
-            
-            this.videoElement.srcObject = this.stream;
-            this.updateCameraStatus(true);
-            this.initializeFaceDetection();
-            this.hidePermissionModal();
-            
-            // Make video visible
-            this.videoElement.style.display = 'block';
-            
+            cameras = await this.cameraSource.listCameras();
         } catch (error) {
-            console.error('Camera access denied:', error);
-            this.updateCameraStatus(false);
-            this.hidePermissionModal();
+            console.warn('Could not list cameras:', error);
+        }
+        
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default (front camera)';
+        select.replaceChildren(defaultOption, ...cameras.map(camera => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label;
+            return option;
+        }));
+        // A chosen camera that is unplugged stays selected, so it is used again when it returns
+        if (this.cameraDeviceId && !cameras.some(camera => camera.deviceId === this.cameraDeviceId)) {
+            const missing = document.createElement('option');
+            missing.value = this.cameraDeviceId;
+            missing.textContent = 'Chosen camera (not connected)';
+            select.appendChild(missing);
+        }
+        select.value = this.cameraDeviceId;
+    }
+    
+    populateCoachEnginePicker() {
+        const select = document.getElementById('coachEngine');
+        Object.entries(COACH_ENGINES).forEach(([id, engine]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = engine.name;
+            select.appendChild(option);
+        });
+    }
+    
+    populatePostureProfilePicker() {
+        const select = document.getElementById('postureProfile');
+        select.innerHTML = '';
+        const centerOption = document.createElement('option');
+        centerOption.value = '';
+        centerOption.textContent = 'None - center of the frame';
+        select.appendChild(centerOption);
+        
+        this.postureCalibration.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.camera ? `${profile.name} (${profile.camera})` : profile.name;
+            select.appendChild(option);
+        });
+        const active = this.postureCalibration.getActiveProfile();
+        select.value = active ? active.id : '';
+    }
+    
+    populateLanguagePicker() {
+        const select = document.getElementById('guideLanguage');
+        Object.entries(LANGUAGES).forEach(([code, language]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = language.name;
+            select.appendChild(option);
+        });
+    }
+    
+    populateVoicePicker() {
+        const select = document.getElementById('voiceSelect');
+        select.innerHTML = '';
+        
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = this.voiceGuide.isSupported() ? 'System default' : 'Speech not supported';
+        select.appendChild(defaultOption);
+        
+        this.voiceGuide.getVoices(this.language).forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            select.appendChild(option);
+        });
+        select.value = this.voiceGuide.voiceURI;
+        if (select.value !== this.voiceGuide.voiceURI) {
+            // The saved voice is not installed for this language
+            this.voiceGuide.voiceURI = '';
         }
     }
     
-    updateCameraStatus(connected) {
-        const dot = this.cameraIndicator.querySelector('.indicator-dot');
-        if (connected) {
-            this.cameraStatus.textContent = 'Camera: Connected';
-            dot.classList.add('connected');
+    t(key, params) {
+        return translate(this.language, key, params);
+    }
+    
+    setLanguage(language) {
+        this.language = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+        this.voiceGuide.language = this.language;
+        document.documentElement.lang = this.language;
+        this.populateVoicePicker();
+        
+        if (this.isSessionActive && !this.isPaused) {
+            this.updateBreathingDisplay(this.breathingSequence[this.currentPhase]);
+        } else if (this.isPaused) {
+            this.showPausedDisplay();
         } else {
-            this.cameraStatus.textContent = 'Camera: Disconnected';
-            dot.classList.remove('connected');
+            this.breathingInstruction.textContent = this.t('instruction.prepare');
+            this.breathText.textContent = this.t('guide.ready');
         }
     }
     
-    async initializeFaceDetection() {
-        try {
-            // Check if Face Detection API is available
-            if ('FaceDetector' in window) {
-                this.faceDetector = new FaceDetector({
-                    maxDetectedFaces: 1,
-                    fastMode: true
-                });
-                this.startDetection();
-            } else {
-                console.warn('Face Detection API not supported, using alternative detection');
-                this.startBasicDetection();
-            }
-        } catch (error) {
-            console.error('Face detection initialization failed:', error);
-            this.startBasicDetection();
+    setBreathingPattern(patternId) {
+        // Changing pattern mid-session restarts the cycle from its first phase
+        this.breathingSession.setPattern(patternId);
+        if (this.isPaused) {
+            this.showPausedDisplay();
         }
+        this.updatePatternDescription();
     }
     
-    startDetection() {
-        if (!this.detectionActive) {
-            this.detectionActive = true;
-            this.detectFaces();
+    updatePatternDescription() {
+        const pattern = getBreathingPattern(this.breathingPattern);
+        const timings = pattern.phases
+            .map(breath => getPhaseDuration(breath, this.breathDuration))
+            .join(':');
+        document.getElementById('patternDescription').textContent =
+            `${pattern.description} (${timings}s, ${getCycleDuration(this.breathingPattern, this.breathDuration)}s per cycle)`;
+    }
+    
+    populateProgramPicker() {
+        const select = document.getElementById('practiceProgram');
+        Object.entries(PRACTICE_PROGRAMS).forEach(([id, program]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = program.name;
+            select.appendChild(option);
+        });
+    }
+    
+    setPracticeProgram(programId) {
+        if (programId) {
+            this.programTracker.enroll(programId);
+            this.applyProgramSession();
+        } else {
+            this.programTracker.leave();
         }
+        this.loadSettingsValues();
+        this.updateProgramStatus();
     }
     
-    stopDetection() {
-        this.detectionActive = false;
+    applyProgramSession() {
+        const session = this.programTracker.getCurrentSession();
+        if (!session) return;
+        
+        this.breathDuration = session.breathDuration;
+        this.sessionDuration = session.sessionDuration;
+        this.setBreathingPattern(session.pattern);
     }
     
-    async detectFaces() {
-        if (!this.detectionActive || !this.faceDetector) return;
+    updateProgramStatus() {
+        const session = this.programTracker.getCurrentSession();
+        if (!session) {
+            this.programStatusEl.classList.add('hidden');
+            return;
+        }
         
+        this.programStatusEl.textContent = session.completed
+            ? `${session.programName}: complete - ${session.stage.label}`
+            : `${session.programName}: Day ${session.day} of ${session.totalDays} - ${session.stage.label}`;
+        this.programStatusEl.classList.remove('hidden');
+    }
+    
+    populateReminderPickers() {
+        const patternSelect = document.getElementById('reminderPattern');
+        Object.entries(BREATHING_PATTERNS).forEach(([id, pattern]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = pattern.name;
+            patternSelect.appendChild(option);
+        });
+        // Same choices as the session settings
+        [['breathDuration', 'reminderBreathDuration'], ['sessionDuration', 'reminderSessionDuration']].forEach(([sourceId, targetId]) => {
+            const target = document.getElementById(targetId);
+            [...document.getElementById(sourceId).options].forEach(option => target.appendChild(option.cloneNode(true)));
+        });
+        this.updateReminderFields();
+    }
+    
+    // Durations only apply to reminders that set their own pattern
+    updateReminderFields() {
+        const usesPattern = document.getElementById('reminderPattern').value !== '';
+        document.getElementById('reminderBreathDuration').disabled = !usesPattern;
+        document.getElementById('reminderSessionDuration').disabled = !usesPattern;
+    }
+    
+    addReminder() {
+        const days = [...document.querySelectorAll('input[name="reminderDay"]:checked')].map(input => parseInt(input.value));
+        const pattern = document.getElementById('reminderPattern').value;
         try {
-            this.canvas.width = this.videoElement.videoWidth;
-            this.canvas.height = this.videoElement.videoHeight;
-            
-            const faces = await this.faceDetector.detect(this.videoElement);
-            this.processFaceData(faces);
-            
-            // Draw detection results
-            this.drawDetectionResults(faces);
-            
+            this.practiceSchedule.addReminder({
+                days,
+                time: document.getElementById('reminderTime').value,
+                pattern,
+                breathDuration: pattern ? parseInt(document.getElementById('reminderBreathDuration').value) : null,
+                sessionDuration: pattern ? parseInt(document.getElementById('reminderSessionDuration').value) : null
+            });
         } catch (error) {
-            console.error('Face detection error:', error);
+            document.getElementById('reminderStatus').textContent = error.message;
+            return;
         }
+        this.renderReminders();
+    }
+    
+    renderReminders() {
+        const list = document.getElementById('reminderList');
+        list.replaceChildren(...this.practiceSchedule.getReminders().map(reminder => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${formatPracticeDays(reminder.days)} at ${reminder.time} - ${reminder.pattern
+                ? `${getBreathingPattern(reminder.pattern).name}, ${Math.round(reminder.sessionDuration / 60)} min`
+                : 'current settings'}`;
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'btn btn--secondary btn--sm';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => {
+                this.practiceSchedule.deleteReminder(reminder.id);
+                this.renderReminders();
+            });
+            item.append(label, deleteButton);
+            return item;
+        }));
+        this.updateReminderStatus();
+    }
+    
+    updateReminderStatus() {
+        const supported = typeof Notification !== 'undefined';
+        const permission = supported ? Notification.permission : 'unsupported';
+        document.getElementById('enableNotificationsBtn').classList.toggle('hidden', permission !== 'default');
         
-        if (this.detectionActive) {
-            requestAnimationFrame(() => this.detectFaces());
+        const next = this.practiceSchedule.getNextSlot();
+        if (!next) {
+            document.getElementById('reminderStatus').textContent = 'No reminders set';
+            return;
         }
+        const notices = {
+            granted: '',
+            default: ' - enable notifications to be reminded outside this tab',
+            denied: ' - notifications are blocked, reminders show in the page only',
+            unsupported: ' - this browser has no notifications, reminders show in the page only'
+        };
+        const when = new Date(next.time).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        document.getElementById('reminderStatus').textContent = `Next reminder: ${when}${notices[permission]}`;
     }
     
-    startBasicDetection() {
-        // Fallback detection without advanced APIs
-        this.detectionActive = true;
-        this.basicDetectionLoop();
+    async enableNotifications() {
+        if (typeof Notification === 'undefined') return;
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+        }
+        this.updateReminderStatus();
     }
     
-    basicDetectionLoop() {
-        if (!this.detectionActive) return;
+    // Runs every 30 seconds; each due slot is announced once unless snoozed, and not at all if already practiced
+    async checkReminders() {
+        this.updateReminderStatus();
+        if (this.isSessionActive) return;
+        
+        const due = this.practiceSchedule.getDueSlots();
+        if (due.length === 0) return;
         
-        // Simulate basic posture and eye detection
-        this.updatePostureStatus('Good', 'success');
-        this.updateHeadStatus('Centered', 'success');
-        this.updateEyeStatus('Monitoring', 'info');
+        let sessions = [];
+        try {
+            sessions = await this.sessionHistory.getSessions();
+        } catch (error) {
+            console.warn('Session history unavailable, reminding regardless:', error);
+        }
+        due.forEach(slot => this.practiceSchedule.markNotified(slot.slotKey));
+        const unpracticed = due.filter(slot => !this.practiceSchedule.isSlotPracticed(slot, sessions));
+        if (unpracticed.length > 0) {
+            this.notifyReminder(unpracticed[unpracticed.length - 1]);
+        }
+    }
+    
+    async notifyReminder(slot) {
+        const { reminder, slotKey } = slot;
+        const patternName = reminder.pattern ? getBreathingPattern(reminder.pattern).name : 'Your practice';
+        const body = `${patternName} - ${reminder.time}`;
+        this.showReminderBanner(`Time to practice: ${body}`, slotKey);
         
-        setTimeout(() => {
-            if (this.detectionActive) {
-                this.basicDetectionLoop();
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        try {
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                // The service worker handles clicks, see sw.js
+                await registration.showNotification('Time to practice', {
+                    body,
+                    tag: slotKey,
+                    icon: 'icons/icon.svg',
+                    data: { slotKey },
+                    actions: [
+                        { action: 'start', title: 'Start' },
+                        { action: 'snooze', title: `Snooze ${PRACTICE_SNOOZE_MINUTES} min` }
+                    ]
+                });
+                return;
             }
-        }, 2000);
+            const notification = new Notification('Time to practice', { body, tag: slotKey, icon: 'icons/icon.svg' });
+            notification.addEventListener('click', () => {
+                window.focus();
+                this.handleReminderAction('start', slotKey);
+            });
+        } catch (error) {
+            console.warn('Could not show the practice notification:', error);
+        }
+    }
+    
+    // A notification opened in a new window arrives as ?reminder=<slot key>&action=start|snooze
+    handleReminderLaunch() {
+        const params = new URLSearchParams(location.search);
+        const slotKey = params.get('reminder');
+        if (!slotKey) return;
+        
+        history.replaceState(null, '', location.pathname);
+        this.handleReminderAction(params.get('action') || 'start', slotKey);
     }
     
-    processFaceData(faces) {
-        if (faces.length === 0) {
-            this.updatePostureStatus('No face detected', 'warning');
+    handleReminderAction(action, slotKey) {
+        const slot = this.practiceSchedule.getSlot(slotKey);
+        if (!slot) {
+            this.showReminderBanner(null);
             return;
         }
         
-        const face = faces[0];
-        
-        // Analyze posture based on face position and size
-        this.analyzePosture(face);
-        this.analyzeHeadPosition(face);
-        this.analyzeEyeState(face);
+        if (action === 'snooze') {
+            this.practiceSchedule.snooze(slotKey);
+            this.showReminderBanner(`Reminder snoozed for ${PRACTICE_SNOOZE_MINUTES} minutes`);
+            return;
+        }
+        this.practiceSchedule.markNotified(slotKey);
+        this.prepareReminderSession(slot.reminder);
     }
     
-    analyzePosture(face) {
-        const centerX = this.canvas.width / 2;
-        const faceCenter = face.boundingBox.x + face.boundingBox.width / 2;
-        const deviation = Math.abs(centerX - faceCenter);
-        const maxDeviation = this.canvas.width * 0.1;
+    // Sets up the reminder's session and leaves the Start button to the user, whose click also unlocks audio
+    prepareReminderSession(reminder) {
+        if (this.isSessionActive) {
+            this.showReminderBanner('Finish your current session first.');
+            return;
+        }
         
-        if (deviation < maxDeviation * 0.3) {
-            this.updatePostureStatus('Excellent', 'success');
-            this.updatePostureScore(100);
-        } else if (deviation < maxDeviation * 0.7) {
-            this.updatePostureStatus('Good', 'success');
-            this.updatePostureScore(85);
-        } else if (deviation < maxDeviation) {
-            this.updatePostureStatus('Fair', 'warning');
-            this.updatePostureScore(70);
-            if (this.audioEnabled) {
-                this.playPostureAlert();
+        if (reminder.pattern) {
+            if (reminder.breathDuration) {
+                this.breathDuration = reminder.breathDuration;
             }
-        } else {
-            this.updatePostureStatus('Poor', 'error');
-            this.updatePostureScore(50);
-            if (this.audioEnabled) {
-                this.playPostureAlert();
+            if (reminder.sessionDuration) {
+                this.sessionDuration = reminder.sessionDuration;
             }
+            this.setBreathingPattern(reminder.pattern);
+        } else if (this.programTracker.isEnrolled()) {
+            this.applyProgramSession();
         }
+        this.resetDisplay();
+        this.sessionReminderId = reminder.id;
+        
+        this.showReminderBanner(`${getBreathingPattern(this.breathingPattern).name} is ready - ${Math.round(this.sessionDuration / 60)} min. Press Start when you are.`);
+        this.startBtn.focus();
     }
     
-    analyzeHeadPosition(face) {
-        const centerY = this.canvas.height / 2;
-        const faceCenter = face.boundingBox.y + face.boundingBox.height / 2;
-        const deviation = Math.abs(centerY - faceCenter);
-        const maxDeviation = this.canvas.height * 0.1;
+    // Passing a slot key adds Start and Snooze buttons for it
+    showReminderBanner(text, slotKey = null) {
+        this.reminderSlotKey = slotKey;
+        document.getElementById('reminderBannerText').textContent = text || '';
+        document.getElementById('reminderBannerActions').classList.toggle('hidden', !slotKey);
+        document.getElementById('reminderBanner').classList.toggle('hidden', !text);
+    }
+    
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
         
-        if (deviation < maxDeviation * 0.5) {
-            this.updateHeadStatus('Centered', 'success');
-        } else if (deviation < maxDeviation) {
-            this.updateHeadStatus('Slightly off', 'warning');
-        } else {
-            this.updateHeadStatus('Adjust position', 'error');
+        // Clicks on practice notifications are passed on by the service worker when the app is already open
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'reminder') {
+                this.handleReminderAction(event.data.action, event.data.slotKey);
+            }
+        });
+        
+        try {
+            await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed, offline use unavailable:', error);
         }
     }
     
-    analyzeEyeState(face) {
-        // Simplified eye detection - would need more advanced analysis for real eye state
-        // For demo purposes, we'll simulate eye detection
-        const random = Math.random();
-        if (random < 0.7) {
-            this.updateEyeStatus('Closed', 'success');
-        } else {
-            this.updateEyeStatus('Open', 'warning');
-            if (this.eyeAlerts && this.audioEnabled) {
-                this.playEyeAlert();
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator) || this.wakeLock) return;
+        
+        try {
+            const wakeLock = await navigator.wakeLock.request('screen');
+            // The session may have been paused or stopped, or another request won, while this one was pending
+            if (!this.isSessionActive || this.isPaused || this.wakeLock) {
+                wakeLock.release().catch(() => {});
+                return;
             }
+            this.wakeLock = wakeLock;
+            // The browser drops the lock whenever the page is hidden
+            wakeLock.addEventListener('release', () => {
+                if (this.wakeLock === wakeLock) {
+                    this.wakeLock = null;
+                }
+            });
+        } catch (error) {
+            console.warn('Screen wake lock unavailable:', error);
         }
     }
     
-    drawDetectionResults(faces) {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release().catch(() => {});
+            this.wakeLock = null;
+        }
+    }
+    
+    handleVisibilityChange() {
+        // Timers are throttled in background tabs, so a reminder may have come due meanwhile
+        if (document.visibilityState === 'visible' && !this.isSessionActive) {
+            this.checkReminders();
+        }
+        if (document.visibilityState !== 'visible' || !this.isSessionActive || this.isPaused) return;
         
-        faces.forEach(face => {
-            const { x, y, width, height } = face.boundingBox;
-            
-            // Draw face rectangle
-            this.ctx.strokeStyle = '#32C5A0';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(x, y, width, height);
-            
-            // Draw center alignment guide
-            this.ctx.strokeStyle = '#4A7C59';
-            this.ctx.lineWidth = 1;
-            this.ctx.setLineDash([5, 5]);
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.canvas.width / 2, 0);
-            this.ctx.lineTo(this.canvas.width / 2, this.canvas.height);
+        this.requestWakeLock();
+        this.scheduler.resync();
+        // Detection needs nothing here: its pending animation frame runs once the page is visible
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+    }
+    
+    createHeartRateSource() {
+        if (this.heartRateSource === 'bluetooth') {
+            return new BluetoothHeartRateSource();
+        }
+        if (this.heartRateSource === 'simulated') {
+            return new SimulatedHeartRateSource();
+        }
+        return null;
+    }
+    
+    async connectHeartRate() {
+        const source = this.createHeartRateSource();
+        if (!source) return;
+        
+        this.updateHeartRateStatus('Connecting...');
+        try {
+            await this.heartRateMonitor.connect(source);
+            this.updateHeartRateStatus(`Connected: ${source.name}`);
+            this.heartRateStats.forEach(stat => stat.classList.remove('hidden'));
+        } catch (error) {
+            console.warn('Heart rate sensor connection failed:', error);
+            this.updateHeartRateStatus(`Not connected: ${error.message}`);
+        }
+    }
+    
+    async disconnectHeartRate() {
+        await this.heartRateMonitor.disconnect();
+        this.handleHeartRateDisconnect();
+    }
+    
+    handleHeartRateDisconnect() {
+        this.updateHeartRateStatus(this.heartRateSource === 'off' ? 'Off' : 'Not connected');
+        this.heartRateStats.forEach(stat => stat.classList.add('hidden'));
+    }
+    
+    updateHeartRateStatus(status) {
+        this.heartRateStatus.textContent = status;
+    }
+    
+    updateHeartRateDisplay({ bpm, rmssd }) {
+        this.heartRateEl.textContent = bpm !== null ? `${bpm} bpm` : '--';
+        this.hrvEl.textContent = rmssd !== null ? `${rmssd} ms` : '--';
+    }
+    
+    async initializeAudioContext() {
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.soundscape = new Soundscape(this.audioContext);
+            this.soundscape.setVolume(this.soundscapeVolume);
+        } catch (error) {
+            console.warn('Audio context not supported:', error);
+        }
+    }
+    
+    async startSoundscape() {
+        if (!this.soundscape) return;
+        
+        try {
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            this.soundscape.start({
+                type: this.soundscapeType,
+                binauralBeat: this.binauralBeat,
+                noiseBed: this.noiseBed
+            });
+            // Pick up the breath mid-phase, e.g. after a resume or a settings change
+            if (this.scheduler.isInPhase()) {
+                const breath = this.breathingSequence[this.currentPhase];
+                this.soundscape.followBreath(breath.action, this.currentPhaseDuration - this.scheduler.getPhaseElapsed());
+            }
+        } catch (error) {
+            console.warn('Soundscape failed to start:', error);
+        }
+    }
+    
+    // Applies changed soundscape settings to a session in progress
+    refreshSoundscape() {
+        if (this.isSessionActive && !this.isPaused) {
+            this.startSoundscape();
+        }
+    }
+    
+    setMicEnabled(enabled) {
+        this.micEnabled = enabled;
+        if (!enabled) {
+            this.stopBreathDetection();
+        } else if (this.isSessionActive) {
+            this.startBreathDetection();
+        }
+    }
+    
+    async startBreathDetection() {
+        if (!this.audioContext || this.breathDetector.isRunning()) return;
+        
+        try {
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            await this.breathDetector.start(this.audioContext);
+            this.updateBreathSyncStatus('Listening', 'info');
+        } catch (error) {
+            console.error('Microphone access denied:', error);
+            this.updateBreathSyncStatus('Microphone unavailable', 'error');
+        }
+    }
+    
+    stopBreathDetection() {
+        this.breathDetector.stop();
+        this.breathSegment = null;
+        this.updateBreathSyncStatus(this.micEnabled ? 'Listening' : 'Off', 'info');
+    }
+    
+    handleBreathStart() {
+        const breath = this.breathingSequence[this.currentPhase];
+        if (!this.isSessionActive || this.isPaused || breath.action === 'hold') {
+            this.breathSegment = null;
+            return;
+        }
+        
+        this.breathSegment = {
+            phase: this.currentPhase,
+            action: breath.action,
+            target: getPhaseDuration(breath, this.breathDuration)
+        };
+    }
+    
+    handleBreathEnd(duration) {
+        const segment = this.breathSegment;
+        this.breathSegment = null;
+        if (!segment || !this.isSessionActive || this.isPaused) return;
+        
+        const entry = this.breathAdherence.record(segment.action, segment.target, duration);
+        const label = segment.action === 'in' ? 'Inhale' : 'Exhale';
+        this.updateBreathSyncStatus(`${label} ${entry.measured}s / ${entry.target}s`, entry.withinTolerance ? 'success' : 'warning');
+        
+        // Adaptive mode moves on as soon as the breath finishes, once at least half the target has passed
+        if (this.adaptiveBreathing && segment.phase === this.currentPhase && this.scheduler.isInPhase()) {
+            if (this.scheduler.getPhaseElapsed() >= segment.target * 0.5) {
+                this.nextPhase();
+            }
+        }
+    }
+    
+    // In adaptive mode a breath still in progress holds the phase, for up to twice its length
+    isWaitingForBreath(breath, overtime, duration) {
+        return this.adaptiveBreathing
+            && this.breathDetector.isRunning()
+            && this.breathDetector.breathing
+            && this.breathSegment !== null
+            && breath.action !== 'hold'
+            && overtime < duration;
+    }
+    
+    updateBreathSyncStatus(status, type) {
+        this.breathSyncStatus.textContent = status;
+        this.breathSyncStatus.className = `status status--${type}`;
+    }
+    
+    showPermissionModal() {
+        this.openModal(this.permissionModal);
+    }
+    
+    hidePermissionModal() {
+        this.closeModal(this.permissionModal);
+    }
+    
+    async requestCameraPermission() {
+        try {
+            await this.startCamera();
+            this.cameraEnabled = true;
+            this.initializeFaceDetection();
+            this.hidePermissionModal();
+            
+            // Make video visible
+            this.videoElement.style.display = 'block';
+            
+        } catch (error) {
+            console.error('Camera access denied:', error);
+            this.showDetectionUnavailable('No camera');
+            this.hidePermissionModal();
+        }
+    }
+    
+    startCamera() {
+        return this.cameraSource.start({
+            deviceId: this.cameraDeviceId,
+            resolution: this.cameraResolution,
+            frameRate: this.cameraFrameRate
+        });
+    }
+    
+    // Reopens the camera after it was released at the end of a session, and restarts detection
+    async resumeCamera() {
+        if (!this.cameraEnabled) return;
+        if (!this.cameraSource.isActive()) {
+            try {
+                await this.startCamera();
+            } catch (error) {
+                console.warn('Camera unavailable:', error);
+                return;
+            }
+        }
+        this.startDetection();
+    }
+    
+    // Applies changed camera settings now if the camera is open, otherwise when it next opens
+    async restartCamera() {
+        if (!this.cameraSource.isActive()) return;
+        try {
+            await this.startCamera();
+        } catch (error) {
+            console.warn('Could not switch camera settings:', error);
+        }
+    }
+    
+    // A replay keeps the video element until it finishes, see finishReplay()
+    handleCameraStream(stream) {
+        this.stream = stream;
+        if (!this.detectionReplay) {
+            this.videoElement.srcObject = stream;
+        }
+    }
+    
+    setMirrorVideo(mirrored) {
+        this.mirrorVideo = mirrored;
+        // The canvas flips with the video, so the overlay stays on the face
+        this.videoElement.parentElement.classList.toggle('mirrored', mirrored);
+    }
+    
+    updateCameraStatus(status, detail = '') {
+        const labels = {
+            connecting: 'Camera: Connecting...',
+            connected: 'Camera: Connected',
+            reconnecting: 'Camera: Lost, reconnecting...',
+            stopped: 'Camera: Off until the next session',
+            error: 'Camera: Disconnected'
+        };
+        this.cameraStatus.textContent = labels[status];
+        this.cameraStatus.title = status === 'connected' || status === 'error' ? detail : '';
+        this.cameraIndicator.querySelector('.indicator-dot').classList.toggle('connected', status === 'connected');
+    }
+    
+    async initializeFaceDetection() {
+        await this.initializePoseEstimation();
+        await this.initializeHandTracking();
+        
+        await this.loadFaceBackend();
+        
+        if (this.faceDetector || this.poseEstimator || this.handTracker) {
+            this.startDetection();
+        } else {
+            this.showDetectionUnavailable('Detection unavailable');
+        }
+    }
+    
+    async loadFaceBackend() {
+        if (this.faceDetector) {
+            this.faceDetector.close();
+            this.faceDetector = null;
+        }
+        this.faceModelStatus.textContent = 'Face detection: Loading...';
+        
+        const { active, failures } = await loadFaceBackend(this.faceBackend);
+        failures.forEach(failure => console.warn('Face detection backend unavailable:', failure));
+        this.faceModelStatus.title = failures.join('\n');
+        
+        if (active) {
+            this.faceDetector = active.backend;
+            this.faceModelStatus.textContent = `Face detection: ${active.name}`;
+        } else {
+            this.faceModelStatus.textContent = 'Face detection: Unavailable';
+            // Eye state has no other source; posture and head can still come from the pose model
+            this.updateEyeStatus('Needs face detection', 'info');
+        }
+        this.resetCameraPulseStatus();
+    }
+    
+    // Switches backends once the camera has been allowed
+    async setFaceBackend(preference) {
+        this.faceBackend = preference;
+        if (!this.cameraEnabled) return;
+        
+        this.finishReplay();
+        await this.loadFaceBackend();
+        // Between sessions the camera is off, and the next one starts detection
+        if (this.cameraSource.isActive() && (this.faceDetector || this.poseEstimator || this.handTracker)) {
+            this.startDetection();
+        }
+    }
+    
+    async initializePoseEstimation() {
+        const estimator = new PoseEstimator();
+        this.poseModelStatus.textContent = 'Pose model: Loading...';
+        
+        try {
+            await estimator.load();
+            this.poseEstimator = estimator;
+            this.poseModelStatus.textContent = 'Pose model: Active';
+        } catch (error) {
+            console.warn('Pose model unavailable, falling back to face position:', error);
+            this.poseModelStatus.textContent = 'Pose model: Not installed (using face position)';
+        }
+    }
+    
+    async initializeHandTracking() {
+        const tracker = new HandTracker();
+        this.handModelStatus.textContent = 'Hand model: Loading...';
+        
+        try {
+            await tracker.load();
+            this.handTracker = tracker;
+            this.handModelStatus.textContent = 'Hand model: Active';
+        } catch (error) {
+            console.warn('Hand model unavailable, mudra check disabled:', error);
+            this.handModelStatus.textContent = 'Hand model: Not installed';
+            this.updateHandStatus('Unavailable', 'info');
+        }
+    }
+    
+    startDetection() {
+        if (!this.detectionActive) {
+            this.detectionActive = true;
+            this.detectFaces();
+        }
+    }
+    
+    // A replay cannot run without the detection loop, so it ends here too
+    stopDetection() {
+        this.detectionActive = false;
+        this.finishReplay();
+    }
+    
+    async detectFaces() {
+        if (!this.detectionActive) return;
+        if (!this.faceDetector && !this.poseEstimator && !this.handTracker) {
+            // Nothing to run; startDetection() can start the loop again once a detector loads
+            this.detectionActive = false;
+            return;
+        }
+        
+        // Until the camera delivers frames, e.g. while it opens or reconnects, there is nothing to analyze
+        if (!this.detectionReplay && (this.videoElement.videoWidth === 0 || this.videoElement.videoHeight === 0)) {
+            requestAnimationFrame(() => this.detectFaces());
+            return;
+        }
+        
+        try {
+            // A replay analyzes the recorded frames at their original size, whatever the video shows
+            const replay = this.detectionReplay;
+            const frame = replay
+                ? replay.getFrameSize()
+                : { width: this.videoElement.videoWidth, height: this.videoElement.videoHeight };
+            this.canvas.width = frame.width;
+            this.canvas.height = frame.height;
+            
+            const faces = this.faceDetector ? await this.faceDetector.detect(this.videoElement) : [];
+            const pose = this.poseEstimator ? await this.poseEstimator.estimate(this.videoElement) : null;
+            this.detectionRecorder.addFrame(faces, pose);
+            this.processFaceData(faces, pose);
+            
+            // Pixels and hands are not part of a recording, so these only run on the live camera
+            if (this.cameraPulse && faces.length > 0 && !replay) {
+                this.sampleCameraPulse(faces[0]);
+            }
+            
+            if (this.handTracker && this.mudraCheck && !replay) {
+                const hands = await this.handTracker.estimate(this.videoElement);
+                this.analyzeMudra(faces, pose, hands);
+            }
+            
+            // Draw detection results
+            this.drawDetectionResults(faces, pose);
+            
+            if (replay) {
+                replay.addResult(this.getReplayResult());
+                if (replay.isFinished()) {
+                    this.finishReplay();
+                }
+            }
+            
+        } catch (error) {
+            console.error('Face detection error:', error);
+        }
+        
+        if (this.detectionActive) {
+            requestAnimationFrame(() => this.detectFaces());
+        }
+    }
+    
+    async toggleDetectionRecording() {
+        const button = document.getElementById('recordDetectionsBtn');
+        if (this.detectionRecorder.isRecording()) {
+            const label = document.getElementById('recordingLabel').value.trim();
+            const { recording, video } = await this.detectionRecorder.stop(label);
+            const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const baseName = `phase-shift-detections-${slug || getDayKey(Date.now())}`;
+            this.downloadBlob(new Blob([JSON.stringify(recording)], { type: 'application/json' }), `${baseName}.json`);
+            if (video) {
+                this.downloadBlob(video, `${baseName}.webm`);
+            }
+            button.textContent = 'Start Recording';
+            this.showReplayStatus(`Saved ${recording.frames.length} frames${video ? ' and the camera video' : ''}.`, 'success');
+            return;
+        }
+        
+        if (!this.stream || this.detectionReplay || !this.detectionActive) {
+            this.showReplayStatus('Recording needs the live camera with face or pose detection running.', 'warning');
+            return;
+        }
+        const includeVideo = document.getElementById('recordVideo').checked;
+        if (includeVideo && typeof MediaRecorder === 'undefined') {
+            this.showReplayStatus('This browser cannot record video; recording detections only.', 'warning');
+        } else {
+            this.showReplayStatus('Recording detector output...', 'info');
+        }
+        this.detectionRecorder.start({
+            width: this.videoElement.videoWidth,
+            height: this.videoElement.videoHeight,
+            stream: includeVideo ? this.stream : null
+        });
+        button.textContent = 'Stop Recording';
+    }
+    
+    async replayFromFiles(files) {
+        const recordingFile = files.find(file => file.name.endsWith('.json') || file.type === 'application/json');
+        const videoFile = files.find(file => file.type.startsWith('video/')) || null;
+        try {
+            if (!recordingFile) {
+                throw new Error('select the .json recording file.');
+            }
+            const recording = parseDetectionRecording(await recordingFile.text());
+            const summary = await this.replayDetections(recording, videoFile);
+            const message = summary.frames < recording.frames.length
+                ? `Replay stopped after ${summary.frames} of ${recording.frames.length} frames.`
+                : `Replayed ${summary.frames} frames.`;
+            const details = this.formatReplaySummary(summary);
+            // Pixels are not recorded, so the camera pulse comes from the video afterwards
+            if (videoFile && recording.frames.length > 0 && !this.isSessionActive) {
+                this.showReplayStatus(`${message} Estimating pulse from the video...`, 'info', details);
+                details.push(await this.estimateRecordedPulse(recording, videoFile));
+            }
+            this.showReplayStatus(message, 'success', details);
+        } catch (error) {
+            console.error('Error replaying detections:', error);
+            this.showReplayStatus(`Replay failed: ${error.message}`, 'error');
+        }
+    }
+    
+    // Runs a parsed recording through the analysis in place of the live detectors and
+    // resolves with the replay summary. `video` is an optional Blob or URL of the clip
+    // to show and time the replay by.
+    async replayDetections(recording, video = null) {
+        if (this.detectionRecorder.isRecording()) {
+            throw new Error('stop recording before replaying.');
+        }
+        this.finishReplay();
+        
+        const replay = new DetectionReplay(recording, video ? this.videoElement : null);
+        if (video) {
+            const source = typeof video === 'string' ? video : URL.createObjectURL(video);
+            this.videoElement.srcObject = null;
+            this.videoElement.src = source;
+            try {
+                await this.videoElement.play();
+            } catch (error) {
+                // e.g. a format the browser cannot play; the live camera comes back
+                this.videoElement.removeAttribute('src');
+                this.videoElement.srcObject = this.stream;
+                if (source !== video) {
+                    URL.revokeObjectURL(source);
+                }
+                throw error;
+            }
+            this.videoElement.style.display = 'block';
+        }
+        
+        this.liveDetectors = { faceDetector: this.faceDetector, poseEstimator: this.poseEstimator };
+        this.faceDetector = replay;
+        this.poseEstimator = replay;
+        this.detectionReplay = replay;
+        this.showReplayStatus(`Replaying ${recording.frames.length} frames${recording.label ? ` of "${recording.label}"` : ''}...`, 'info');
+        
+        const done = new Promise(resolve => this.resolveReplay = resolve);
+        replay.play();
+        this.startDetection();
+        return done;
+    }
+    
+    // Puts the live camera and detectors back once a replay ends or is replaced
+    finishReplay() {
+        const replay = this.detectionReplay;
+        if (!replay) return;
+        
+        this.detectionReplay = null;
+        this.faceDetector = this.liveDetectors.faceDetector;
+        this.poseEstimator = this.liveDetectors.poseEstimator;
+        this.liveDetectors = null;
+        
+        if (replay.video) {
+            const source = this.videoElement.src;
+            this.videoElement.pause();
+            this.videoElement.removeAttribute('src');
+            this.videoElement.srcObject = this.stream;
+            if (source.startsWith('blob:')) {
+                URL.revokeObjectURL(source);
+            }
+        }
+        if (!this.faceDetector && !this.poseEstimator && !this.handTracker) {
+            this.showDetectionUnavailable(this.stream ? 'Detection unavailable' : 'No camera');
+        }
+        // A replay between sessions ran the loop with the camera off; nothing is left to analyze.
+        // In a session the loop keeps waiting, e.g. for a camera that is reconnecting.
+        if (!this.stream && !this.isSessionActive) {
+            this.detectionActive = false;
+        }
+        
+        const summary = replay.getSummary();
+        const resolve = this.resolveReplay;
+        this.resolveReplay = null;
+        resolve(summary);
+    }
+    
+    // Runs the camera pulse estimate over a recorded video, sampling the face boxes the
+    // recording found at each moment, and resolves with a line for the replay details
+    async estimateRecordedPulse(recording, videoFile) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.src = URL.createObjectURL(videoFile);
+        try {
+            await new Promise((resolve, reject) => {
+                video.addEventListener('loadeddata', resolve, { once: true });
+                video.addEventListener('error', () => reject(new Error('the video cannot be read')), { once: true });
+            });
+            const frames = new DetectionReplay(recording, video);
+            const detectFace = () => {
+                const frame = frames.getFrame();
+                return frame && frame.faces.length > 0 ? frame.faces[0].boundingBox : null;
+            };
+            // Recorded WebM often has no duration; the recording's own timeline ends with the video
+            const duration = recording.frames[recording.frames.length - 1].t / 1000;
+            const { pulse, respiration, pulseSeconds, seconds } = summarizeVideoEstimates(
+                await analyzeRecordedVideo(video, detectFace, { fps: 15, duration })
+            );
+            if (pulse === null) {
+                return 'Camera pulse: no steady reading in the video';
+            }
+            const rates = respiration !== null ? `${pulse} bpm · ${respiration} br/min` : `${pulse} bpm`;
+            return `Camera pulse: ${rates} (read in ${pulseSeconds} of ${seconds} s)`;
+        } catch (error) {
+            console.warn('Could not estimate pulse from the video:', error);
+            return `Camera pulse: ${error.message}`;
+        } finally {
+            URL.revokeObjectURL(video.src);
+        }
+    }
+    
+    getReplayResult() {
+        return {
+            postureScore: this.postureScore,
+            postureStatus: this.postureStatus.textContent,
+            headStatus: this.headStatus.textContent,
+            eyeStatus: this.eyeStatus.textContent
+        };
+    }
+    
+    // One line per analysis result, e.g. "Posture: Good 80%, Slouching 20%"
+    formatReplaySummary({ frames, statuses, averages }) {
+        const labels = { postureStatus: 'Posture', headStatus: 'Head', eyeStatus: 'Eyes' };
+        const lines = [];
+        if (averages.postureScore !== undefined) {
+            lines.push(`Average posture score: ${averages.postureScore}%`);
+        }
+        Object.entries(statuses).forEach(([field, counts]) => {
+            const shares = Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .map(([status, count]) => `${status} ${Math.round(100 * count / frames)}%`);
+            lines.push(`${labels[field] || field}: ${shares.join(', ')}`);
+        });
+        return lines;
+    }
+    
+    showReplayStatus(message, type, details = []) {
+        const status = document.getElementById('replayStatus');
+        status.textContent = message;
+        if (details.length > 0) {
+            const list = document.createElement('ul');
+            details.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            });
+            status.appendChild(list);
+        }
+        status.className = `status status--${type}`;
+    }
+    
+    sampleCameraPulse(face) {
+        if (!this.rppgSampler) {
+            this.rppgSampler = new RPPGSampler();
+        }
+        
+        const now = performance.now();
+        const color = this.rppgSampler.sample(this.videoElement, face.boundingBox);
+        if (!color) return;
+        this.rppgEstimator.addSample(color, now / 1000);
+        
+        // The spectrum is too costly to compute every frame, and the rates change slowly anyway
+        if (now - this.lastRppgEstimate < 1000) return;
+        this.lastRppgEstimate = now;
+        
+        const { pulse, respiration } = this.rppgEstimator.estimate();
+        this.cameraVitals = {
+            pulse: pulse ? pulse.rate : null,
+            respiration: respiration ? respiration.rate : null
+        };
+        
+        if (pulse) {
+            const parts = [`${pulse.rate} bpm`];
+            if (respiration) {
+                parts.push(`${respiration.rate} br/min`);
+            }
+            this.updateCameraPulseStatus(parts.join(' · '), 'success');
+        } else if (this.rppgEstimator.getDuration() < this.rppgEstimator.pulseWindow) {
+            this.updateCameraPulseStatus('Measuring...', 'info');
+        } else {
+            this.updateCameraPulseStatus('Hold still in even light', 'warning');
+        }
+        
+        if (this.isSessionActive && !this.isPaused) {
+            if (pulse) {
+                this.sessionStats.pulseSum += pulse.rate;
+                this.sessionStats.pulseSamples++;
+            }
+            if (respiration) {
+                this.sessionStats.respirationSum += respiration.rate;
+                this.sessionStats.respirationSamples++;
+            }
+        }
+    }
+    
+    resetCameraPulseStatus() {
+        if (!this.cameraPulse) {
+            this.updateCameraPulseStatus('Off', 'info');
+        } else if (!this.faceDetector) {
+            // Skin regions are located from the face box, which only the face detector provides
+            this.updateCameraPulseStatus('Needs face detection', 'info');
+        } else {
+            this.updateCameraPulseStatus('Measuring...', 'info');
+        }
+    }
+    
+    updateCameraPulseStatus(status, type) {
+        this.cameraPulseStatus.textContent = status;
+        this.cameraPulseStatus.className = `status status--${type}`;
+    }
+    
+    // Session averages of the camera estimates, or null when none were reliable
+    getCameraVitalsSummary() {
+        const { pulseSum, pulseSamples, respirationSum, respirationSamples } = this.sessionStats;
+        if (!pulseSamples && !respirationSamples) return null;
+        return {
+            pulseBpm: pulseSamples ? Math.round(pulseSum / pulseSamples) : null,
+            respirationRate: respirationSamples ? Math.round(respirationSum / respirationSamples * 10) / 10 : null
+        };
+    }
+    
+    // Says plainly that nothing is being checked rather than showing made-up results
+    showDetectionUnavailable(reason) {
+        this.updatePostureStatus(reason, 'info');
+        this.updateHeadStatus(reason, 'info');
+        this.updateEyeStatus(reason, 'info');
+        this.updateHandStatus(reason, 'info');
+    }
+    
+    processFaceData(faces, pose = null) {
+        const analysis = this.detectionAnalyzer.analyze(faces, pose, this.canvas.width, this.canvas.height);
+        if (this.postureCalibration.isSampling()) {
+            this.postureCalibration.addSample({
+                face: analysis.face,
+                measurements: analysis.poseAnalysis ? analysis.poseAnalysis.measurements : null
+            });
+        }
+        if (analysis.poseAnalysis) {
+            this.updatePostureBreakdown(analysis.poseAnalysis.components);
+        } else {
+            this.postureBreakdown.classList.add('hidden');
+        }
+        
+        if (analysis.postureScore !== null) {
+            this.updatePostureScore(analysis.postureScore);
+        }
+        if (analysis.posture) {
+            this.updatePostureStatus(analysis.posture.status, analysis.posture.type);
+        } else if (!analysis.face) {
+            this.updatePostureStatus(this.faceDetector ? 'No face detected' : 'No body detected', 'warning');
+        }
+        if (analysis.head) {
+            this.updateHeadStatus(analysis.head.status, analysis.head.type);
+        }
+        if (analysis.eyes) {
+            this.updateEyeStatus(analysis.eyes.status, analysis.eyes.type);
+        }
+        
+        if (this.liveCoaching && this.isSessionActive && !this.isPaused && (analysis.face || analysis.poseAnalysis)) {
+            this.observeForCoaching(analysis);
+        }
+        Object.entries(analysis.issues).forEach(([issue, active]) => {
+            if (issue === 'eyes') {
+                // Eyes count as an issue once they have stayed open for the configured delay
+                this.reportIssue(issue, this.eyeAlerts && active, { dwell: this.eyeAlertDelay });
+            } else {
+                this.reportIssue(issue, active);
+            }
+        });
+    }
+    
+    // Feeds the live coach where the head and body are relative to their baselines
+    observeForCoaching({ face, poseAnalysis }) {
+        const sample = {};
+        if (face) {
+            const baseline = this.detectionAnalyzer.getFaceBaseline();
+            sample.dx = face.x - baseline.x;
+            sample.dy = face.y - baseline.y;
+            sample.sizeRatio = baseline.width ? face.width / baseline.width : null;
+        }
+        if (poseAnalysis) {
+            const ideal = { ...POSTURE_IDEALS, ...this.postureCalibration.getPoseBaseline() };
+            const { headPitch, headRoll } = poseAnalysis.measurements;
+            sample.postureDeficit = this.feedbackPolicy.getThresholds().posture.good - this.postureScore;
+            sample.headPitch = headPitch !== undefined ? headPitch - ideal.headPitch : null;
+            sample.headRoll = headRoll !== undefined ? Math.abs(headRoll - ideal.headRoll) : null;
+        }
+        this.liveCoach.observe(sample);
+    }
+    
+    showCoachPrompt(key) {
+        const prompt = document.getElementById('coachPrompt');
+        if (!key) {
+            prompt.classList.add('hidden');
+            return;
+        }
+        
+        const text = this.t(key);
+        this.announcer.show(prompt, text);
+        // Queued behind the phase cue rather than cutting it off
+        if (this.voiceEnabled) {
+            this.voiceGuide.speak(text);
+        }
+    }
+    
+    updatePostureBreakdown(components) {
+        this.postureBreakdown.classList.remove('hidden');
+        
+        Object.entries(POSTURE_COMPONENTS).forEach(([name, { label }]) => {
+            let row = this.postureBreakdown.querySelector(`[data-component="${name}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'breakdown-item';
+                row.dataset.component = name;
+                row.innerHTML = `<span class="breakdown-label">${label}</span><div class="breakdown-bar"><div class="breakdown-fill"></div></div><span class="breakdown-value"></span>`;
+                this.postureBreakdown.appendChild(row);
+            }
+            
+            const value = components[name];
+            row.classList.toggle('unavailable', value === undefined);
+            row.querySelector('.breakdown-fill').style.width = `${value || 0}%`;
+            row.querySelector('.breakdown-value').textContent = value === undefined ? '--' : `${value}%`;
+        });
+    }
+    
+    // Passes what this frame showed to the feedback policy; only practice time can raise alerts
+    reportIssue(issue, active, details = {}) {
+        const practicing = this.isSessionActive && !this.isPaused;
+        this.feedbackPolicy.update(issue, practicing && active, performance.now(), {
+            ...details,
+            second: this.scheduler.getElapsedSeconds()
+        });
+    }
+    
+    // Every alert shows on screen; repeated ones add a tone, then a spoken prompt
+    handleFeedbackAlert({ issue, channel }) {
+        const message = this.t(`alert.${issue}`);
+        this.showFeedbackAlert(message);
+        if (channel === 'visual' || !this.audioEnabled) return;
+        
+        if (channel === 'voice' && this.voiceGuide.isSupported()) {
+            this.voiceGuide.speak(message);
+        } else if (issue === 'eyes') {
+            this.playEyeAlert();
+        } else {
+            this.playPostureAlert();
+        }
+    }
+    
+    showFeedbackAlert(message) {
+        this.announcer.show(document.getElementById('feedbackAlert'), message);
+        clearTimeout(this.feedbackAlertTimer);
+        this.feedbackAlertTimer = setTimeout(() => this.hideFeedbackAlert(), 4000);
+    }
+    
+    hideFeedbackAlert() {
+        clearTimeout(this.feedbackAlertTimer);
+        this.feedbackAlertTimer = null;
+        document.getElementById('feedbackAlert').classList.add('hidden');
+    }
+    
+    async calibrateEyes() {
+        const status = document.getElementById('eyeCalibrationStatus');
+        const button = document.getElementById('calibrateEyesBtn');
+        
+        // The camera is released between sessions; detection may still be flagged on from a replay
+        const resumedCamera = this.cameraEnabled && !this.cameraSource.isActive();
+        if (this.cameraEnabled) {
+            await this.resumeCamera();
+        }
+        try {
+            if (!this.faceDetector || !this.detectionActive || !this.cameraSource.isActive()) {
+                status.textContent = 'Eye calibration needs the camera and face detection.';
+                return;
+            }
+            if (this.eyeDetector.state === 'unsupported') {
+                status.textContent = 'Eye calibration needs eye outlines; choose MediaPipe Face Mesh under Face Detection.';
+                return;
+            }
+            
+            button.disabled = true;
+            status.textContent = 'Keep your eyes open and look at the screen...';
+            const openEar = await this.sampleEyeAspectRatio(3000);
+            
+            // The user cannot read instructions with eyes closed, so tones mark start and end
+            status.textContent = 'Close your eyes now and keep them closed until the second tone.';
+            this.playBreathingSound(440, 0.2);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            const closedEar = await this.sampleEyeAspectRatio(3000);
+            this.playBreathingSound(660, 0.3);
+            
+            this.eyeDetector.setCalibration(openEar, closedEar);
+            status.textContent = 'Eye detection calibrated.';
+        } catch (error) {
+            console.error('Eye calibration failed:', error);
+            status.textContent = `Calibration failed: ${error.message}`;
+        } finally {
+            button.disabled = false;
+            if (resumedCamera) {
+                this.releaseIdleCamera();
+            }
+        }
+    }
+    
+    // Records the user's best seated position into the profile `id`, or a new profile.
+    // Resolves with the profile, or null when calibration was not possible. `keepCamera`
+    // leaves a camera opened for calibration on, for a session that starts right after.
+    async calibratePosture({ id = null, name = '', keepCamera = false } = {}) {
+        const status = document.getElementById('postureCalibrationStatus');
+        if (this.isCalibratingPosture) return null;
+        if (this.isSessionActive) {
+            status.textContent = 'Finish or stop the session before calibrating.';
+            return null;
+        }
+        // The camera was released when the last session ended
+        const resumedCamera = this.cameraEnabled && !this.cameraSource.isActive();
+        if (this.cameraEnabled) {
+            this.isCalibratingPosture = true;
+            await this.resumeCamera();
+            this.isCalibratingPosture = false;
+        }
+        try {
+            if (!this.detectionActive || !this.cameraSource.isActive() || (!this.faceDetector && !this.poseEstimator)) {
+                status.textContent = 'Posture calibration needs the camera and face or pose detection.';
+                return null;
+            }
+            
+            this.isCalibratingPosture = true;
+            this.startBtn.disabled = true;
+            const instruction = 'Sit tall in your best position and hold still...';
+            status.textContent = instruction;
+            this.breathText.textContent = instruction;
+            
+            this.postureCalibration.beginSample();
+            await new Promise(resolve => setTimeout(resolve, POSTURE_CALIBRATION_DURATION));
+            const baseline = this.postureCalibration.endSample();
+            this.playBreathingSound(660, 0.3);
+            
+            this.isCalibratingPosture = false;
+            this.startBtn.disabled = false;
+            this.breathText.textContent = this.t('guide.ready');
+            if (!baseline) {
+                status.textContent = 'Calibration failed: neither a face nor a body was visible.';
+                return null;
+            }
+            
+            const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+            const profile = this.postureCalibration.saveProfile({
+                id,
+                name: name || `Setup ${this.postureCalibration.getProfiles().length + 1}`,
+                camera: track && track.label ? track.label : null,
+                baseline
+            });
+            this.postureHistory = [];
+            this.populatePostureProfilePicker();
+            status.textContent = `Calibrated "${profile.name}".`;
+            return profile;
+        } finally {
+            if (resumedCamera && !keepCamera) {
+                this.releaseIdleCamera();
+            }
+        }
+    }
+    
+    // Calibrating between sessions opens the camera; this turns it off again
+    releaseIdleCamera() {
+        if (this.isSessionActive) return;
+        this.stopDetection();
+        if (this.cameraEnabled && !this.detectionRecorder.isRecording()) {
+            this.cameraSource.stop();
+        }
+    }
+    
+    deletePostureProfile() {
+        const profile = this.postureCalibration.getActiveProfile();
+        if (!profile) return;
+        
+        this.postureCalibration.deleteProfile(profile.id);
+        this.postureHistory = [];
+        this.populatePostureProfilePicker();
+        document.getElementById('postureCalibrationStatus').textContent = `Deleted "${profile.name}". Posture is judged against the center of the frame.`;
+    }
+    
+    showPostureProfileStatus() {
+        const profile = this.postureCalibration.getActiveProfile();
+        document.getElementById('postureCalibrationStatus').textContent = profile
+            ? `Calibrated ${new Date(profile.calibratedAt).toLocaleDateString()}`
+            : 'Not calibrated - posture is judged against the center of the frame';
+    }
+    
+    async sampleEyeAspectRatio(duration) {
+        this.eyeDetector.beginCalibrationSample();
+        await new Promise(resolve => setTimeout(resolve, duration));
+        return this.eyeDetector.endCalibrationSample();
+    }
+    
+    // Nose position and face width in canvas pixels, from whichever detector saw the face
+    getNoseReference(faces, pose) {
+        if (pose) {
+            const nose = pose[POSE_LANDMARKS.nose];
+            const leftEar = pose[POSE_LANDMARKS.leftEar];
+            const rightEar = pose[POSE_LANDMARKS.rightEar];
+            if (nose && nose.visibility >= MIN_LANDMARK_VISIBILITY) {
+                const earDistance = leftEar && rightEar ? Math.abs(leftEar.x - rightEar.x) * this.canvas.width : 0;
+                return {
+                    x: nose.x * this.canvas.width,
+                    y: nose.y * this.canvas.height,
+                    faceWidth: earDistance || this.canvas.width * 0.15
+                };
+            }
+        }
+        
+        if (faces.length > 0) {
+            const { x, y, width, height } = faces[0].boundingBox;
+            const noseLandmark = (faces[0].landmarks || []).find(landmark => landmark.type === 'nose');
+            if (noseLandmark && noseLandmark.locations.length) {
+                const points = noseLandmark.locations;
+                return {
+                    x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+                    y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+                    faceWidth: width
+                };
+            }
+            return { x: x + width / 2, y: y + height * 0.6, faceWidth: width };
+        }
+        return null;
+    }
+    
+    analyzeMudra(faces, pose, hands) {
+        if (!this.isSessionActive || this.isPaused) {
+            this.updateHandStatus('Monitoring', 'info');
+            return;
+        }
+        
+        const reference = this.getNoseReference(faces, pose);
+        if (!reference) {
+            this.updateHandStatus('Face not visible', 'info');
+            return;
+        }
+        
+        const breath = this.breathingSequence[this.currentPhase];
+        const detection = detectBlockedNostrils(hands, reference, reference.faceWidth, this.canvas.width, this.canvas.height);
+        const status = evaluateMudra(breath, detection, getBreathingPattern(this.breathingPattern).mudra === true);
+        this.mudraTracker.recordFrame(status);
+        
+        if (status === 'not_needed') {
+            this.updateHandStatus('No mudra needed', 'info');
+        } else if (status === 'correct') {
+            this.updateHandStatus('Correct hand', 'success');
+        } else if (status === 'incorrect') {
+            this.updateHandStatus(breath.nostril === 'both' ? 'Release the nose' : 'Wrong nostril blocked', 'error');
+        } else {
+            this.updateHandStatus('Raise hand to nose', 'warning');
+        }
+    }
+    
+    drawDetectionResults(faces, pose = null) {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        faces.forEach(face => {
+            const { x, y, width, height } = face.boundingBox;
+            
+            // Draw face rectangle
+            this.ctx.strokeStyle = '#32C5A0';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(x, y, width, height);
+            
+            // Draw center alignment guide
+            this.ctx.strokeStyle = '#4A7C59';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.canvas.width / 2, 0);
+            this.ctx.lineTo(this.canvas.width / 2, this.canvas.height);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        });
+        
+        if (pose) {
+            this.drawPoseSkeleton(pose);
+        }
+    }
+    
+    drawPoseSkeleton(landmarks) {
+        const toCanvas = name => {
+            const landmark = landmarks[POSE_LANDMARKS[name]];
+            if (!landmark || (landmark.visibility !== undefined && landmark.visibility < MIN_LANDMARK_VISIBILITY)) {
+                return null;
+            }
+            return { x: landmark.x * this.canvas.width, y: landmark.y * this.canvas.height };
+        };
+        
+        this.ctx.strokeStyle = '#E68161';
+        this.ctx.lineWidth = 3;
+        POSE_CONNECTIONS.forEach(([from, to]) => {
+            const a = toCanvas(from);
+            const b = toCanvas(to);
+            if (!a || !b) return;
+            this.ctx.beginPath();
+            this.ctx.moveTo(a.x, a.y);
+            this.ctx.lineTo(b.x, b.y);
             this.ctx.stroke();
-            this.ctx.setLineDash([]);
+        });
+        
+        this.ctx.fillStyle = '#32C5A0';
+        Object.keys(POSE_LANDMARKS).forEach(name => {
+            const point = toCanvas(name);
+            if (!point) return;
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
         });
     }
     
@@ -342,6 +2059,11 @@ class PhaseShift2025 {
         this.eyeStatus.className = `status status--${type}`;
     }
     
+    updateHandStatus(status, type) {
+        this.handStatus.textContent = status;
+        this.handStatus.className = `status status--${type}`;
+    }
+    
     updatePostureScore(score) {
         this.postureHistory.push(score);
         if (this.postureHistory.length > 10) {
@@ -351,6 +2073,10 @@ class PhaseShift2025 {
         const avgScore = this.postureHistory.reduce((a, b) => a + b, 0) / this.postureHistory.length;
         this.postureScore = Math.round(avgScore);
         this.postureScoreEl.textContent = `${this.postureScore}%`;
+        
+        // Levels follow the feedback sensitivity's posture thresholds
+        this.breathingSession.postureThresholds = this.feedbackPolicy.getThresholds().posture;
+        this.breathingSession.reportPosture(this.postureScore);
     }
     
     async playBreathingSound(frequency = 220, duration = 0.2) {
@@ -385,23 +2111,67 @@ class PhaseShift2025 {
         this.playBreathingSound(300, 0.15);
     }
     
-    startSession() {
+    // Calibrates first on first use, or before every session when asked to, as long as
+    // the camera is on. A session starts either way; a failed calibration is reported.
+    async beginSession() {
+        if (this.isSessionActive || this.isCalibratingPosture) return;
+        
+        const profile = this.postureCalibration.getActiveProfile();
+        const firstUse = this.postureCalibration.getProfiles().length === 0 && !this.autoCalibrationFailed;
+        let calibrated = true;
+        if (this.cameraEnabled && (this.recalibrateOnStart || firstUse)) {
+            calibrated = await this.calibratePosture({ id: profile ? profile.id : null, keepCamera: true }) !== null;
+            this.autoCalibrationFailed = !calibrated;
+        }
+        this.startSession();
+        if (!calibrated && this.isSessionActive) {
+            this.showFeedbackAlert(profile
+                ? `Posture was not recalibrated; "${profile.name}" is used.`
+                : 'Posture was not calibrated, so it is judged against the center of the frame.');
+        }
+    }
+    
+    // A class start passes its ID, and how far into the class session this student is joining
+    startSession({ alreadyElapsed = 0, classId = null } = {}) {
         if (this.isSessionActive) return;
         
-        this.isSessionActive = true;
-        this.isPaused = false;
-        this.sessionStartTime = Date.now();
+        // The class, or a reminder with its own pattern, sets the pattern and durations
+        const reminder = this.sessionReminderId ? this.practiceSchedule.getReminder(this.sessionReminderId) : null;
+        this.sessionUsesProgram = this.programTracker.isEnrolled() && !classId && !(reminder && reminder.pattern);
+        if (this.sessionUsesProgram) {
+            this.applyProgramSession();
+        }
+        this.sessionClassId = classId;
+        if (classId) {
+            this.sessionReminderId = null;
+        }
+        this.showReminderBanner(null);
+        
         this.currentPhase = 0;
-        this.cycleCount = 0;
         this.postureHistory = [];
+        this.sessionStats = this.createSessionStats();
+        this.eyeDetector.reset();
+        this.mudraTracker.reset();
+        this.breathAdherence.reset();
+        this.timeline.reset();
+        this.feedbackPolicy.reset();
+        this.liveCoach.reset();
+        this.heartRateMonitor.beginSession();
         
-        this.updateControls();
-        this.startSessionTimer();
-        this.startBreathingCycle();
+        this.breathingSession.start(alreadyElapsed);
+        this.startSoundscape();
         this.startDetection();
+        // Not awaited: the guide starts at once, and detection waits for the camera's first frames
+        this.resumeCamera();
+        this.requestWakeLock();
+        
+        if (this.micEnabled) {
+            this.startBreathDetection();
+        }
         
         // Initialize posture score display
         this.postureScoreEl.textContent = '100%';
+        this.publishClassState(true);
     }
     
     togglePause() {
@@ -415,96 +2185,324 @@ class PhaseShift2025 {
     }
     
     pauseSession() {
-        if (!this.isSessionActive || this.isPaused) return;
-        
-        this.isPaused = true;
-        this.clearBreathingTimers();
+        this.breathingSession.pause();
+    }
+    
+    handlePause() {
+        this.timeline.pause(this.scheduler.getElapsedSeconds(), this.getTimelineSample());
+        this.voiceGuide.cancel();
+        this.showCoachPrompt(null);
+        this.releaseWakeLock();
+        if (this.soundscape) {
+            this.soundscape.fadeOut();
+        }
         this.updateControls();
-        this.breathText.textContent = 'Paused';
+        this.showPausedDisplay();
+        this.announcer.announce(this.t('announce.paused'));
+        this.publishClassState(true);
+    }
+    
+    showPausedDisplay() {
+        this.breathText.textContent = this.t('guide.paused');
         this.breathTimerEl.textContent = '--';
     }
     
     resumeSession() {
-        if (!this.isSessionActive || !this.isPaused) return;
-        
-        this.isPaused = false;
+        this.breathingSession.resume();
+    }
+    
+    // Runs before the clock restarts, so the interrupted phase shows before its next tick
+    handleResume() {
+        this.timeline.resume();
         this.updateControls();
-        this.startBreathingCycle();
+        // The interrupted phase continues where it left off
+        this.updateBreathingDisplay(this.breathingSequence[this.currentPhase]);
+        this.announcer.announce(this.t('announce.resumed', { instruction: this.breathingInstruction.textContent }));
+        this.startSoundscape();
+        this.requestWakeLock();
+        this.publishClassState(true);
+    }
+    
+    // Camera vitals; the BreathingSession keeps the posture and pause counts
+    createSessionStats() {
+        return {
+            pulseSum: 0,
+            pulseSamples: 0,
+            respirationSum: 0,
+            respirationSamples: 0
+        };
     }
     
     stopSession() {
-        this.isSessionActive = false;
-        this.isPaused = false;
-        this.clearAllTimers();
-        this.stopDetection();
-        this.updateControls();
-        this.resetDisplay();
-        this.showSessionComplete();
+        if (this.isSessionActive) {
+            // finishSession() follows from the session's sessionend event
+            this.breathingSession.stop();
+        } else {
+            this.finishSession(null);
+        }
     }
     
-    startSessionTimer() {
-        this.sessionTimer = setInterval(() => {
-            if (this.isPaused) return;
-            
-            const elapsed = Math.floor((Date.now() - this.sessionStartTime) / 1000);
-            this.updateSessionDisplay(elapsed);
-            
-            if (elapsed >= this.sessionDuration) {
-                this.stopSession();
+    // `base` is the BreathingSession's summary, or null when no session was running.
+    // The session record and the app's sessionend summary add the app's own data to it.
+    finishSession(base) {
+        let programResult = null;
+        let summary = null;
+        
+        if (base) {
+            const { completed, ...fields } = base;
+            this.mudraTracker.endPhase();
+            // Class and reminder sessions with their own settings do not advance the program
+            if (this.sessionUsesProgram) {
+                programResult = this.programTracker.recordSession({
+                    completion: Math.min(1, fields.elapsed / fields.sessionDuration),
+                    // Null when no posture was measured; the program then does not judge it
+                    postureScore: fields.averagePosture
+                });
             }
-        }, 1000);
+            const record = {
+                ...fields,
+                programId: this.sessionUsesProgram ? this.programTracker.getProgramId() : null,
+                classId: this.sessionClassId,
+                reminderId: this.sessionReminderId,
+                stoppedEarly: !completed,
+                mudraAccuracy: this.mudraTracker.getSummary(this.breathingSequence),
+                breathAdherence: this.breathAdherence.getSummary(),
+                heartRate: this.heartRateMonitor.endSession(),
+                cameraVitals: this.getCameraVitalsSummary(),
+                alerts: this.feedbackPolicy.getLog(),
+                timeline: this.timeline.finish()
+            };
+            this.saveSessionRecord(record);
+            const { timeline, ...rest } = record;
+            summary = { ...rest, completed };
+        }
+        
+        this.voiceGuide.cancel();
+        if (this.soundscape) {
+            this.soundscape.fadeOut();
+        }
+        this.releaseWakeLock();
+        this.hideFeedbackAlert();
+        this.showCoachPrompt(null);
+        this.stopDetection();
+        // Turns the camera light off; a detection recording in progress keeps it
+        if (this.cameraEnabled && !this.detectionRecorder.isRecording()) {
+            this.cameraSource.stop();
+        }
+        this.stopBreathDetection();
+        this.updateControls();
+        this.resetDisplay();
+        this.updateProgramStatus();
+        if (this.sessionClassId) {
+            this.showClassBanner(null);
+        }
+        this.sessionReminderId = null;
+        this.publishClassState(true);
+        this.showSessionComplete(programResult);
+        if (summary) {
+            this.vibrate(SESSION_END_VIBRATION);
+            this.emit('sessionend', { summary });
+        }
     }
     
-    startBreathingCycle() {
-        if (!this.isSessionActive || this.isPaused) return;
-        
-        const currentBreath = this.breathingSequence[this.currentPhase];
-        this.updateBreathingDisplay(currentBreath);
+    // Phases the scheduler skipped through while catching up never get here
+    handlePhaseStart({ index, duration }) {
+        const breath = this.breathingSequence[index];
+        this.currentPhase = index;
+        this.currentPhaseDuration = duration;
+        this.updateBreathingDisplay(breath);
+        this.breathTimerEl.textContent = duration;
         
+        this.mudraTracker.startPhase(index);
         if (this.audioEnabled) {
-            this.playBreathingSound(currentBreath.action === 'in' ? 440 : 330, 0.1);
+            this.playPhaseSound(breath);
+        }
+        this.vibrate(getPhaseVibration(breath));
+        this.announcer.announce(this.t('announce.phase', { instruction: this.t(breath.instructionKey), seconds: duration }), { assertive: true });
+        if (this.soundscape) {
+            this.soundscape.followBreath(breath.action, duration);
         }
+        if (this.voiceEnabled) {
+            this.voiceGuide.speak(translateVoice(this.language, breath.instructionKey), { interrupt: true });
+        }
+        this.showCoachPrompt(this.liveCoaching ? this.liveCoach.nextPrompt(breath.action) : null);
+    }
+    
+    handlePhaseEnd({ index }) {
+        this.mudraTracker.endPhase();
+        // Point at the upcoming phase during the short transition, as breath onsets may lead it
+        this.currentPhase = (index + 1) % this.breathingSequence.length;
+    }
+    
+    handleTick({ remaining, waiting, elapsed }) {
+        this.updateSessionDisplay(elapsed);
+        this.timeline.record(elapsed, this.getTimelineSample());
+        this.publishClassState();
+        this.breathTimerEl.textContent = waiting ? '...' : remaining;
         
-        this.startBreathCountdown();
+        // Count the seconds of the phase aloud, skipping any count the phase cue is still speaking over
+        const count = this.currentPhaseDuration - remaining + 1;
+        if (this.voiceEnabled && this.countAloud && !waiting && remaining > 0 && count > 1 && !this.voiceGuide.isSpeaking()) {
+            this.voiceGuide.speak(translateCount(this.language, count));
+        }
     }
     
-    startBreathCountdown() {
-        let count = this.breathDuration;
-        this.breathTimerEl.textContent = count;
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    
+    toggleClass() {
+        if (this.classClient.isJoined()) {
+            this.cancelClassStart();
+            this.classClient.disconnect();
+            return;
+        }
         
-        this.breathCountdown = setInterval(() => {
-            count--;
-            this.breathTimerEl.textContent = count;
-            
-            if (count <= 0) {
-                this.nextPhase();
-            }
-        }, 1000);
+        this.classRelayUrl = document.getElementById('classRelayUrl').value.trim() || getDefaultRelayUrl();
+        this.classId = document.getElementById('classId').value.trim();
+        this.studentName = document.getElementById('studentName').value.trim();
+        if (!this.classId) {
+            this.updateClassStatus('error', 'enter the class ID from your instructor');
+            return;
+        }
+        this.classClient.connect({ url: this.classRelayUrl, classId: this.classId, name: this.studentName });
     }
     
-    nextPhase() {
-        if (!this.isSessionActive || this.isPaused) return;
+    updateClassStatus(status, detail = '') {
+        const labels = {
+            connecting: 'Connecting to the class relay...',
+            joined: `Joined class ${this.classId}`,
+            reconnecting: 'Connection lost, reconnecting...',
+            disconnected: 'Not in a class',
+            error: `Class mode: ${detail}`
+        };
+        document.getElementById('classStatus').textContent = labels[status];
+        document.getElementById('joinClassBtn').textContent = this.classClient.isJoined() ? 'Leave Class' : 'Join Class';
+        if (status === 'joined') {
+            this.publishClassState(true);
+        }
+    }
+    
+    // What the instructor sees; deliberately no images or landmark data
+    getClassState() {
+        const breath = this.breathingSequence[this.currentPhase];
+        return {
+            active: this.isSessionActive,
+            paused: this.isPaused,
+            pattern: this.breathingPattern,
+            patternName: getBreathingPattern(this.breathingPattern).name,
+            phase: this.isSessionActive ? breath.phase : null,
+            action: this.isSessionActive ? breath.action : null,
+            cycle: this.cycleCount,
+            elapsed: this.isSessionActive ? this.scheduler.getElapsedSeconds() : 0,
+            sessionDuration: this.sessionDuration,
+            postureScore: this.isSessionActive ? this.postureScore : null,
+            postureStatus: this.postureStatus.textContent,
+            headStatus: this.headStatus.textContent,
+            eyeStatus: this.eyeStatus.textContent,
+            handStatus: this.handStatus.textContent
+        };
+    }
+    
+    publishClassState(force = false) {
+        if (this.classClient.isJoined()) {
+            this.classClient.sendState(this.getClassState(), force);
+        }
+    }
+    
+    handleClassMessage(message) {
+        if (message.type === 'schedule') {
+            this.scheduleClassStart(message);
+        } else if (message.type === 'cancel') {
+            this.cancelClassStart();
+            this.showClassBanner('The instructor cancelled the class start.');
+        }
+    }
+    
+    scheduleClassStart({ pattern, breathDuration, sessionDuration, startAt }) {
+        // A reconnect mid-class gets the schedule again; the running class session already follows it
+        if (this.isSessionActive && this.sessionClassId) return;
         
-        this.clearBreathingTimers();
+        this.cancelClassStart();
+        if (this.isSessionActive) {
+            this.showClassBanner('The class has started. Stop your session to join in.');
+            return;
+        }
         
-        this.currentPhase = (this.currentPhase + 1) % 4;
+        if (breathDuration) {
+            this.breathDuration = breathDuration;
+        }
+        if (sessionDuration) {
+            this.sessionDuration = sessionDuration;
+        }
+        this.setBreathingPattern(pattern);
+        this.resetDisplay();
         
-        if (this.currentPhase === 0) {
-            this.cycleCount++;
-            this.cycleCountEl.textContent = this.cycleCount;
+        this.classSchedule = { startAt: this.classClient.toLocalTime(startAt) };
+        this.classStartTimer = setTimeout(() => this.startClassSession(), Math.max(0, this.classSchedule.startAt - Date.now()));
+        this.classCountdownTimer = setInterval(() => this.updateClassCountdown(), 500);
+        this.updateClassCountdown();
+    }
+    
+    updateClassCountdown() {
+        const remaining = Math.ceil((this.classSchedule.startAt - Date.now()) / 1000);
+        this.showClassBanner(`Class starts in ${Math.max(0, remaining)}s - ${getBreathingPattern(this.breathingPattern).name}`);
+    }
+    
+    startClassSession() {
+        const lateBy = Date.now() - this.classSchedule.startAt;
+        this.cancelClassStart();
+        if (lateBy >= this.sessionDuration * 1000) {
+            this.showClassBanner('The class session has already ended.');
+            return;
         }
         
-        // Small delay for transition
-        setTimeout(() => {
-            if (this.isSessionActive && !this.isPaused) {
-                this.startBreathingCycle();
-            }
-        }, 500);
+        this.showClassBanner(`Class ${this.classId} in progress`);
+        this.startSession({ alreadyElapsed: Math.max(0, lateBy), classId: this.classId });
+    }
+    
+    cancelClassStart() {
+        clearTimeout(this.classStartTimer);
+        clearInterval(this.classCountdownTimer);
+        this.classStartTimer = null;
+        this.classCountdownTimer = null;
+        this.classSchedule = null;
+        this.showClassBanner(null);
+    }
+    
+    showClassBanner(text) {
+        const banner = document.getElementById('classBanner');
+        banner.textContent = text || '';
+        banner.classList.toggle('hidden', !text);
+    }
+    
+    getTimelineSample() {
+        const breath = this.breathingSequence[this.currentPhase];
+        return {
+            phase: breath.phase,
+            action: breath.action,
+            postureScore: this.postureScore,
+            headStatus: this.headStatus.textContent,
+            eyeStatus: this.eyeStatus.textContent,
+            heartRate: this.heartRateMonitor.isConnected() ? this.heartRateMonitor.getLive().bpm : null,
+            cameraPulse: this.cameraPulse ? this.cameraVitals.pulse : null
+        };
+    }
+    
+    playPhaseSound(breath) {
+        const frequencies = { in: 440, out: 330, hold: 392 };
+        this.playBreathingSound(frequencies[breath.action] || 440, 0.1);
+    }
+    
+    nextPhase() {
+        if (!this.isSessionActive || this.isPaused) return;
+        
+        this.scheduler.advance();
     }
     
     updateBreathingDisplay(breath) {
         // Update the main instruction text with detailed nostril guidance
-        this.breathingInstruction.textContent = breath.instruction;
+        this.breathingInstruction.textContent = this.t(breath.instructionKey);
         
         // Update nostril indicators
         this.leftNostril.classList.remove('active', 'blocked');
@@ -513,19 +2511,31 @@ class PhaseShift2025 {
         if (breath.nostril === 'left') {
             this.leftNostril.classList.add('active');
             this.rightNostril.classList.add('blocked');
-        } else {
+        } else if (breath.nostril === 'right') {
+            this.rightNostril.classList.add('active');
+            this.leftNostril.classList.add('blocked');
+        } else if (breath.nostril === 'both') {
+            this.leftNostril.classList.add('active');
             this.rightNostril.classList.add('active');
+        } else {
             this.leftNostril.classList.add('blocked');
+            this.rightNostril.classList.add('blocked');
         }
         
         // Update breathing guide animation and text
-        this.breathingGuide.classList.remove('inhaling', 'exhaling');
+        const through = this.t(`nostril.${breath.nostril}`);
+        this.breathingGuide.classList.remove('inhaling', 'exhaling', 'holding');
         if (breath.action === 'in') {
             this.breathingGuide.classList.add('inhaling');
-            this.breathText.textContent = `Inhale through ${breath.nostril} nostril`;
-        } else {
+            this.breathText.textContent = this.t('guide.inhale', { through });
+        } else if (breath.action === 'out') {
             this.breathingGuide.classList.add('exhaling');
-            this.breathText.textContent = `Exhale through ${breath.nostril} nostril`;
+            this.breathText.textContent = this.t('guide.exhale', { through });
+        } else {
+            // Retention keeps the circle at the size of the preceding breath
+            const previous = this.breathingSequence[(this.currentPhase - 1 + this.breathingSequence.length) % this.breathingSequence.length];
+            this.breathingGuide.classList.add('holding', previous.action === 'out' ? 'exhaling' : 'inhaling');
+            this.breathText.textContent = this.t('guide.hold');
         }
     }
     
@@ -553,77 +2563,503 @@ class PhaseShift2025 {
         }
     }
     
-    clearBreathingTimers() {
-        if (this.breathCountdown) {
-            clearInterval(this.breathCountdown);
-            this.breathCountdown = null;
-        }
-    }
-    
-    clearAllTimers() {
-        this.clearBreathingTimers();
-        if (this.sessionTimer) {
-            clearInterval(this.sessionTimer);
-            this.sessionTimer = null;
-        }
-    }
-    
     resetDisplay() {
         this.sessionTimerEl.textContent = '00:00';
         this.cycleCountEl.textContent = '0';
         this.postureScoreEl.textContent = '--';
-        this.breathTimerEl.textContent = '4';
-        this.breathingInstruction.textContent = 'Prepare for practice';
-        this.breathText.textContent = 'Ready to begin';
+        this.breathTimerEl.textContent = getPhaseDuration(this.breathingSequence[0], this.breathDuration);
+        this.breathingInstruction.textContent = this.t('instruction.prepare');
+        this.breathText.textContent = this.t('guide.ready');
         
         // Reset nostril indicators
         this.leftNostril.classList.remove('active', 'blocked');
         this.rightNostril.classList.remove('active', 'blocked');
-        this.breathingGuide.classList.remove('inhaling', 'exhaling');
+        this.breathingGuide.classList.remove('inhaling', 'exhaling', 'holding');
+    }
+    
+    openModal(modal) {
+        modal.classList.remove('hidden');
+        this.modalTraps.get(modal).activate();
+    }
+    
+    closeModal(modal) {
+        modal.classList.add('hidden');
+        this.modalTraps.get(modal).deactivate();
+    }
+    
+    // Shortcuts are off while a dialog is open; its own keys (Tab, Escape) are handled by its focus trap
+    handleShortcut(event) {
+        const command = getShortcutCommand(event);
+        if (!command || [...this.modalTraps.keys()].some(modal => !modal.classList.contains('hidden'))) return;
+        
+        event.preventDefault();
+        if (command === 'toggle') {
+            if (this.isSessionActive) {
+                this.togglePause();
+            } else {
+                this.beginSession();
+            }
+        } else if (command === 'stop') {
+            if (this.isSessionActive) {
+                this.stopSession();
+            }
+        } else if (command === 'settings') {
+            this.showSettings();
+        } else if (command === 'history') {
+            this.showHistory();
+        } else if (command === 'status') {
+            this.announceStatus();
+        }
+    }
+    
+    announceStatus() {
+        if (!this.isSessionActive) {
+            this.announcer.announce(this.t('announce.idle'), { assertive: true });
+            return;
+        }
+        if (this.isPaused) {
+            this.announcer.announce(this.t('announce.paused'), { assertive: true });
+            return;
+        }
+        this.announcer.announce(this.t('announce.status', {
+            instruction: this.breathingInstruction.textContent,
+            cycles: this.cycleCount,
+            elapsed: this.formatDuration(this.scheduler.getElapsedSeconds()),
+            total: this.formatDuration(this.sessionDuration)
+        }), { assertive: true });
+    }
+    
+    vibrate(pattern) {
+        if (this.vibrationEnabled && canVibrate()) {
+            navigator.vibrate(pattern);
+        }
     }
     
     showSettings() {
-        this.settingsModal.classList.remove('hidden');
+        this.openModal(this.settingsModal);
         this.loadSettingsValues();
+        this.populateCameraDevices();
     }
     
     hideSettings() {
-        this.settingsModal.classList.add('hidden');
+        this.closeModal(this.settingsModal);
         this.saveSettings();
     }
     
-    showSessionComplete() {
-        const elapsed = this.sessionStartTime ? Math.floor((Date.now() - this.sessionStartTime) / 1000) : 0;
-        const minutes = Math.floor(elapsed / 60);
-        const seconds = elapsed % 60;
+    showSessionComplete(programResult = null) {
+        const elapsed = this.scheduler.getElapsedSeconds();
         
-        document.getElementById('finalTime').textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        document.getElementById('finalTime').textContent = this.formatDuration(elapsed);
         document.getElementById('finalCycles').textContent = this.cycleCount;
-        document.getElementById('finalPosture').textContent = `${this.postureScore}%`;
+        const averagePosture = this.breathingSession.getAveragePosture();
+        document.getElementById('finalPosture').textContent = averagePosture !== null ? `${averagePosture}%` : '--';
+        
+        this.renderMudraSummary(this.mudraTracker.getSummary(this.breathingSequence));
+        this.renderBreathSummary(this.breathAdherence.getSummary());
+        this.renderHeartRateSummary(this.lastSessionRecord ? this.lastSessionRecord.heartRate : null);
+        this.renderCameraVitalsSummary(this.lastSessionRecord ? this.lastSessionRecord.cameraVitals : null);
+        this.renderAlertSummary(this.lastSessionRecord ? this.lastSessionRecord.alerts : []);
+        this.renderCoachReport(this.lastSessionRecord);
+        
+        const programOutcome = document.getElementById('programOutcome');
+        if (programResult) {
+            programOutcome.textContent = this.t(programResult.reason, programResult.reasonParams);
+            programOutcome.className = `status status--${programResult.advanced ? 'success' : 'info'}`;
+        } else {
+            programOutcome.className = 'hidden';
+        }
+        
+        this.openModal(this.sessionCompleteModal);
+    }
+    
+    renderMudraSummary(summary) {
+        const container = document.getElementById('mudraSummary');
+        const list = container.querySelector('ul');
+        list.innerHTML = '';
+        summary.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${this.t(entry.instructionKey)}: ${entry.correct}/${entry.attempts} correct`;
+            list.appendChild(item);
+        });
+        container.classList.toggle('hidden', summary.length === 0);
+    }
+    
+    renderBreathSummary(summary) {
+        const breathSummary = document.getElementById('breathSummary');
+        if (!summary) {
+            breathSummary.classList.add('hidden');
+            return;
+        }
+        
+        const parts = [`${summary.adherence}% of breaths on time`];
+        if (summary.inhale) {
+            parts.push(`inhale ${summary.inhale.averageMeasured}s / ${summary.inhale.averageTarget}s`);
+        }
+        if (summary.exhale) {
+            parts.push(`exhale ${summary.exhale.averageMeasured}s / ${summary.exhale.averageTarget}s`);
+        }
+        breathSummary.textContent = `Breath timing: ${parts.join(', ')}`;
+        breathSummary.classList.remove('hidden');
+    }
+    
+    renderHeartRateSummary(heartRate) {
+        const heartRateSummary = document.getElementById('heartRateSummary');
+        if (!heartRate) {
+            heartRateSummary.classList.add('hidden');
+            return;
+        }
+        
+        heartRateSummary.textContent = this.formatHeartRateChange(heartRate);
+        heartRateSummary.classList.remove('hidden');
+    }
+    
+    renderCameraVitalsSummary(vitals) {
+        const vitalsSummary = document.getElementById('cameraVitalsSummary');
+        if (!vitals) {
+            vitalsSummary.classList.add('hidden');
+            return;
+        }
+        
+        vitalsSummary.textContent = `Camera estimate: ${this.formatCameraVitals(vitals)}`;
+        vitalsSummary.classList.remove('hidden');
+    }
+    
+    // Uses the selected coach engine, falling back to the built-in rules if it fails
+    async generateCoachReport(session) {
+        let recentSessions = [];
+        try {
+            recentSessions = await this.sessionHistory.getSessions();
+        } catch (error) {
+            console.warn('Session history unavailable for the coach report:', error);
+        }
+        
+        const input = { session, recentSessions };
+        const engine = (COACH_ENGINES[this.coachEngine] || COACH_ENGINES.rules).create({ serverUrl: this.coachServerUrl });
+        try {
+            return { ...await engine.generate(input), engine: engine.name };
+        } catch (error) {
+            if (engine instanceof RuleCoachEngine) throw error;
+            console.warn('Coach engine failed, using the built-in rules:', error);
+            const fallback = new RuleCoachEngine();
+            return { ...await fallback.generate(input), engine: `${fallback.name} (${engine.name} unavailable)` };
+        }
+    }
+    
+    async renderCoachReport(session) {
+        const container = document.getElementById('coachReport');
+        const status = container.querySelector('.coach-status');
+        const observations = container.querySelector('.coach-observations');
+        const suggestions = container.querySelector('.coach-suggestions');
+        const comparison = container.querySelector('.coach-comparison');
+        observations.innerHTML = '';
+        suggestions.innerHTML = '';
+        comparison.textContent = '';
+        if (!session) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        status.textContent = 'Preparing your report...';
+        container.classList.remove('hidden');
+        
+        let report;
+        try {
+            report = await this.generateCoachReport(session);
+        } catch (error) {
+            console.error('Error generating coach report:', error);
+            status.textContent = 'The report could not be prepared for this session.';
+            return;
+        }
+        // A newer session may have finished while the report was being prepared
+        if (this.lastSessionRecord !== session) return;
+        
+        status.textContent = `Prepared by: ${report.engine}`;
+        const fill = (list, lines) => lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        fill(observations, report.observations);
+        fill(suggestions, report.suggestions);
+        suggestions.previousElementSibling.classList.toggle('hidden', report.suggestions.length === 0);
+        comparison.textContent = report.comparison || '';
+    }
+    
+    renderAlertSummary(alerts) {
+        const container = document.getElementById('alertSummary');
+        const list = container.querySelector('ul');
+        list.innerHTML = '';
+        alerts.forEach(({ issue, channel, second }) => {
+            const item = document.createElement('li');
+            item.textContent = `${this.formatDuration(second)} ${FEEDBACK_ISSUE_LABELS[issue]} (${FEEDBACK_CHANNEL_LABELS[channel]})`;
+            list.appendChild(item);
+        });
+        container.classList.toggle('hidden', alerts.length === 0);
+    }
+    
+    formatCameraVitals({ pulseBpm, respirationRate }) {
+        const parts = [];
+        if (pulseBpm !== null) {
+            parts.push(`pulse ${pulseBpm} bpm`);
+        }
+        if (respirationRate !== null) {
+            parts.push(`respiration ${respirationRate} breaths/min`);
+        }
+        return parts.join(', ');
+    }
+    
+    formatHeartRateChange({ averageBpm, before, after }) {
+        const parts = [`Heart rate: average ${averageBpm} bpm`];
+        if (before && after) {
+            parts.push(`${before.bpm} → ${after.bpm} bpm`);
+            if (before.rmssd !== null && after.rmssd !== null) {
+                parts.push(`HRV (RMSSD) ${before.rmssd} → ${after.rmssd} ms`);
+            }
+        }
+        return parts.join(', ');
+    }
+    
+    async saveSessionRecord(record) {
+        // Kept for export from the summary even if the history cannot be written
+        this.lastSessionRecord = { id: SessionHistory.createId(), ...record };
+        try {
+            await this.sessionHistory.addSession(this.lastSessionRecord);
+        } catch (error) {
+            console.error('Error saving session history:', error);
+        }
+    }
+    
+    async showHistory() {
+        this.openModal(this.historyModal);
+        document.getElementById('sessionDetail').classList.add('hidden');
+        document.getElementById('historyTransferStatus').className = 'hidden';
+        
+        try {
+            const sessions = await this.sessionHistory.getSessions();
+            this.renderHistory(sessions);
+        } catch (error) {
+            console.error('Error loading session history:', error);
+            document.getElementById('historyEmpty').textContent = 'Session history is not available in this browser.';
+            document.getElementById('historyEmpty').classList.remove('hidden');
+        }
+    }
+    
+    async exportHistory(format) {
+        try {
+            const sessions = await this.sessionHistory.getSessions();
+            this.downloadSessions(sessions, format, 'phase-shift-history');
+            this.showHistoryTransferStatus(`Exported ${sessions.length} ${sessions.length === 1 ? 'session' : 'sessions'}.`, 'success');
+        } catch (error) {
+            console.error('Error exporting session history:', error);
+            this.showHistoryTransferStatus('Export failed: session history is not available.', 'error');
+        }
+    }
+    
+    exportLastSession(format) {
+        if (!this.lastSessionRecord) return;
+        this.downloadSessions([this.lastSessionRecord], format, 'phase-shift-session');
+    }
+    
+    downloadSessions(sessions, format, baseName) {
+        const stamp = getDayKey(Date.now());
+        const files = {
+            'json': { name: `${baseName}-${stamp}.json`, type: 'application/json', content: () => exportSessionsJSON(sessions) },
+            'sessions-csv': { name: `${baseName}-${stamp}.csv`, type: 'text/csv', content: () => sessionsToCSV(sessions) },
+            'timeline-csv': { name: `${baseName}-timeline-${stamp}.csv`, type: 'text/csv', content: () => timelineToCSV(sessions) }
+        };
+        const file = files[format];
+        this.downloadBlob(new Blob([file.content()], { type: file.type }), file.name);
+    }
+    
+    downloadBlob(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    async importHistory(file) {
+        try {
+            const { sessions, invalid } = parseSessionsJSON(await file.text());
+            const { added, skipped } = await this.sessionHistory.importSessions(sessions);
+            
+            const parts = [`Imported ${added} ${added === 1 ? 'session' : 'sessions'}`];
+            if (skipped > 0) {
+                parts.push(`${skipped} already in history`);
+            }
+            if (invalid > 0) {
+                parts.push(`${invalid} unreadable`);
+            }
+            this.showHistoryTransferStatus(`${parts.join(', ')}.`, 'success');
+            this.renderHistory(await this.sessionHistory.getSessions());
+        } catch (error) {
+            console.error('Error importing session history:', error);
+            this.showHistoryTransferStatus(`Import failed: ${error.message}`, 'error');
+        }
+    }
+    
+    showHistoryTransferStatus(message, type) {
+        const status = document.getElementById('historyTransferStatus');
+        status.textContent = message;
+        status.className = `status status--${type}`;
+    }
+    
+    hideHistory() {
+        this.closeModal(this.historyModal);
+    }
+    
+    renderHistory(sessions) {
+        // Days the practice routine leaves free do not break a streak
+        const now = Date.now();
+        const streaks = computeStreaks(sessions, now, (timestamp) => this.practiceSchedule.isRestDay(timestamp));
+        document.getElementById('historyCurrentStreak').textContent = `${streaks.current} ${streaks.current === 1 ? 'day' : 'days'}`;
+        document.getElementById('historyLongestStreak').textContent = `${streaks.longest} ${streaks.longest === 1 ? 'day' : 'days'}`;
+        document.getElementById('historyTotalMinutes').textContent = computeTotalMinutes(sessions);
+        document.getElementById('historySessionCount').textContent = sessions.length;
+        document.getElementById('historyMissed').textContent = this.practiceSchedule.getMissedSlots(sessions, now - 30 * 24 * 60 * 60 * 1000, now).length;
+        document.getElementById('historyEmpty').classList.toggle('hidden', sessions.length > 0);
+        
+        // Weekly minutes chart, bars scaled to the busiest week
+        const chart = document.getElementById('weeklyChart');
+        const weeks = computeWeeklyMinutes(sessions);
+        const maxMinutes = Math.max(1, ...weeks.map(week => week.minutes));
+        chart.innerHTML = '';
+        weeks.forEach(week => {
+            const column = document.createElement('div');
+            column.className = 'chart-column';
+            column.title = `Week of ${new Date(week.start).toLocaleDateString()}: ${week.minutes} min`;
+            
+            const bar = document.createElement('div');
+            bar.className = 'chart-bar';
+            bar.style.height = `${(week.minutes / maxMinutes) * 100}%`;
+            
+            const label = document.createElement('span');
+            label.className = 'chart-label';
+            label.textContent = new Date(week.start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            
+            column.appendChild(bar);
+            column.appendChild(label);
+            chart.appendChild(column);
+        });
+        
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'history-item';
+            button.textContent = `${new Date(session.startTime).toLocaleString()} - ${session.patternName} - ${this.formatDuration(session.elapsed)}`;
+            button.addEventListener('click', () => this.showSessionDetail(session));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }
+    
+    showSessionDetail(session) {
+        const details = [
+            ['Started', new Date(session.startTime).toLocaleString()],
+            ['Pattern', session.patternName],
+            ['Breath Duration', `${session.breathDuration}s`],
+            ['Planned Duration', this.formatDuration(session.sessionDuration)],
+            ['Practiced', this.formatDuration(session.elapsed)],
+            ['Breathing Cycles', session.cycleCount],
+            ['Average Posture', session.averagePosture !== null ? `${session.averagePosture}%` : '--'],
+            ['Lowest Posture', session.minPosture !== null ? `${session.minPosture}%` : '--'],
+            ['Pauses', session.pauseCount],
+            ...(session.mudraAccuracy || []).map(entry => [`Mudra: ${entry.phase}`, `${entry.correct}/${entry.attempts} correct`]),
+            ['Finished', session.stoppedEarly ? 'Stopped early' : 'Completed']
+        ];
+        if (session.breathAdherence) {
+            details.push(['Breath Timing', `${session.breathAdherence.adherence}% on time`]);
+        }
+        if (session.heartRate) {
+            const { averageBpm, before, after } = session.heartRate;
+            details.push(['Heart Rate', before && after ? `${before.bpm} → ${after.bpm} bpm (average ${averageBpm})` : `average ${averageBpm} bpm`]);
+            if (before && after && before.rmssd !== null && after.rmssd !== null) {
+                details.push(['HRV (RMSSD)', `${before.rmssd} → ${after.rmssd} ms`]);
+            }
+        }
+        if (session.cameraVitals) {
+            details.push(['Camera Estimate', this.formatCameraVitals(session.cameraVitals)]);
+        }
+        if (session.alerts && session.alerts.length > 0) {
+            details.push(['Feedback Alerts', session.alerts.length]);
+        }
         
-        this.sessionCompleteModal.classList.remove('hidden');
+        const detail = document.getElementById('sessionDetail');
+        const list = detail.querySelector('dl');
+        list.innerHTML = '';
+        details.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            list.appendChild(term);
+            list.appendChild(description);
+        });
+        detail.classList.remove('hidden');
+    }
+    
+    formatDuration(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
     
     hideSessionComplete() {
-        this.sessionCompleteModal.classList.add('hidden');
+        this.closeModal(this.sessionCompleteModal);
     }
     
     startNewSession() {
         this.hideSessionComplete();
-        this.startSession();
+        this.beginSession();
     }
     
     loadSettings() {
         try {
-            const settings = sessionStorage.getItem('phaseShift2025Settings');
-            if (settings) {
-                const parsed = JSON.parse(settings);
+            const parsed = this.settingsStore.load();
+            if (parsed) {
                 this.breathDuration = parsed.breathDuration || 4;
+                this.setBreathingPattern(parsed.breathingPattern || DEFAULT_BREATHING_PATTERN);
                 this.sessionDuration = parsed.sessionDuration || 300;
                 this.alertVolume = parsed.alertVolume || 0.5;
                 this.feedbackSensitivity = parsed.feedbackSensitivity || 'medium';
+                this.feedbackPolicy.setSensitivity(this.feedbackSensitivity);
+                this.soundscapeType = SOUNDSCAPES[parsed.soundscapeType] ? parsed.soundscapeType : 'off';
+                this.binauralBeat = parsed.binauralBeat || 0;
+                this.noiseBed = parsed.noiseBed === true;
+                this.soundscapeVolume = parsed.soundscapeVolume || 0.4;
+                this.heartRateSource = parsed.heartRateSource || 'off';
                 this.audioEnabled = parsed.audioEnabled !== false;
                 this.eyeAlerts = parsed.eyeAlerts !== false;
+                this.mudraCheck = parsed.mudraCheck !== false;
+                this.cameraPulse = parsed.cameraPulse !== false;
+                this.faceBackend = parsed.faceBackend || 'auto';
+                this.cameraDeviceId = parsed.cameraDeviceId || '';
+                this.cameraResolution = CAMERA_RESOLUTIONS[parsed.cameraResolution] ? parsed.cameraResolution : DEFAULT_CAMERA_RESOLUTION;
+                this.cameraFrameRate = CAMERA_FRAME_RATES.includes(parsed.cameraFrameRate) ? parsed.cameraFrameRate : DEFAULT_CAMERA_FRAME_RATE;
+                this.setMirrorVideo(parsed.mirrorVideo === true);
+                this.micEnabled = parsed.micEnabled === true;
+                this.adaptiveBreathing = parsed.adaptiveBreathing === true;
+                this.voiceEnabled = parsed.voiceEnabled === true;
+                this.countAloud = parsed.countAloud === true;
+                this.liveCoaching = parsed.liveCoaching !== false;
+                this.vibrationEnabled = parsed.vibrationEnabled !== false;
+                this.voiceGuide.voiceURI = parsed.voiceURI || '';
+                this.voiceGuide.rate = parsed.voiceRate || 0.9;
+                this.voiceGuide.pitch = parsed.voicePitch || 1;
+                this.setLanguage(parsed.language || DEFAULT_LANGUAGE);
+                this.eyeAlertDelay = parsed.eyeAlertDelay || 5;
+                this.recalibrateOnStart = parsed.recalibrateOnStart === true;
+                this.coachEngine = COACH_ENGINES[parsed.coachEngine] ? parsed.coachEngine : 'rules';
+                this.classRelayUrl = parsed.classRelayUrl || this.classRelayUrl;
+                this.classId = parsed.classId || '';
+                this.studentName = parsed.studentName || '';
+                this.coachServerUrl = parsed.coachServerUrl || this.coachServerUrl;
             }
         } catch (error) {
             console.error('Error loading settings:', error);
@@ -631,25 +3067,91 @@ class PhaseShift2025 {
     }
     
     loadSettingsValues() {
+        document.getElementById('practiceProgram').value = this.programTracker.getProgramId();
+        document.getElementById('breathingPattern').value = this.breathingPattern;
         document.getElementById('breathDuration').value = this.breathDuration;
+        this.updatePatternDescription();
         document.getElementById('sessionDuration').value = this.sessionDuration;
         document.getElementById('alertVolume').value = this.alertVolume;
         document.getElementById('feedbackSensitivity').value = this.feedbackSensitivity;
+        document.getElementById('soundscapeType').value = this.soundscapeType;
+        document.getElementById('binauralBeat').value = this.binauralBeat;
+        document.getElementById('noiseBed').checked = this.noiseBed;
+        document.getElementById('soundscapeVolume').value = this.soundscapeVolume;
+        document.getElementById('heartRateSource').value = this.heartRateSource;
         document.getElementById('audioEnabled').checked = this.audioEnabled;
         document.getElementById('eyeAlerts').checked = this.eyeAlerts;
+        document.getElementById('mudraCheck').checked = this.mudraCheck;
+        document.getElementById('cameraPulse').checked = this.cameraPulse;
+        document.getElementById('faceBackend').value = this.faceBackend;
+        document.getElementById('cameraResolution').value = this.cameraResolution;
+        document.getElementById('cameraFrameRate').value = this.cameraFrameRate;
+        document.getElementById('mirrorVideo').checked = this.mirrorVideo;
+        document.getElementById('coachEngine').value = this.coachEngine;
+        document.getElementById('classRelayUrl').value = this.classRelayUrl;
+        document.getElementById('classId').value = this.classId;
+        document.getElementById('studentName').value = this.studentName;
+        document.getElementById('coachServerUrl').value = this.coachServerUrl;
+        document.getElementById('micEnabled').checked = this.micEnabled;
+        document.getElementById('adaptiveBreathing').checked = this.adaptiveBreathing;
+        document.getElementById('guideLanguage').value = this.language;
+        document.getElementById('voiceEnabled').checked = this.voiceEnabled;
+        document.getElementById('countAloud').checked = this.countAloud;
+        document.getElementById('liveCoaching').checked = this.liveCoaching;
+        document.getElementById('vibrationEnabled').checked = this.vibrationEnabled;
+        document.getElementById('voiceRate').value = this.voiceGuide.rate;
+        document.getElementById('voicePitch').value = this.voiceGuide.pitch;
+        this.populateVoicePicker();
+        document.getElementById('eyeAlertDelay').value = this.eyeAlertDelay;
+        document.getElementById('eyeCalibrationStatus').textContent = this.eyeDetector.calibration
+            ? `Calibrated ${new Date(this.eyeDetector.calibration.calibratedAt).toLocaleDateString()}`
+            : 'Not calibrated - using default threshold';
+        document.getElementById('recalibrateOnStart').checked = this.recalibrateOnStart;
+        this.populatePostureProfilePicker();
+        this.showPostureProfileStatus();
     }
     
     saveSettings() {
         try {
             const settings = {
+                breathingPattern: this.breathingPattern,
                 breathDuration: this.breathDuration,
                 sessionDuration: this.sessionDuration,
                 alertVolume: this.alertVolume,
                 feedbackSensitivity: this.feedbackSensitivity,
+                soundscapeType: this.soundscapeType,
+                binauralBeat: this.binauralBeat,
+                noiseBed: this.noiseBed,
+                soundscapeVolume: this.soundscapeVolume,
+                heartRateSource: this.heartRateSource,
                 audioEnabled: this.audioEnabled,
-                eyeAlerts: this.eyeAlerts
+                eyeAlerts: this.eyeAlerts,
+                mudraCheck: this.mudraCheck,
+                cameraPulse: this.cameraPulse,
+                faceBackend: this.faceBackend,
+                cameraDeviceId: this.cameraDeviceId,
+                cameraResolution: this.cameraResolution,
+                cameraFrameRate: this.cameraFrameRate,
+                mirrorVideo: this.mirrorVideo,
+                micEnabled: this.micEnabled,
+                adaptiveBreathing: this.adaptiveBreathing,
+                language: this.language,
+                voiceEnabled: this.voiceEnabled,
+                countAloud: this.countAloud,
+                liveCoaching: this.liveCoaching,
+                vibrationEnabled: this.vibrationEnabled,
+                voiceURI: this.voiceGuide.voiceURI,
+                voiceRate: this.voiceGuide.rate,
+                voicePitch: this.voiceGuide.pitch,
+                eyeAlertDelay: this.eyeAlertDelay,
+                recalibrateOnStart: this.recalibrateOnStart,
+                classRelayUrl: this.classRelayUrl,
+                classId: this.classId,
+                studentName: this.studentName,
+                coachEngine: this.coachEngine,
+                coachServerUrl: this.coachServerUrl
             };
-            sessionStorage.setItem('phaseShift2025Settings', JSON.stringify(settings));
+            this.settingsStore.save(settings);
         } catch (error) {
             console.error('Error saving settings:', error);
         }
@@ -0,0 +1,174 @@
+// Phase Shift 2025 - Microphone breath detection
+//
+// Breath through the nose is broadband noise, so the detector band-passes the
+// microphone signal and tracks its RMS energy against an adaptive noise floor.
+// A breath starts when energy stays above the floor for a short while and
+// ends once it has dropped back for longer; which breath it is (inhale or
+// exhale) is taken from the phase the guide is in when it starts.
+
+class BreathDetector {
+    constructor(options = {}) {
+        this.onBreathStart = options.onBreathStart || null;
+        this.onBreathEnd = options.onBreathEnd || null;
+        this.onLevel = options.onLevel || null;
+
+        this.pollInterval = 50; // ms
+        this.onsetRatio = 2.5; // energy above noise floor that counts as breath
+        this.releaseRatio = 1.6;
+        this.onsetHold = 150; // ms above threshold before a breath starts
+        this.releaseHold = 300; // ms below threshold before it ends
+
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.timer = null;
+        this.reset();
+    }
+
+    reset() {
+        this.noiseFloor = null;
+        this.breathing = false;
+        this.breathStartedAt = null;
+        this.aboveSince = null;
+        this.belowSince = null;
+    }
+
+    async start(audioContext) {
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+            video: false
+        });
+
+        this.source = audioContext.createMediaStreamSource(this.stream);
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 1000;
+        filter.Q.value = 0.7;
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.source.connect(filter);
+        filter.connect(this.analyser);
+
+        const samples = new Float32Array(this.analyser.fftSize);
+        this.reset();
+        // A timer rather than requestAnimationFrame keeps listening while the video is hidden
+        this.timer = setInterval(() => {
+            this.analyser.getFloatTimeDomainData(samples);
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            this.process(Math.sqrt(sum / samples.length), performance.now());
+        }, this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.reset();
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // Feeds one energy reading; separated from start() so it can run on recorded data
+    process(energy, now) {
+        if (this.noiseFloor === null) {
+            this.noiseFloor = energy;
+        }
+
+        // The floor adapts quickly downwards and only slowly upwards, and not while breathing
+        if (!this.breathing) {
+            const rate = energy < this.noiseFloor ? 0.2 : 0.01;
+            this.noiseFloor += (energy - this.noiseFloor) * rate;
+        }
+        const floor = Math.max(this.noiseFloor, 1e-4);
+
+        if (this.onLevel) {
+            this.onLevel(energy / floor);
+        }
+
+        if (!this.breathing) {
+            if (energy > floor * this.onsetRatio) {
+                this.aboveSince = this.aboveSince === null ? now : this.aboveSince;
+                if (now - this.aboveSince >= this.onsetHold) {
+                    this.breathing = true;
+                    this.breathStartedAt = this.aboveSince;
+                    this.belowSince = null;
+                    if (this.onBreathStart) {
+                        this.onBreathStart(this.breathStartedAt);
+                    }
+                }
+            } else {
+                this.aboveSince = null;
+            }
+        } else if (energy < floor * this.releaseRatio) {
+            this.belowSince = this.belowSince === null ? now : this.belowSince;
+            if (now - this.belowSince >= this.releaseHold) {
+                const duration = (this.belowSince - this.breathStartedAt) / 1000;
+                this.breathing = false;
+                this.aboveSince = null;
+                if (this.onBreathEnd) {
+                    this.onBreathEnd(duration, this.belowSince);
+                }
+            }
+        } else {
+            this.belowSince = null;
+        }
+    }
+}
+
+// Compares detected breath lengths with the guide's target for each phase
+class BreathAdherenceTracker {
+    constructor(tolerance = 0.25) {
+        this.tolerance = tolerance;
+        this.reset();
+    }
+
+    reset() {
+        this.breaths = [];
+    }
+
+    record(action, target, measured) {
+        const entry = {
+            action,
+            target,
+            measured: Math.round(measured * 10) / 10,
+            withinTolerance: Math.abs(measured - target) <= target * this.tolerance
+        };
+        this.breaths.push(entry);
+        return entry;
+    }
+
+    getSummary() {
+        if (this.breaths.length === 0) return null;
+
+        const summarize = action => {
+            const breaths = this.breaths.filter(breath => breath.action === action);
+            if (breaths.length === 0) return null;
+            const average = values => Math.round(values.reduce((a, b) => a + b, 0) / values.length * 10) / 10;
+            return {
+                count: breaths.length,
+                averageMeasured: average(breaths.map(breath => breath.measured)),
+                averageTarget: average(breaths.map(breath => breath.target))
+            };
+        };
+
+        return {
+            adherence: Math.round(this.breaths.filter(breath => breath.withinTolerance).length / this.breaths.length * 100),
+            inhale: summarize('in'),
+            exhale: summarize('out')
+        };
+    }
+}
@@ -0,0 +1,104 @@
+// Phase Shift 2025 - Breathing pattern definitions
+//
+// Each phase carries a `ratio` that is multiplied by the base breath duration
+// from settings, so a 1:4:2 pattern with a 4 second base runs 4s / 16s / 8s.
+// `action` is 'in', 'out' or 'hold'; `nostril` is 'left', 'right', 'both'
+// (open breathing) or 'none' (no breath through either nostril). Patterns
+// with `mudra: true` are practiced with the Vishnu mudra, so there 'none'
+// means both nostrils are held closed; the others need no hand at all.
+// `instructionKey` is looked up in i18n.js for on-screen and spoken guidance.
+
+const BREATHING_PATTERNS = {
+    nadi_shodhana: {
+        name: 'Nadi Shodhana (1:1)',
+        description: 'Alternate nostril breathing with equal inhale and exhale',
+        mudra: true,
+        phases: [
+            { phase: 'right_in', instructionKey: 'instruction.right_in', nostril: 'right', action: 'in', ratio: 1 },
+            { phase: 'left_out', instructionKey: 'instruction.left_out', nostril: 'left', action: 'out', ratio: 1 },
+            { phase: 'left_in', instructionKey: 'instruction.left_in', nostril: 'left', action: 'in', ratio: 1 },
+            { phase: 'right_out', instructionKey: 'instruction.right_out', nostril: 'right', action: 'out', ratio: 1 }
+        ]
+    },
+    nadi_shodhana_1_2: {
+        name: 'Nadi Shodhana (1:2)',
+        description: 'Alternate nostril breathing with a lengthened exhale',
+        mudra: true,
+        phases: [
+            { phase: 'right_in', instructionKey: 'instruction.right_in', nostril: 'right', action: 'in', ratio: 1 },
+            { phase: 'left_out', instructionKey: 'instruction.left_out_slow', nostril: 'left', action: 'out', ratio: 2 },
+            { phase: 'left_in', instructionKey: 'instruction.left_in', nostril: 'left', action: 'in', ratio: 1 },
+            { phase: 'right_out', instructionKey: 'instruction.right_out_slow', nostril: 'right', action: 'out', ratio: 2 }
+        ]
+    },
+    nadi_shodhana_1_4_2: {
+        name: 'Nadi Shodhana with retention (1:4:2)',
+        description: 'Alternate nostril breathing with breath held after each inhale',
+        mudra: true,
+        phases: [
+            { phase: 'right_in', instructionKey: 'instruction.right_in', nostril: 'right', action: 'in', ratio: 1 },
+            { phase: 'hold_in', instructionKey: 'instruction.hold_closed', nostril: 'none', action: 'hold', ratio: 4 },
+            { phase: 'left_out', instructionKey: 'instruction.release_left_out', nostril: 'left', action: 'out', ratio: 2 },
+            { phase: 'left_in', instructionKey: 'instruction.keep_right_in_left', nostril: 'left', action: 'in', ratio: 1 },
+            { phase: 'hold_in', instructionKey: 'instruction.hold_closed', nostril: 'none', action: 'hold', ratio: 4 },
+            { phase: 'right_out', instructionKey: 'instruction.release_right_out', nostril: 'right', action: 'out', ratio: 2 }
+        ]
+    },
+    box: {
+        name: 'Box Breathing (4-4-4-4)',
+        description: 'Equal inhale, hold, exhale and hold through both nostrils',
+        phases: [
+            { phase: 'both_in', instructionKey: 'instruction.both_in', nostril: 'both', action: 'in', ratio: 1 },
+            { phase: 'hold_in', instructionKey: 'instruction.hold_full', nostril: 'none', action: 'hold', ratio: 1 },
+            { phase: 'both_out', instructionKey: 'instruction.both_out', nostril: 'both', action: 'out', ratio: 1 },
+            { phase: 'hold_out', instructionKey: 'instruction.hold_empty', nostril: 'none', action: 'hold', ratio: 1 }
+        ]
+    },
+    four_seven_eight: {
+        name: '4-7-8 Relaxing Breath',
+        description: 'Inhale for 4, hold for 7, exhale for 8',
+        phases: [
+            { phase: 'both_in', instructionKey: 'instruction.both_in_quiet', nostril: 'both', action: 'in', ratio: 1 },
+            { phase: 'hold_in', instructionKey: 'instruction.hold', nostril: 'none', action: 'hold', ratio: 1.75 },
+            { phase: 'both_out', instructionKey: 'instruction.both_out_slow', nostril: 'both', action: 'out', ratio: 2 }
+        ]
+    },
+    surya_bhedana: {
+        name: 'Surya Bhedana (right inhale)',
+        description: 'Inhale through the right nostril, exhale through the left',
+        mudra: true,
+        phases: [
+            { phase: 'right_in', instructionKey: 'instruction.right_in', nostril: 'right', action: 'in', ratio: 1 },
+            { phase: 'left_out', instructionKey: 'instruction.left_out', nostril: 'left', action: 'out', ratio: 1 }
+        ]
+    },
+    chandra_bhedana: {
+        name: 'Chandra Bhedana (left inhale)',
+        description: 'Inhale through the left nostril, exhale through the right',
+        mudra: true,
+        phases: [
+            { phase: 'left_in', instructionKey: 'instruction.left_in', nostril: 'left', action: 'in', ratio: 1 },
+            { phase: 'right_out', instructionKey: 'instruction.right_out', nostril: 'right', action: 'out', ratio: 1 }
+        ]
+    }
+};
+
+const DEFAULT_BREATHING_PATTERN = 'nadi_shodhana';
+
+function getBreathingPattern(patternId) {
+    return BREATHING_PATTERNS[patternId] || BREATHING_PATTERNS[DEFAULT_BREATHING_PATTERN];
+}
+
+function getPhaseDuration(breath, baseDuration) {
+    // Countdowns tick in whole seconds, so never drop below one
+    return Math.max(1, Math.round((breath.ratio || 1) * baseDuration));
+}
+
+function getCycleDuration(patternId, baseDuration) {
+    return getBreathingPattern(patternId).phases
+        .reduce((total, breath) => total + getPhaseDuration(breath, baseDuration), 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BREATHING_PATTERNS, DEFAULT_BREATHING_PATTERN, getBreathingPattern, getPhaseDuration, getCycleDuration };
+}
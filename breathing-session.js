@@ -0,0 +1,213 @@
+// Phase Shift 2025 - Headless breathing session and its public events
+//
+// BreathingSession runs a breathing pattern on the session scheduler and
+// keeps the session's numbers, with no DOM of its own; whatever shows the
+// guide listens to its events. It is an EventTarget dispatching CustomEvents
+// whose `detail` is:
+//   sessionstart   { pattern, patternName, breathDuration, sessionDuration, startTime }
+//   phasechange    { index, phase, action, nostril, instructionKey, duration, cycle }
+//   phaseend       { index, phase }
+//   tick           { remaining, waiting, elapsed }       whole seconds
+//   cyclecomplete  { count }
+//   posturechange  { score, level }   level is 'excellent', 'good', 'fair' or 'poor';
+//                                     on a level change, else at most once a second
+//   pause, resume  { elapsed }
+//   sessionend     { summary }        see getSummary()
+// The full app (window.phaseShift) runs its sessions on a BreathingSession
+// too and re-dispatches these events; its sessionend summary adds the rest of
+// the session record to getSummary()'s fields. Posture only changes when a
+// host reports scores with reportPosture(), e.g. from the pose model.
+
+// Node has no shared scope for scripts, so the dependencies come from their modules
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        require('./breathing-patterns.js'),
+        require('./session-clock.js'),
+        require('./feedback-policy.js')
+    );
+}
+
+// Scores within a band are passed on at most this often, so a live percentage stays current
+const POSTURE_EVENT_INTERVAL = 1000; // ms
+
+const BREATHING_SESSION_EVENTS = [
+    'sessionstart', 'phasechange', 'phaseend', 'tick', 'cyclecomplete', 'posturechange', 'pause', 'resume', 'sessionend'
+];
+
+function createPhaseDetail({ index, breath, duration, cycle }) {
+    const { phase, action, nostril, instructionKey } = breath;
+    return { index, phase, action, nostril, instructionKey, duration, cycle };
+}
+
+// Names the posture band a score falls in, using the feedback sensitivity's posture thresholds
+function getPostureLevel(score, thresholds = FEEDBACK_SENSITIVITY.medium.posture) {
+    if (score >= thresholds.excellent) return 'excellent';
+    if (score >= thresholds.good) return 'good';
+    if (score >= thresholds.fair) return 'fair';
+    return 'poor';
+}
+
+class BreathingSession extends EventTarget {
+    constructor(options = {}) {
+        super();
+        this.setPattern(options.pattern);
+        this.breathDuration = options.breathDuration || 4; // seconds, base unit for pattern ratios
+        this.sessionDuration = options.sessionDuration || 300; // seconds
+        this.postureThresholds = options.postureThresholds || FEEDBACK_SENSITIVITY.medium.posture;
+        this.timeSource = options.timeSource || systemTimeSource;
+
+        this.active = false;
+        this.paused = false;
+        this.resetStats();
+
+        this.scheduler = new SessionScheduler({
+            timeSource: this.timeSource,
+            getSequence: () => getBreathingPattern(this.pattern).phases,
+            getPhaseDuration: breath => getPhaseDuration(breath, this.breathDuration),
+            getSessionDuration: () => this.sessionDuration,
+            // Optional hook that may keep a phase open, e.g. until the user's breath ends
+            shouldExtendPhase: options.shouldExtendPhase
+        });
+        this.phaseAnnounced = false;
+        this.scheduler.on('phasestart', event => {
+            // Phases skipped through while the scheduler caught up are not announced
+            this.phaseAnnounced = !event.stale;
+            if (this.phaseAnnounced) {
+                this.emit('phasechange', createPhaseDetail(event));
+            }
+        });
+        this.scheduler.on('phaseend', ({ index, breath }) => {
+            if (this.phaseAnnounced) {
+                this.emit('phaseend', { index, phase: breath.phase });
+            }
+        });
+        this.scheduler.on('tick', tick => this.emit('tick', tick));
+        this.scheduler.on('cycle', ({ count }) => {
+            this.cycleCount = count;
+            this.emit('cyclecomplete', { count });
+        });
+        this.scheduler.on('end', () => this.stop(true));
+    }
+
+    resetStats() {
+        this.startTime = null;
+        this.cycleCount = 0;
+        this.pauseCount = 0;
+        this.postureSum = 0;
+        this.postureSamples = 0;
+        this.postureMin = null;
+        this.postureLevel = null;
+        this.postureReported = null; // { score, at } of the last posturechange
+    }
+
+    // Unknown IDs fall back to the default pattern; a running session restarts its cycle
+    setPattern(patternId) {
+        this.pattern = BREATHING_PATTERNS[patternId] ? patternId : DEFAULT_BREATHING_PATTERN;
+        if (this.active) {
+            this.scheduler.restartSequence();
+        }
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    getElapsedSeconds() {
+        return this.scheduler.getElapsedSeconds();
+    }
+
+    // `alreadyElapsed` ms counts as practiced, for joining a session that began earlier
+    start(alreadyElapsed = 0) {
+        if (this.active) return;
+        this.active = true;
+        this.paused = false;
+        this.resetStats();
+        this.startTime = Date.now();
+        this.emit('sessionstart', {
+            pattern: this.pattern,
+            patternName: getBreathingPattern(this.pattern).name,
+            breathDuration: this.breathDuration,
+            sessionDuration: this.sessionDuration,
+            startTime: this.startTime
+        });
+        this.scheduler.start(alreadyElapsed);
+    }
+
+    pause() {
+        if (!this.active || this.paused) return;
+        this.paused = true;
+        this.pauseCount++;
+        this.scheduler.pause();
+        this.emit('pause', { elapsed: this.getElapsedSeconds() });
+    }
+
+    resume() {
+        if (!this.active || !this.paused) return;
+        this.paused = false;
+        this.emit('resume', { elapsed: this.getElapsedSeconds() });
+        this.scheduler.resume();
+    }
+
+    // `completed` is set when the session ran its full duration
+    stop(completed = false) {
+        if (!this.active) return null;
+        this.scheduler.stop();
+        this.active = false;
+        this.paused = false;
+        const summary = this.getSummary(completed);
+        this.emit('sessionend', { summary });
+        return summary;
+    }
+
+    // Scores only count towards the session while it runs; changes are reported at any time
+    reportPosture(score) {
+        if (this.active && !this.paused) {
+            this.postureSum += score;
+            this.postureSamples++;
+            this.postureMin = this.postureMin === null ? score : Math.min(this.postureMin, score);
+        }
+        const level = getPostureLevel(score, this.postureThresholds);
+        const now = this.timeSource.now();
+        const last = this.postureReported;
+        const scoreDue = last && score !== last.score && now - last.at >= POSTURE_EVENT_INTERVAL;
+        if (level !== this.postureLevel || scoreDue) {
+            this.postureLevel = level;
+            this.postureReported = { score, at: now };
+            this.emit('posturechange', { score, level });
+        }
+    }
+
+    getAveragePosture() {
+        return this.postureSamples ? Math.round(this.postureSum / this.postureSamples) : null;
+    }
+
+    getSummary(completed = false) {
+        return {
+            pattern: this.pattern,
+            patternName: getBreathingPattern(this.pattern).name,
+            breathDuration: this.breathDuration,
+            sessionDuration: this.sessionDuration,
+            startTime: this.startTime,
+            endTime: Date.now(),
+            elapsed: this.getElapsedSeconds(),
+            cycleCount: this.cycleCount,
+            completed,
+            averagePosture: this.getAveragePosture(),
+            minPosture: this.postureMin,
+            pauseCount: this.pauseCount
+        };
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BreathingSession, BREATHING_SESSION_EVENTS, createPhaseDetail, getPostureLevel };
+}
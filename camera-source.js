@@ -0,0 +1,202 @@
+// Phase Shift 2025 - Camera stream
+//
+// Opens the chosen camera at the chosen resolution and frame rate, and keeps
+// it open while wanted: when the video track ends (the camera was unplugged,
+// another app took it, the system revoked it) it retries with backoff, and a
+// camera being plugged in retries at once. The chosen camera is preferred,
+// not required, so another one stands in while it is missing and is swapped
+// out when it returns. stop() releases the camera so its light goes off.
+
+const CAMERA_RESOLUTIONS = {
+    low: { label: 'Low (640x360) - least CPU', width: 640, height: 360 },
+    medium: { label: 'Medium (1280x720)', width: 1280, height: 720 },
+    high: { label: 'High (1920x1080) - most detail', width: 1920, height: 1080 }
+};
+const CAMERA_FRAME_RATES = [15, 24, 30];
+const DEFAULT_CAMERA_RESOLUTION = 'medium';
+const DEFAULT_CAMERA_FRAME_RATE = 30;
+
+function getCameraConstraints({ deviceId = '', resolution = DEFAULT_CAMERA_RESOLUTION, frameRate = DEFAULT_CAMERA_FRAME_RATE } = {}) {
+    const size = CAMERA_RESOLUTIONS[resolution] || CAMERA_RESOLUTIONS[DEFAULT_CAMERA_RESOLUTION];
+    const video = {
+        width: { ideal: size.width },
+        height: { ideal: size.height },
+        frameRate: { ideal: frameRate, max: frameRate }
+    };
+    if (deviceId) {
+        video.deviceId = { ideal: deviceId };
+    } else {
+        video.facingMode = 'user';
+    }
+    return { video, audio: false };
+}
+
+class CameraSource {
+    constructor(options = {}) {
+        this.onStream = options.onStream || null; // called with the new stream, or null when it is gone
+        this.onStatusChange = options.onStatusChange || null;
+        this.settings = { deviceId: '', resolution: DEFAULT_CAMERA_RESOLUTION, frameRate: DEFAULT_CAMERA_FRAME_RATE };
+        this.stream = null;
+        this.wanted = false;
+        this.opening = null;
+        this.retryDelay = 1000;
+        this.retryTimer = null;
+
+        if (typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+    }
+
+    isActive() {
+        return this.stream !== null;
+    }
+
+    // Labels are empty until camera permission has been granted
+    async listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+    }
+
+    getDeviceId() {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        return track && track.getSettings ? track.getSettings().deviceId || '' : '';
+    }
+
+    getTrackLabel() {
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        return track ? track.label : '';
+    }
+
+    // Opens the camera, or reopens it with new settings. Rejects when it cannot
+    // be opened, e.g. permission was denied; nothing is retried then.
+    async start(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+        this.wanted = true;
+        this.retryDelay = 1000;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        try {
+            return await this.open();
+        } catch (error) {
+            if (!this.stream) {
+                this.wanted = false;
+            }
+            this.setStatus('error', error.message);
+            throw error;
+        }
+    }
+
+    async open() {
+        if (this.opening) return this.opening;
+        this.setStatus('connecting');
+        this.opening = navigator.mediaDevices.getUserMedia(getCameraConstraints(this.settings)).finally(() => {
+            this.opening = null;
+        });
+        const stream = await this.opening;
+        if (!this.wanted) {
+            // stop() was called while the camera was opening
+            stream.getTracks().forEach(track => track.stop());
+            return null;
+        }
+
+        // The old stream stays up until its replacement works
+        this.release();
+        this.stream = stream;
+        const [track] = stream.getVideoTracks();
+        track.addEventListener('ended', () => {
+            if (this.stream === stream) {
+                this.handleTrackEnded();
+            }
+        });
+        this.retryDelay = 1000;
+        if (this.onStream) {
+            this.onStream(stream);
+        }
+        this.setStatus('connected', track.label);
+        return stream;
+    }
+
+    handleTrackEnded() {
+        this.release();
+        if (this.onStream) {
+            this.onStream(null);
+        }
+        this.scheduleRetry();
+    }
+
+    scheduleRetry() {
+        if (!this.wanted) return;
+        this.setStatus('reconnecting');
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.retry(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+    }
+
+    async retry() {
+        this.retryTimer = null;
+        try {
+            await this.open();
+        } catch (error) {
+            console.warn('Camera reconnect failed:', error);
+            this.scheduleRetry();
+        }
+    }
+
+    async handleDeviceChange() {
+        if (!this.wanted) return;
+        const cameras = await this.listCameras();
+        if (!this.stream) {
+            // Waiting to reconnect: a camera just appeared, so try now
+            if (this.retryTimer && cameras.length > 0) {
+                clearTimeout(this.retryTimer);
+                this.retryDelay = 1000;
+                this.retry();
+            }
+            return;
+        }
+        const chosen = this.settings.deviceId;
+        if (chosen && this.getDeviceId() !== chosen && cameras.some(camera => camera.deviceId === chosen)) {
+            this.retry();
+        }
+    }
+
+    stop() {
+        this.wanted = false;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        const hadStream = this.stream !== null;
+        this.release();
+        if (hadStream && this.onStream) {
+            this.onStream(null);
+        }
+        this.setStatus('stopped');
+    }
+
+    // Stopping tracks does not fire their 'ended' event, so this never triggers a reconnect
+    release() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    setStatus(status, detail = '') {
+        if (this.onStatusChange) {
+            this.onStatusChange(status, detail);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CameraSource,
+        getCameraConstraints,
+        CAMERA_RESOLUTIONS,
+        CAMERA_FRAME_RATES,
+        DEFAULT_CAMERA_RESOLUTION,
+        DEFAULT_CAMERA_FRAME_RATE
+    };
+}
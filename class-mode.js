@@ -0,0 +1,139 @@
+// Phase Shift 2025 - Class mode client
+//
+// Connects a student or an instructor to the class relay (relay/class-relay.js)
+// and keeps an estimate of the relay's clock, so a class start time set by
+// the instructor begins at the same moment on every student's screen. Only
+// session state is ever sent, never camera frames.
+
+const CLASS_STATE_INTERVAL = 1000; // ms between routine state updates from a student
+
+// The relay serves the app too, so a page loaded from it connects back to the same host
+function getDefaultRelayUrl() {
+    if (location.protocol === 'http:' || location.protocol === 'https:') {
+        return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`;
+    }
+    return 'ws://localhost:8765';
+}
+
+class ClassClient {
+    constructor(options = {}) {
+        this.role = options.role || 'student';
+        this.onMessage = options.onMessage || null;
+        this.onStatusChange = options.onStatusChange || null;
+        this.socket = null;
+        this.target = null; // { url, classId, name } while the client should stay connected
+        this.clockOffset = null; // relay clock minus local clock, ms
+        this.retryDelay = 1000;
+        this.retryTimer = null;
+        this.lastStateAt = 0;
+    }
+
+    isJoined() {
+        return this.target !== null;
+    }
+
+    connect({ url, classId, name = '' }) {
+        this.disconnect();
+        this.target = { url, classId, name };
+        this.retryDelay = 1000;
+        this.open();
+    }
+
+    open() {
+        this.setStatus('connecting');
+        let socket;
+        try {
+            socket = new WebSocket(this.target.url);
+        } catch (error) {
+            this.target = null;
+            this.setStatus('error', error.message);
+            return;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.retryDelay = 1000;
+            const { classId, name } = this.target;
+            socket.send(JSON.stringify({ type: 'join', role: this.role, classId, name }));
+        });
+        socket.addEventListener('message', (event) => this.handleMessage(event.data));
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (!this.target) return;
+            // The relay may be restarting or the network dropped; keep trying with backoff
+            this.setStatus('reconnecting');
+            this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+        });
+    }
+
+    disconnect() {
+        this.target = null;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.setStatus('disconnected');
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed class relay message');
+            return;
+        }
+
+        // Network delay only ever makes the relay clock look behind, so keep the largest estimate
+        if (Number.isFinite(message.serverTime)) {
+            const offset = message.serverTime - Date.now();
+            this.clockOffset = this.clockOffset === null ? offset : Math.max(this.clockOffset, offset);
+        }
+        if (message.type === 'welcome') {
+            this.setStatus('joined');
+        } else if (message.type === 'error') {
+            this.setStatus('error', message.message);
+        }
+        if (this.onMessage) {
+            this.onMessage(message);
+        }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    // Routine updates are throttled; `force` sends at once, e.g. when a session starts or stops
+    sendState(state, force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastStateAt < CLASS_STATE_INTERVAL) return;
+        this.lastStateAt = now;
+        this.send({ type: 'state', state });
+    }
+
+    serverNow() {
+        return Date.now() + (this.clockOffset || 0);
+    }
+
+    // Local Date.now() time for a relay clock time
+    toLocalTime(serverTime) {
+        return serverTime - (this.clockOffset || 0);
+    }
+
+    setStatus(status, detail = '') {
+        if (this.onStatusChange) {
+            this.onStatusChange(status, detail);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ClassClient, getDefaultRelayUrl, CLASS_STATE_INTERVAL };
+}
@@ -0,0 +1,249 @@
+// Phase Shift 2025 - Post-session coaching report
+//
+// A coach engine is any object with a `name` and
+// async generate({ session, recentSessions }) resolving with a report:
+// { observations: [string], suggestions: [string], comparison: string|null }.
+// `session` is the saved session record, timeline included, and
+// `recentSessions` are earlier records, newest first. RuleCoachEngine reads
+// the timeline with fixed rules; ServerCoachEngine posts the same input to a
+// local HTTP endpoint, such as a language model served on the user's machine.
+
+const COACH_POSTURE_DIP = 75; // posture scores below this count as a dip
+const COACH_MAX_SUGGESTIONS = 2;
+const COACH_RECENT_SESSIONS = 5;
+
+const COACH_PHASE_LABELS = {
+    right_in: 'right-nostril inhales',
+    right_out: 'right-nostril exhales',
+    left_in: 'left-nostril inhales',
+    left_out: 'left-nostril exhales',
+    both_in: 'inhales',
+    both_out: 'exhales',
+    hold_in: 'holds after the inhale',
+    hold_out: 'holds with the lungs empty'
+};
+
+const COACH_ACTION_SUGGESTIONS = {
+    in: 'Let each inhale lift the chest without arching the lower back.',
+    out: 'On each exhale, keep the crown of the head lifting so the chest does not sink as the air leaves.',
+    hold: 'During retention, relax the shoulders and keep the spine long instead of bracing.'
+};
+
+// Head statuses written by the posture analysis that mean the head is out of place
+const COACH_HEAD_ISSUES = ['Tilted sideways', 'Leaning forward', 'Chin down', 'Chin up', 'Slightly off', 'Adjust position'];
+const COACH_HEAD_OK = ['Level', 'Centered'];
+
+function formatCoachTime(totalSeconds) {
+    const seconds = Math.round(totalSeconds);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function countBy(items, getKey) {
+    const counts = {};
+    items.forEach(item => {
+        const key = getKey(item);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+// Each rule returns { observation, suggestion, weight } or null; higher weights are reported first
+const COACH_RULES = [
+    function postureDips({ rows }) {
+        const dips = rows.filter(row => row.postureScore < COACH_POSTURE_DIP);
+        if (rows.length < 30 || dips.length < rows.length * 0.1) return null;
+
+        // The phase where dips are most frequent, if it stands out from the rest of the session
+        const overallRate = dips.length / rows.length;
+        const rowsByPhase = countBy(rows, row => row.phase);
+        const dipsByPhase = countBy(dips, row => row.phase);
+        const [worstPhase, worstDips] = Object.entries(dipsByPhase)
+            .sort(([a, aDips], [b, bDips]) => bDips / rowsByPhase[b] - aDips / rowsByPhase[a])[0];
+        const phaseStandsOut = worstDips / rowsByPhase[worstPhase] >= overallRate * 1.5 && worstDips >= dips.length * 0.4;
+
+        // The minute from which nearly all dips happened, if the start of the session was clearly better
+        const seconds = dips.map(row => row.second).sort((a, b) => a - b);
+        const onsetMinute = Math.floor(seconds[Math.floor(seconds.length * 0.1)] / 60);
+        const before = rows.filter(row => row.second < onsetMinute * 60);
+        const dipsBefore = before.filter(row => row.postureScore < COACH_POSTURE_DIP).length;
+        const lateOnset = onsetMinute >= 1 && before.length > 0 && dipsBefore / before.length < overallRate / 2;
+
+        const where = phaseStandsOut ? ` mostly during ${COACH_PHASE_LABELS[worstPhase] || worstPhase.replace(/_/g, ' ')}` : '';
+        const when = lateOnset ? ` after minute ${onsetMinute}` : '';
+        const share = Math.round(overallRate * 100);
+        const worstRow = rows.find(row => row.phase === worstPhase);
+
+        let suggestion;
+        if (phaseStandsOut && worstRow && COACH_ACTION_SUGGESTIONS[worstRow.action]) {
+            suggestion = COACH_ACTION_SUGGESTIONS[worstRow.action];
+        } else if (lateOnset) {
+            suggestion = `Your back tires after about ${onsetMinute} minute${onsetMinute === 1 ? '' : 's'}; sit on a cushion or against a wall, or keep sessions near that length while it builds endurance.`;
+        } else {
+            suggestion = 'Before starting, stack the shoulders over the hips and let the head rest above them, then recheck at every cycle.';
+        }
+
+        return {
+            observation: where || when
+                ? `Your posture dropped${where}${when} (below ${COACH_POSTURE_DIP}% for ${share}% of the session).`
+                : `Your posture was below ${COACH_POSTURE_DIP}% for ${share}% of the session.`,
+            suggestion,
+            weight: 40 + share
+        };
+    },
+
+    function headDrift({ rows }) {
+        const known = rows.filter(row => COACH_HEAD_ISSUES.includes(row.headStatus) || COACH_HEAD_OK.includes(row.headStatus));
+        const off = known.filter(row => COACH_HEAD_ISSUES.includes(row.headStatus));
+        if (known.length < 30 || off.length < known.length * 0.15) return null;
+
+        const [status] = Object.entries(countBy(off, row => row.headStatus)).sort((a, b) => b[1] - a[1])[0];
+        const share = Math.round(off.length / known.length * 100);
+        return {
+            observation: `Your head was out of position for ${share}% of the session, most often "${status}".`,
+            suggestion: status === 'Chin down' || status === 'Leaning forward'
+                ? 'Raise the screen to eye level so you are not drawn down and forward towards it.'
+                : 'Line your nose up with your breastbone before starting and let the head float level above the spine.',
+            weight: 30 + share / 2
+        };
+    },
+
+    function eyeOpenings({ rows }) {
+        let openings = 0;
+        let wasOpen = false;
+        rows.forEach(row => {
+            const isOpen = typeof row.eyeStatus === 'string' && row.eyeStatus.startsWith('Open');
+            if (isOpen && !wasOpen) {
+                openings++;
+            }
+            wasOpen = isOpen;
+        });
+        if (openings < 3) return null;
+
+        return {
+            observation: `Your eyes opened ${openings} times during the practice.`,
+            suggestion: 'If you open your eyes to follow the guide, turn on spoken guidance in Settings so they can stay closed.',
+            weight: Math.min(40, openings * 4)
+        };
+    },
+
+    function pauses({ session, timeline }) {
+        const pauseRows = timeline.filter(row => row.paused);
+        const pausedSeconds = pauseRows.reduce((total, row) => total + (row.pauseDuration || 0), 0);
+        if (session.pauseCount < 2 && pausedSeconds < 60) return null;
+
+        const count = session.pauseCount || pauseRows.length;
+        return {
+            observation: `You paused ${count} time${count === 1 ? '' : 's'}, for ${formatCoachTime(pausedSeconds)} in total.`,
+            suggestion: 'Silence notifications and settle anything pending before starting, so the practice can run without breaks.',
+            weight: 20 + count * 5
+        };
+    },
+
+    function earlyStop({ session }) {
+        if (!session.stoppedEarly || session.elapsed >= session.sessionDuration * 0.8) return null;
+
+        const minutes = Math.max(1, Math.round(session.elapsed / 60));
+        return {
+            observation: `You stopped at ${formatCoachTime(session.elapsed)} of the planned ${formatCoachTime(session.sessionDuration)}.`,
+            suggestion: `Plan about ${minutes} minute${minutes === 1 ? '' : 's'} next time and add a minute once that feels easy.`,
+            weight: 50 * (1 - session.elapsed / session.sessionDuration)
+        };
+    }
+];
+
+// Compares average posture and practice time with the user's recent sessions
+function compareWithRecent(session, recentSessions) {
+    const recent = recentSessions.filter(entry => entry.id !== session.id).slice(0, COACH_RECENT_SESSIONS);
+    if (recent.length === 0) return null;
+
+    const parts = [];
+    const withPosture = recent.filter(entry => entry.averagePosture !== null && entry.averagePosture !== undefined);
+    if (session.averagePosture !== null && withPosture.length > 0) {
+        const average = Math.round(withPosture.reduce((total, entry) => total + entry.averagePosture, 0) / withPosture.length);
+        const difference = session.averagePosture - average;
+        parts.push(difference === 0
+            ? `average posture matched your recent ${average}%`
+            : `average posture was ${Math.abs(difference)} points ${difference > 0 ? 'above' : 'below'} your recent ${average}%`);
+    }
+
+    const averageElapsed = recent.reduce((total, entry) => total + entry.elapsed, 0) / recent.length;
+    parts.push(`you practiced ${formatCoachTime(session.elapsed)} against a recent average of ${formatCoachTime(averageElapsed)}`);
+
+    const text = parts.join(', and ');
+    return `Compared with your last ${recent.length} session${recent.length === 1 ? '' : 's'}, ${text}.`;
+}
+
+class RuleCoachEngine {
+    constructor(rules = COACH_RULES) {
+        this.name = 'Built-in rules';
+        this.rules = rules;
+    }
+
+    async generate({ session, recentSessions = [] }) {
+        const timeline = session.timeline || [];
+        const context = { session, timeline, rows: timeline.filter(row => !row.paused) };
+        const findings = this.rules
+            .map(rule => rule(context))
+            .filter(Boolean)
+            .sort((a, b) => b.weight - a.weight);
+
+        const observations = findings.map(finding => finding.observation);
+        if (observations.length === 0) {
+            observations.push(context.rows.length > 0
+                ? 'A steady session: posture, head position and eyes stayed on track throughout.'
+                : 'There was not enough camera data in this session to comment on posture.');
+        }
+
+        return {
+            observations,
+            suggestions: findings.slice(0, COACH_MAX_SUGGESTIONS).map(finding => finding.suggestion),
+            comparison: compareWithRecent(session, recentSessions)
+        };
+    }
+}
+
+// Posts { session, recentSessions } as JSON and expects a report in the same shape back
+class ServerCoachEngine {
+    constructor(url, options = {}) {
+        this.name = 'Local server';
+        this.url = url;
+        this.timeout = options.timeout || 20000; // ms
+    }
+
+    async generate(input) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(input),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`The coach server answered ${response.status}`);
+            }
+
+            const report = await response.json();
+            if (!report || !Array.isArray(report.observations) || !Array.isArray(report.suggestions)) {
+                throw new Error('The coach server did not return a report');
+            }
+            return {
+                observations: report.observations.map(String),
+                suggestions: report.suggestions.map(String),
+                comparison: report.comparison ? String(report.comparison) : null
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+const COACH_ENGINES = {
+    rules: { name: 'Built-in rules', create: () => new RuleCoachEngine() },
+    server: { name: 'Local server', create: ({ serverUrl }) => new ServerCoachEngine(serverUrl) }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RuleCoachEngine, ServerCoachEngine, COACH_RULES, COACH_ENGINES, compareWithRecent };
+}
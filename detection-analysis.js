@@ -0,0 +1,219 @@
+// Phase Shift 2025 - Posture, head and eye analysis of detector output
+//
+// DetectionAnalyzer turns one frame of detector output into what the
+// feedback panel shows: the posture score and status, the head and eye
+// status, and which issues the frame shows for the feedback policy. It has
+// no DOM, so the app runs the live camera and replays through it, and
+// analyzeRecording() runs a whole detection recording through it and a
+// FeedbackPolicy without a page, e.g. for the regression clips under test/.
+
+// Node has no shared scope for scripts, so the dependencies come from their modules
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(
+        globalThis,
+        require('./pose-estimation.js'),
+        require('./eye-detection.js'),
+        require('./feedback-policy.js'),
+        require('./detection-recording.js')
+    );
+}
+
+// Face-position fallback: an offset of this share of the frame is a full deviation
+const FACE_MAX_DEVIATION = 0.1;
+
+class DetectionAnalyzer {
+    // `postureCalibration` gives the face and pose baselines, see posture-calibration.js
+    constructor({ feedbackPolicy, eyeDetector, postureCalibration }) {
+        this.feedbackPolicy = feedbackPolicy;
+        this.eyeDetector = eyeDetector;
+        this.postureCalibration = postureCalibration;
+    }
+
+    // Face center and width as fractions of the frame
+    getFacePosition(face, width, height) {
+        const { x, y, width: faceWidth, height: faceHeight } = face.boundingBox;
+        return {
+            x: (x + faceWidth / 2) / width,
+            y: (y + faceHeight / 2) / height,
+            width: faceWidth / width
+        };
+    }
+
+    // Where the face should be: the calibrated position, or the middle of the frame
+    getFaceBaseline() {
+        return this.postureCalibration.getFaceBaseline() || { x: 0.5, y: 0.5, width: null };
+    }
+
+    // Returns { poseAnalysis, face, postureScore, posture, head, eyes, issues }: `face` is
+    // the first face's position, `posture`, `head` and `eyes` are { status, type } or null
+    // when this frame says nothing about them, and `issues` maps each issue judged to
+    // whether it is present. Eyes also carry `state` and `openDuration`.
+    analyze(faces, pose, width, height, now = performance.now()) {
+        // Body landmarks take over posture and head analysis when the pose model is running
+        const poseAnalysis = pose
+            ? analyzePoseLandmarks(pose, width, height, this.postureCalibration.getPoseBaseline())
+            : null;
+        const result = {
+            poseAnalysis,
+            face: faces.length > 0 ? this.getFacePosition(faces[0], width, height) : null,
+            postureScore: null,
+            posture: null,
+            head: null,
+            eyes: null,
+            issues: {}
+        };
+
+        if (poseAnalysis) {
+            this.analyzePose(poseAnalysis, result);
+        }
+        if (faces.length === 0) return result;
+
+        // Without body landmarks, fall back to judging posture by face position
+        if (!poseAnalysis) {
+            this.analyzeFacePosition(result.face, result);
+        }
+        this.analyzeEyes(faces[0], now, result);
+        return result;
+    }
+
+    analyzePose({ score, components, measurements }, result) {
+        const { posture, headComponent } = this.feedbackPolicy.getThresholds();
+        result.postureScore = score;
+        if (score >= posture.excellent) {
+            result.posture = { status: 'Excellent', type: 'success' };
+        } else if (score >= posture.good) {
+            result.posture = { status: 'Good', type: 'success' };
+        } else {
+            result.posture = score >= posture.fair ? { status: 'Fair', type: 'warning' } : { status: 'Poor', type: 'error' };
+        }
+        result.issues.posture = score < posture.good;
+
+        const isOff = name => components[name] !== undefined && components[name] < headComponent;
+        if (isOff('headRoll')) {
+            result.head = { status: 'Tilted sideways', type: 'warning' };
+        } else if (isOff('forwardHead')) {
+            result.head = { status: 'Leaning forward', type: 'warning' };
+        } else if (isOff('headPitch')) {
+            const baseline = this.postureCalibration.getPoseBaseline();
+            const level = baseline && baseline.headPitch !== undefined ? baseline.headPitch : POSTURE_IDEALS.headPitch;
+            result.head = { status: measurements.headPitch > level ? 'Chin down' : 'Chin up', type: 'warning' };
+        } else {
+            result.head = { status: 'Level', type: 'success' };
+        }
+        result.issues.head = isOff('headRoll') || isOff('forwardHead') || isOff('headPitch');
+    }
+
+    analyzeFacePosition(position, result) {
+        const baseline = this.getFaceBaseline();
+        const { faceBands, headBands } = this.feedbackPolicy.getThresholds();
+
+        // Leaning in or back changes the face size; a quarter larger or smaller counts as a full offset
+        const sizeChange = baseline.width ? Math.abs(position.width / baseline.width - 1) * 0.4 : 0;
+        const deviation = Math.max(Math.abs(position.x - baseline.x), sizeChange);
+        const [excellent, good, fair] = faceBands;
+        if (deviation < FACE_MAX_DEVIATION * excellent) {
+            result.posture = { status: 'Excellent', type: 'success' };
+            result.postureScore = 100;
+        } else if (deviation < FACE_MAX_DEVIATION * good) {
+            result.posture = { status: 'Good', type: 'success' };
+            result.postureScore = 85;
+        } else if (deviation < FACE_MAX_DEVIATION * fair) {
+            result.posture = { status: 'Fair', type: 'warning' };
+            result.postureScore = 70;
+        } else {
+            result.posture = { status: 'Poor', type: 'error' };
+            result.postureScore = 50;
+        }
+        result.issues.posture = deviation >= FACE_MAX_DEVIATION * good;
+
+        const headDeviation = Math.abs(position.y - baseline.y);
+        const [centered, slightlyOff] = headBands;
+        if (headDeviation < FACE_MAX_DEVIATION * centered) {
+            result.head = { status: 'Centered', type: 'success' };
+        } else if (headDeviation < FACE_MAX_DEVIATION * slightlyOff) {
+            result.head = { status: 'Slightly off', type: 'warning' };
+        } else {
+            result.head = { status: 'Adjust position', type: 'error' };
+        }
+        result.issues.head = headDeviation >= FACE_MAX_DEVIATION * centered;
+    }
+
+    analyzeEyes(face, now, result) {
+        const { state, openDuration } = this.eyeDetector.update(face, now);
+        if (state === 'unsupported') {
+            result.eyes = { status: 'Needs MediaPipe Face Mesh', type: 'info' };
+        } else if (state === 'unknown') {
+            result.eyes = { status: 'Eyes not visible', type: 'info' };
+        } else if (state === 'closed') {
+            result.eyes = { status: 'Closed', type: 'success' };
+        } else {
+            result.eyes = { status: `Open (${Math.floor(openDuration)}s)`, type: 'warning' };
+        }
+        Object.assign(result.eyes, { state, openDuration });
+        result.issues.eyes = state === 'open';
+    }
+}
+
+// Runs every frame of a detection recording through a DetectionAnalyzer and a
+// FeedbackPolicy as practice time, with the frame times as the clock. Options
+// match the app's settings: `sensitivity`, `eyeAlerts`, `eyeAlertDelay` (s),
+// a posture `baseline` ({ face, pose } as calibration saves it) and an
+// `eyeCalibration` ({ openEar, closedEar }). Returns { summary, results, alerts }:
+// `results` has what the feedback panel showed after each frame, `summary`
+// compares like a replay's, and `alerts` are the feedback alerts raised.
+function analyzeRecording(recording, options = {}) {
+    const { sensitivity = 'medium', eyeAlerts = true, eyeAlertDelay = 5, baseline = null, eyeCalibration = null } = options;
+    const feedbackPolicy = new FeedbackPolicy({ sensitivity });
+    // Nothing is saved: a calibration given here is for this run only
+    const eyeDetector = new EyeStateDetector({ storage: { getItem: () => null, setItem() {} } });
+    if (eyeCalibration) {
+        eyeDetector.setCalibration(eyeCalibration.openEar, eyeCalibration.closedEar);
+    }
+    const analyzer = new DetectionAnalyzer({
+        feedbackPolicy,
+        eyeDetector,
+        postureCalibration: {
+            getFaceBaseline: () => (baseline ? baseline.face : null),
+            getPoseBaseline: () => (baseline ? baseline.pose : null)
+        }
+    });
+
+    // Like the feedback panel, a status stays until a frame says otherwise
+    const shown = { postureScore: null, postureStatus: null, headStatus: null, eyeStatus: null };
+    const results = recording.frames.map(frame => {
+        const analysis = analyzer.analyze(frame.faces, frame.pose, recording.width, recording.height, frame.t);
+        if (analysis.postureScore !== null) {
+            shown.postureScore = analysis.postureScore;
+        }
+        if (analysis.posture) {
+            shown.postureStatus = analysis.posture.status;
+        } else if (!analysis.face && !analysis.poseAnalysis) {
+            shown.postureStatus = 'No face detected';
+        }
+        if (analysis.head) {
+            shown.headStatus = analysis.head.status;
+        }
+        if (analysis.eyes) {
+            shown.eyeStatus = analysis.eyes.status;
+        }
+
+        Object.entries(analysis.issues).forEach(([issue, active]) => {
+            const details = { second: Math.floor(frame.t / 1000) };
+            if (issue === 'eyes') {
+                details.dwell = eyeAlertDelay;
+            }
+            feedbackPolicy.update(issue, active && (issue !== 'eyes' || eyeAlerts), frame.t, details);
+        });
+        return { t: frame.t, ...shown };
+    });
+
+    return {
+        summary: summarizeDetectionResults(recording.label, results),
+        results,
+        alerts: feedbackPolicy.getLog()
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DetectionAnalyzer, analyzeRecording };
+}
@@ -0,0 +1,238 @@
+// Phase Shift 2025 - Recording and replaying detector output
+//
+// A recording holds what the face detector and pose model returned for each
+// analyzed frame, so posture, head and eye analysis can be rerun without a
+// camera. The file is JSON:
+//   { format, version, createdAt, label, width, height,
+//     frames: [{ t, faces, pose }] }
+// where `t` is ms since recording started, `faces` are FaceDetector-style
+// faces in video pixels and `pose` is the 33 normalized pose landmarks or
+// null. The camera video can be recorded alongside as WebM; frame times
+// match its timeline, so the two replay in step. Hand landmarks are not
+// recorded.
+
+const DETECTION_RECORDING_FORMAT = 'phase-shift-2025-detections';
+const DETECTION_RECORDING_VERSION = 1;
+
+function roundTo(value, places) {
+    return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+// Plain copies of detector output; the browser API returns DOMRects and typed points
+function serializeFace(face) {
+    const box = face.boundingBox;
+    return {
+        boundingBox: { x: roundTo(box.x, 1), y: roundTo(box.y, 1), width: roundTo(box.width, 1), height: roundTo(box.height, 1) },
+        landmarks: (face.landmarks || []).map(landmark => ({
+            type: landmark.type,
+            locations: landmark.locations.map(point => ({ x: roundTo(point.x, 1), y: roundTo(point.y, 1) }))
+        }))
+    };
+}
+
+function serializePose(pose) {
+    if (!pose) return null;
+    return pose.map(landmark => ({
+        x: roundTo(landmark.x, 4),
+        y: roundTo(landmark.y, 4),
+        z: roundTo(landmark.z || 0, 4),
+        visibility: roundTo(landmark.visibility === undefined ? 1 : landmark.visibility, 3)
+    }));
+}
+
+class DetectionRecorder {
+    constructor() {
+        this.frames = [];
+        this.startedAt = null;
+        this.size = null;
+        this.mediaRecorder = null;
+        this.videoChunks = [];
+    }
+
+    isRecording() {
+        return this.startedAt !== null;
+    }
+
+    // Pass the camera stream to record the video too, where MediaRecorder is available
+    start({ width, height, stream = null }) {
+        this.frames = [];
+        this.videoChunks = [];
+        this.size = { width, height };
+        this.mediaRecorder = null;
+        if (stream && typeof MediaRecorder !== 'undefined') {
+            this.mediaRecorder = new MediaRecorder(stream);
+            this.mediaRecorder.addEventListener('dataavailable', event => {
+                if (event.data.size > 0) {
+                    this.videoChunks.push(event.data);
+                }
+            });
+            this.mediaRecorder.start(1000);
+        }
+        this.startedAt = performance.now();
+    }
+
+    addFrame(faces, pose, now = performance.now()) {
+        if (!this.isRecording()) return;
+        this.frames.push({
+            t: Math.round(now - this.startedAt),
+            faces: faces.map(serializeFace),
+            pose: serializePose(pose)
+        });
+    }
+
+    // Resolves with { recording, video } where `video` is a Blob or null
+    async stop(label = '') {
+        const recording = {
+            format: DETECTION_RECORDING_FORMAT,
+            version: DETECTION_RECORDING_VERSION,
+            createdAt: Date.now(),
+            label,
+            width: this.size.width,
+            height: this.size.height,
+            frames: this.frames
+        };
+        this.startedAt = null;
+        this.frames = [];
+
+        let video = null;
+        if (this.mediaRecorder) {
+            const recorder = this.mediaRecorder;
+            this.mediaRecorder = null;
+            await new Promise(resolve => {
+                recorder.addEventListener('stop', resolve, { once: true });
+                recorder.stop();
+            });
+            video = new Blob(this.videoChunks, { type: recorder.mimeType || 'video/webm' });
+            this.videoChunks = [];
+        }
+        return { recording, video };
+    }
+}
+
+function parseDetectionRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== DETECTION_RECORDING_FORMAT || !Array.isArray(data.frames)) {
+        throw new Error('The file is not a Phase Shift 2025 detection recording.');
+    }
+    if (data.version > DETECTION_RECORDING_VERSION) {
+        throw new Error('The file was recorded by a newer version of the app.');
+    }
+    if (!Number.isFinite(data.width) || !Number.isFinite(data.height) || data.frames.some(frame => !Number.isFinite(frame.t))) {
+        throw new Error('The recording is missing its frame size or frame times.');
+    }
+    return data;
+}
+
+// How often each status was shown and the mean of each numeric field, for comparing runs.
+// `results` are { t, ...fields } per analyzed frame; fields that are neither strings nor numbers are skipped.
+function summarizeDetectionResults(label, results) {
+    const summary = { label: label || '', frames: results.length, statuses: {}, averages: {} };
+    const sums = {};
+    results.forEach(result => {
+        Object.entries(result).forEach(([field, value]) => {
+            if (field === 't') return;
+            if (typeof value === 'string') {
+                summary.statuses[field] = summary.statuses[field] || {};
+                summary.statuses[field][value] = (summary.statuses[field][value] || 0) + 1;
+            } else if (Number.isFinite(value)) {
+                sums[field] = sums[field] || { total: 0, count: 0 };
+                sums[field].total += value;
+                sums[field].count++;
+            }
+        });
+    });
+    Object.entries(sums).forEach(([field, { total, count }]) => {
+        summary.averages[field] = roundTo(total / count, 1);
+    });
+    return summary;
+}
+
+// Plays a recording back on a clock: the time of a replayed video when there
+// is one, otherwise the time since play() was called. detect() and
+// estimate() match the face backend and PoseEstimator interfaces, so the app
+// can use a replay in their place.
+class DetectionReplay {
+    constructor(recording, video = null) {
+        this.recording = recording;
+        this.video = video;
+        this.startedAt = null;
+        this.index = 0;
+        this.results = [];
+    }
+
+    play(now = performance.now()) {
+        this.startedAt = now;
+        this.index = 0;
+        this.results = [];
+    }
+
+    getTime(now = performance.now()) {
+        return this.video ? this.video.currentTime * 1000 : now - this.startedAt;
+    }
+
+    getFrameSize() {
+        return { width: this.recording.width, height: this.recording.height };
+    }
+
+    // The latest frame recorded at or before the replay clock
+    getFrame(now = performance.now()) {
+        const frames = this.recording.frames;
+        const time = this.getTime(now);
+        if (this.index > 0 && frames[this.index].t > time) {
+            this.index = 0; // the video was seeked back
+        }
+        while (this.index + 1 < frames.length && frames[this.index + 1].t <= time) {
+            this.index++;
+        }
+        return frames.length > 0 && frames[this.index].t <= time ? frames[this.index] : null;
+    }
+
+    isFinished(now = performance.now()) {
+        const frames = this.recording.frames;
+        if (this.video && this.video.ended) return true;
+        return frames.length === 0 || this.getTime(now) > frames[frames.length - 1].t;
+    }
+
+    async detect() {
+        const frame = this.getFrame();
+        return frame ? frame.faces : [];
+    }
+
+    async estimate() {
+        const frame = this.getFrame();
+        return frame ? frame.pose : null;
+    }
+
+    close() {}
+
+    // `result` is whatever the app read back after analyzing a frame, e.g. { postureScore, postureStatus }.
+    // The detection loop can run faster than the recording, so each recorded frame counts once.
+    addResult(result) {
+        const frame = this.getFrame();
+        const last = this.results[this.results.length - 1];
+        if (!frame || (last && last.t === frame.t)) return;
+        this.results.push({ t: frame.t, ...result });
+    }
+
+    getSummary() {
+        return summarizeDetectionResults(this.recording.label, this.results);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DetectionRecorder,
+        DetectionReplay,
+        parseDetectionRecording,
+        summarizeDetectionResults,
+        serializeFace,
+        serializePose,
+        DETECTION_RECORDING_FORMAT,
+        DETECTION_RECORDING_VERSION
+    };
+}
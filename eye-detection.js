@@ -0,0 +1,144 @@
+// Phase Shift 2025 - Eye state detection from face landmarks
+//
+// Uses the eye aspect ratio (EAR): the eye's height relative to its width,
+// which collapses towards zero as the lid closes. Six ordered points
+// (p1..p6, corners first) use the standard formula; any other contour falls
+// back to the height/width ratio of its bounding box. Eyes marked by fewer
+// than three points, as the browser FaceDetector gives, cannot be measured.
+
+const DEFAULT_EAR_THRESHOLD = 0.2;
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function computeEyeAspectRatio(points) {
+    if (!points || points.length < 3) return null;
+
+    if (points.length === 6) {
+        const [p1, p2, p3, p4, p5, p6] = points;
+        const width = distance(p1, p4);
+        return width > 0 ? (distance(p2, p6) + distance(p3, p5)) / (2 * width) : null;
+    }
+
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const width = Math.max(...xs) - Math.min(...xs);
+    return width > 0 ? (Math.max(...ys) - Math.min(...ys)) / width : null;
+}
+
+class EyeStateDetector {
+    constructor(options = {}) {
+        this.smoothing = options.smoothing || 0.3; // weight of the newest frame
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = 'phaseShift2025EyeCalibration';
+
+        this.calibration = this.loadCalibration();
+        this.calibrationSamples = null;
+        this.reset();
+    }
+
+    reset() {
+        this.smoothedEar = null;
+        this.state = 'unknown';
+        this.openSince = null;
+    }
+
+    loadCalibration() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Error loading eye calibration:', error);
+            return null;
+        }
+    }
+
+    saveCalibration() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.calibration));
+        } catch (error) {
+            console.error('Error saving eye calibration:', error);
+        }
+    }
+
+    getThreshold() {
+        if (!this.calibration) return DEFAULT_EAR_THRESHOLD;
+        // Midway between the user's own open and closed baselines
+        return (this.calibration.openEar + this.calibration.closedEar) / 2;
+    }
+
+    // Average EAR of all eye landmarks on a detected face, or null if none
+    measure(face) {
+        const eyes = (face.landmarks || []).filter(landmark => landmark.type === 'eye');
+        const ratios = eyes
+            .map(eye => computeEyeAspectRatio(eye.locations))
+            .filter(ratio => ratio !== null);
+        if (ratios.length === 0) return null;
+        return ratios.reduce((a, b) => a + b, 0) / ratios.length;
+    }
+
+    // False when the face has eye landmarks but none with an outline, e.g. a single point per eye
+    canMeasure(face) {
+        const eyes = (face.landmarks || []).filter(landmark => landmark.type === 'eye');
+        return eyes.length === 0 || eyes.some(eye => eye.locations && eye.locations.length >= 3);
+    }
+
+    // `state` is 'open', 'closed', 'unknown' (no eyes seen) or 'unsupported' (the backend's eye landmarks have no outline)
+    update(face, now = performance.now()) {
+        const ear = this.measure(face);
+        if (ear === null) {
+            this.reset();
+            if (!this.canMeasure(face)) {
+                this.state = 'unsupported';
+            }
+            return { state: this.state, ear: null, openDuration: 0 };
+        }
+
+        if (this.calibrationSamples) {
+            this.calibrationSamples.push(ear);
+        }
+
+        this.smoothedEar = this.smoothedEar === null
+            ? ear
+            : this.smoothing * ear + (1 - this.smoothing) * this.smoothedEar;
+
+        // A small hysteresis band stops single noisy frames from flipping state
+        const threshold = this.getThreshold();
+        const margin = threshold * 0.1;
+        if (this.state !== 'open' && this.smoothedEar > threshold + margin) {
+            this.state = 'open';
+            this.openSince = now;
+        } else if (this.state !== 'closed' && this.smoothedEar < threshold - margin) {
+            this.state = 'closed';
+            this.openSince = null;
+        }
+
+        const openDuration = this.state === 'open' ? (now - this.openSince) / 1000 : 0;
+        return { state: this.state, ear: this.smoothedEar, openDuration };
+    }
+
+    beginCalibrationSample() {
+        this.calibrationSamples = [];
+    }
+
+    // Median EAR collected since beginCalibrationSample(), or null with no data
+    endCalibrationSample() {
+        const samples = (this.calibrationSamples || []).slice().sort((a, b) => a - b);
+        this.calibrationSamples = null;
+        return samples.length ? samples[Math.floor(samples.length / 2)] : null;
+    }
+
+    setCalibration(openEar, closedEar) {
+        if (openEar === null || closedEar === null || openEar <= closedEar) {
+            throw new Error('Open and closed eye measurements were not distinguishable');
+        }
+        this.calibration = { openEar, closedEar, calibratedAt: Date.now() };
+        this.saveCalibration();
+        this.reset();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EyeStateDetector, computeEyeAspectRatio, DEFAULT_EAR_THRESHOLD };
+}
@@ -0,0 +1,137 @@
+// Phase Shift 2025 - Pluggable face detection backends
+//
+// Every backend returns faces in the shape of the browser FaceDetector API:
+// { boundingBox: { x, y, width, height }, landmarks: [{ type, locations }] }
+// in video pixels, with 'eye', 'nose' and 'mouth' landmark types. The
+// browser API only exists in Chromium behind a flag, so MediaPipe Face Mesh,
+// served from `vendor/mediapipe/face_mesh/` like the pose and hand models, is
+// the default fallback. Further backends can be added to FACE_BACKENDS.
+
+const FACE_MESH_VENDOR_PATH = 'vendor/mediapipe/face_mesh/';
+
+// Face Mesh indices for six-point eye contours (corners first, as the EAR formula expects)
+const FACE_MESH_EYES = [
+    [33, 160, 158, 133, 153, 144],
+    [362, 385, 387, 263, 373, 380]
+];
+const FACE_MESH_NOSE_TIP = 1;
+const FACE_MESH_MOUTH = [78, 13, 308, 14];
+
+class NativeFaceBackend {
+    constructor() {
+        this.detector = null;
+    }
+
+    static isSupported() {
+        return 'FaceDetector' in window;
+    }
+
+    async load() {
+        this.detector = new window.FaceDetector({ maxDetectedFaces: 1, fastMode: true });
+    }
+
+    async detect(video) {
+        return this.detector.detect(video);
+    }
+
+    close() {
+        this.detector = null;
+    }
+}
+
+class FaceMeshBackend {
+    constructor(basePath = FACE_MESH_VENDOR_PATH) {
+        this.basePath = basePath;
+        this.faceMesh = null;
+        this.latestResults = null;
+    }
+
+    static isSupported() {
+        return typeof WebAssembly === 'object';
+    }
+
+    async load() {
+        if (!window.FaceMesh) {
+            await loadScript(`${this.basePath}face_mesh.js`);
+        }
+
+        this.faceMesh = new window.FaceMesh({ locateFile: file => `${this.basePath}${file}` });
+        this.faceMesh.setOptions({
+            maxNumFaces: 1,
+            refineLandmarks: false,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+        this.faceMesh.onResults(results => this.latestResults = results);
+        await this.faceMesh.initialize();
+    }
+
+    async detect(video) {
+        if (!this.faceMesh) return [];
+
+        this.latestResults = null;
+        await this.faceMesh.send({ image: video });
+        const meshes = this.latestResults && this.latestResults.multiFaceLandmarks
+            ? this.latestResults.multiFaceLandmarks
+            : [];
+        return meshes.map(mesh => faceFromMesh(mesh, video.videoWidth, video.videoHeight));
+    }
+
+    close() {
+        if (this.faceMesh) {
+            this.faceMesh.close();
+            this.faceMesh = null;
+        }
+    }
+}
+
+// Converts normalized Face Mesh landmarks into a FaceDetector-style face
+function faceFromMesh(mesh, width, height) {
+    const point = index => ({ x: mesh[index].x * width, y: mesh[index].y * height });
+    const xs = mesh.map(landmark => landmark.x * width);
+    const ys = mesh.map(landmark => landmark.y * height);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+
+    return {
+        boundingBox: { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y },
+        landmarks: [
+            ...FACE_MESH_EYES.map(indices => ({ type: 'eye', locations: indices.map(point) })),
+            { type: 'nose', locations: [point(FACE_MESH_NOSE_TIP)] },
+            { type: 'mouth', locations: FACE_MESH_MOUTH.map(point) }
+        ]
+    };
+}
+
+// Tried in this order when the preference is 'auto'
+const FACE_BACKENDS = {
+    native: { name: 'Browser FaceDetector API', Backend: NativeFaceBackend },
+    facemesh: { name: 'MediaPipe Face Mesh', Backend: FaceMeshBackend }
+};
+
+// Loads the preferred backend, falling back through the others. Resolves with
+// { active, failures }: `active` is { id, name, backend }, or null when none
+// could load, and `failures` lists why each backend tried before it failed.
+async function loadFaceBackend(preference = 'auto') {
+    const ids = Object.keys(FACE_BACKENDS);
+    const order = FACE_BACKENDS[preference] ? [preference, ...ids.filter(id => id !== preference)] : ids;
+    const failures = [];
+
+    for (const id of order) {
+        const { name, Backend } = FACE_BACKENDS[id];
+        if (!Backend.isSupported()) {
+            failures.push(`${name}: not supported by this browser`);
+            continue;
+        }
+
+        const backend = new Backend();
+        try {
+            await backend.load();
+            return { active: { id, name, backend }, failures };
+        } catch (error) {
+            backend.close();
+            failures.push(`${name}: ${error.message}`);
+        }
+    }
+    return { active: null, failures };
+}
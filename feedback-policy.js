@@ -0,0 +1,104 @@
+// Phase Shift 2025 - When and how loudly to correct the user
+//
+// Detection runs every frame, but a correction should only come once an
+// issue has lasted for the dwell time, then no more often than the cooldown
+// allows. Alerts for an issue that persists escalate from a visual cue to a
+// tone to a spoken prompt; fixing the issue drops back to visual. The
+// sensitivity setting picks both the detection thresholds and that timing.
+
+const FEEDBACK_SENSITIVITY = {
+    low: {
+        posture: { excellent: 85, good: 65, fair: 50 }, // pose model score
+        headComponent: 45, // pose head components below this count as off
+        faceBands: [0.45, 1.0, 1.5], // face-position fallback, fractions of 10% frame offset
+        headBands: [0.75, 1.5],
+        dwell: 8, // seconds an issue must last before alerting
+        cooldown: 45 // seconds between alerts for the same issue
+    },
+    medium: {
+        posture: { excellent: 90, good: 75, fair: 60 },
+        headComponent: 60,
+        faceBands: [0.3, 0.7, 1.0],
+        headBands: [0.5, 1.0],
+        dwell: 5,
+        cooldown: 30
+    },
+    high: {
+        posture: { excellent: 95, good: 85, fair: 70 },
+        headComponent: 70,
+        faceBands: [0.2, 0.5, 0.8],
+        headBands: [0.35, 0.7],
+        dwell: 3,
+        cooldown: 15
+    }
+};
+
+// In escalation order
+const FEEDBACK_CHANNELS = ['visual', 'tone', 'voice'];
+const FEEDBACK_CHANNEL_LABELS = { visual: 'on screen', tone: 'tone', voice: 'spoken' };
+
+const FEEDBACK_ISSUE_LABELS = {
+    posture: 'Posture',
+    head: 'Head position',
+    eyes: 'Eyes open'
+};
+
+class FeedbackPolicy {
+    constructor(options = {}) {
+        this.onAlert = options.onAlert || null;
+        this.setSensitivity(options.sensitivity || 'medium');
+        this.reset();
+    }
+
+    setSensitivity(sensitivity) {
+        this.sensitivity = FEEDBACK_SENSITIVITY[sensitivity] ? sensitivity : 'medium';
+    }
+
+    getThresholds() {
+        return FEEDBACK_SENSITIVITY[this.sensitivity];
+    }
+
+    reset() {
+        this.issues = {};
+        this.log = [];
+    }
+
+    // Reports whether `issue` is present this frame and returns the alert raised, if any.
+    // `details` may override the dwell time and is copied into the alert, e.g. the session second.
+    update(issue, active, now = performance.now(), details = {}) {
+        const state = this.issues[issue] || (this.issues[issue] = { since: null, lastAlertAt: null, level: 0 });
+        if (!active) {
+            state.since = null;
+            state.level = 0;
+            return null;
+        }
+
+        const { dwell = this.getThresholds().dwell, ...info } = details;
+        if (state.since === null) {
+            state.since = now;
+        }
+        if (now - state.since < dwell * 1000) return null;
+        if (state.lastAlertAt !== null && now - state.lastAlertAt < this.getThresholds().cooldown * 1000) return null;
+
+        const alert = {
+            issue,
+            channel: FEEDBACK_CHANNELS[Math.min(state.level, FEEDBACK_CHANNELS.length - 1)],
+            ...info
+        };
+        state.level++;
+        state.lastAlertAt = now;
+        this.log.push(alert);
+        if (this.onAlert) {
+            this.onAlert(alert);
+        }
+        return alert;
+    }
+
+    getLog() {
+        return this.log.slice();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FeedbackPolicy, FEEDBACK_SENSITIVITY, FEEDBACK_CHANNELS };
+}
@@ -0,0 +1,275 @@
+// Phase Shift 2025 - Heart rate and HRV from a Bluetooth chest strap or a simulation
+//
+// A heart rate source is any object with async connect(), disconnect(), a
+// `name`, and two callbacks the monitor assigns before connecting:
+// onMeasurement({ bpm, rrIntervals }) with RR intervals in milliseconds, and
+// onDisconnect(). BluetoothHeartRateSource speaks the standard GATT Heart
+// Rate Service; the simulated source stands in for hardware.
+
+// RR intervals outside this range (ms) are sensor artifacts, not heartbeats
+const RR_INTERVAL_RANGE = { min: 300, max: 2000 };
+
+// Decodes a Heart Rate Measurement characteristic value (GATT 0x2A37)
+function parseHeartRateMeasurement(dataView) {
+    const flags = dataView.getUint8(0);
+    let offset = 1;
+
+    let bpm;
+    if (flags & 0x01) {
+        bpm = dataView.getUint16(offset, true);
+        offset += 2;
+    } else {
+        bpm = dataView.getUint8(offset);
+        offset += 1;
+    }
+
+    // Bit 2 says whether contact detection is supported, bit 1 whether there is contact
+    const contact = flags & 0x04 ? Boolean(flags & 0x02) : null;
+    if (flags & 0x08) {
+        offset += 2; // energy expended, unused
+    }
+
+    const rrIntervals = [];
+    if (flags & 0x10) {
+        for (; offset + 1 < dataView.byteLength; offset += 2) {
+            rrIntervals.push(dataView.getUint16(offset, true) / 1024 * 1000);
+        }
+    }
+
+    return { bpm, rrIntervals, contact };
+}
+
+// Root mean square of successive RR differences in ms, or null with too few beats
+function computeRMSSD(rrIntervals) {
+    if (rrIntervals.length < 3) return null;
+
+    let sum = 0;
+    for (let i = 1; i < rrIntervals.length; i++) {
+        const difference = rrIntervals[i] - rrIntervals[i - 1];
+        sum += difference * difference;
+    }
+    return Math.sqrt(sum / (rrIntervals.length - 1));
+}
+
+class BluetoothHeartRateSource {
+    constructor() {
+        this.name = 'Bluetooth';
+        this.device = null;
+        this.characteristic = null;
+        this.onMeasurement = null;
+        this.onDisconnect = null;
+        this.handleValue = (event) => {
+            if (this.onMeasurement) {
+                this.onMeasurement(parseHeartRateMeasurement(event.target.value));
+            }
+        };
+        this.handleDisconnect = () => {
+            this.characteristic = null;
+            if (this.onDisconnect) {
+                this.onDisconnect();
+            }
+        };
+    }
+
+    static isSupported() {
+        return Boolean(navigator.bluetooth);
+    }
+
+    // Must be called from a user gesture, since it opens the browser's device chooser
+    async connect() {
+        if (!BluetoothHeartRateSource.isSupported()) {
+            throw new Error('Web Bluetooth is not supported in this browser');
+        }
+
+        this.device = await navigator.bluetooth.requestDevice({ filters: [{ services: ['heart_rate'] }] });
+        this.name = this.device.name || 'Bluetooth';
+        this.device.addEventListener('gattserverdisconnected', this.handleDisconnect);
+
+        const server = await this.device.gatt.connect();
+        const service = await server.getPrimaryService('heart_rate');
+        this.characteristic = await service.getCharacteristic('heart_rate_measurement');
+        this.characteristic.addEventListener('characteristicvaluechanged', this.handleValue);
+        await this.characteristic.startNotifications();
+    }
+
+    async disconnect() {
+        if (this.characteristic) {
+            this.characteristic.removeEventListener('characteristicvaluechanged', this.handleValue);
+            try {
+                await this.characteristic.stopNotifications();
+            } catch (error) {
+                // The device may already be gone
+            }
+            this.characteristic = null;
+        }
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this.handleDisconnect);
+            if (this.device.gatt.connected) {
+                this.device.gatt.disconnect();
+            }
+            this.device = null;
+        }
+    }
+}
+
+// Beats with respiratory sinus arrhythmia and an optional slow settling of the rate
+class SimulatedHeartRateSource {
+    constructor(options = {}) {
+        this.name = 'Simulated';
+        this.baseBpm = options.baseBpm || 72;
+        this.breathPeriod = options.breathPeriod || 8; // seconds
+        this.sinusAmplitude = options.sinusAmplitude !== undefined ? options.sinusAmplitude : 5; // bpm
+        this.driftPerMinute = options.driftPerMinute !== undefined ? options.driftPerMinute : -1.5; // bpm
+        this.minBpm = options.minBpm || 58;
+        this.random = options.random || Math.random;
+        this.onMeasurement = null;
+        this.onDisconnect = null;
+        this.timer = null;
+    }
+
+    async connect() {
+        this.time = 0; // simulated seconds
+        this.nextBeat = 0;
+        this.timer = setInterval(() => this.emitSecond(), 1000);
+    }
+
+    async disconnect() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    bpmAt(time) {
+        const settled = Math.max(this.minBpm, this.baseBpm + this.driftPerMinute * time / 60);
+        const sinus = this.sinusAmplitude * Math.sin(2 * Math.PI * time / this.breathPeriod);
+        return settled + sinus + (this.random() - 0.5) * 2;
+    }
+
+    // Emits the beats falling in the next simulated second, like a strap's once-a-second notification
+    emitSecond() {
+        const rrIntervals = [];
+        const end = this.time + 1;
+        while (this.nextBeat < end) {
+            const rr = 60000 / this.bpmAt(this.nextBeat);
+            rrIntervals.push(rr);
+            this.nextBeat += rr / 1000;
+        }
+        this.time = end;
+
+        if (this.onMeasurement) {
+            this.onMeasurement({ bpm: Math.round(this.bpmAt(this.time)), rrIntervals, contact: true });
+        }
+    }
+}
+
+// Collects measurements from a source and summarizes heart rate and HRV around a session.
+// The "before" reading is the minute leading up to the session start when the
+// sensor was already connected, otherwise the session's first minute; the
+// "after" reading is its last minute.
+class HeartRateMonitor {
+    constructor(options = {}) {
+        this.onUpdate = options.onUpdate || null;
+        this.onDisconnect = options.onDisconnect || null;
+        this.window = 60000; // ms for before/after readings
+        this.liveWindow = 30000; // ms for the live HRV figure
+        this.source = null;
+        this.samples = [];
+        this.sessionStart = null;
+        this.baseline = null;
+    }
+
+    async connect(source) {
+        await this.disconnect();
+        source.onMeasurement = (measurement) => this.handleMeasurement(measurement, performance.now());
+        source.onDisconnect = () => {
+            this.source = null;
+            if (this.onDisconnect) {
+                this.onDisconnect();
+            }
+        };
+        await source.connect();
+        this.source = source;
+    }
+
+    async disconnect() {
+        if (this.source) {
+            const source = this.source;
+            this.source = null;
+            await source.disconnect();
+        }
+    }
+
+    isConnected() {
+        return this.source !== null;
+    }
+
+    handleMeasurement({ bpm, rrIntervals = [] }, now) {
+        const rr = rrIntervals.filter(interval => interval >= RR_INTERVAL_RANGE.min && interval <= RR_INTERVAL_RANGE.max);
+        this.samples.push({ time: now, bpm, rr });
+
+        // Outside a session only the baseline window is worth keeping
+        const keepFrom = this.sessionStart !== null ? this.sessionStart - this.window : now - this.window;
+        while (this.samples.length > 0 && this.samples[0].time < keepFrom) {
+            this.samples.shift();
+        }
+
+        if (this.onUpdate) {
+            this.onUpdate(this.getLive(now));
+        }
+    }
+
+    // { bpm, rmssd, beats } over samples in [from, to); null when there are none
+    summarize(from, to) {
+        const samples = this.samples.filter(sample => sample.time >= from && sample.time < to);
+        if (samples.length === 0) return null;
+
+        const rr = [].concat(...samples.map(sample => sample.rr));
+        const rmssd = computeRMSSD(rr);
+        return {
+            bpm: Math.round(samples.reduce((total, sample) => total + sample.bpm, 0) / samples.length),
+            rmssd: rmssd !== null ? Math.round(rmssd) : null,
+            beats: rr.length
+        };
+    }
+
+    getLive(now = performance.now()) {
+        const latest = this.samples[this.samples.length - 1];
+        const recent = this.summarize(now - this.liveWindow, now + 1);
+        return {
+            bpm: latest ? latest.bpm : null,
+            rmssd: recent ? recent.rmssd : null
+        };
+    }
+
+    beginSession(now = performance.now()) {
+        this.sessionStart = now;
+        const baseline = this.summarize(now - this.window, now);
+        this.baseline = baseline && baseline.rmssd !== null ? baseline : null;
+    }
+
+    // Summary for the session record, or null when no sensor data arrived
+    endSession(now = performance.now()) {
+        if (this.sessionStart === null) return null;
+
+        const start = this.sessionStart;
+        this.sessionStart = null;
+        const during = this.summarize(start, now + 1);
+        if (!during) return null;
+
+        return {
+            source: this.source ? this.source.name : null,
+            averageBpm: during.bpm,
+            sessionRmssd: during.rmssd,
+            before: this.baseline || this.summarize(start, start + this.window),
+            after: this.summarize(Math.max(start, now - this.window), now + 1)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseHeartRateMeasurement,
+        computeRMSSD,
+        SimulatedHeartRateSource,
+        HeartRateMonitor
+    };
+}
@@ -0,0 +1,183 @@
+// Phase Shift 2025 - Translations for breathing guidance
+//
+// Keys under `voice.` are optional spoken variants of the on-screen
+// instruction with the same suffix; anything missing in a language falls
+// back to English, then to the key itself.
+
+const LANGUAGES = {
+    en: { name: 'English', speechLang: 'en-US' },
+    hi: { name: 'हिन्दी', speechLang: 'hi-IN' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const TRANSLATIONS = {
+    en: {
+        'instruction.prepare': 'Prepare for practice',
+        'instruction.right_in': 'Block left nostril, breathe in through right',
+        'instruction.left_out': 'Block right nostril, breathe out through left',
+        'instruction.left_in': 'Block right nostril, breathe in through left',
+        'instruction.right_out': 'Block left nostril, breathe out through right',
+        'instruction.left_out_slow': 'Block right nostril, breathe out slowly through left',
+        'instruction.right_out_slow': 'Block left nostril, breathe out slowly through right',
+        'instruction.hold_closed': 'Close both nostrils and hold the breath',
+        'instruction.release_left_out': 'Release left nostril, breathe out through left',
+        'instruction.keep_right_in_left': 'Keep right nostril blocked, breathe in through left',
+        'instruction.release_right_out': 'Release right nostril, breathe out through right',
+        'instruction.both_in': 'Breathe in through both nostrils',
+        'instruction.hold_full': 'Hold the breath with lungs full',
+        'instruction.both_out': 'Breathe out through both nostrils',
+        'instruction.hold_empty': 'Hold the breath with lungs empty',
+        'instruction.both_in_quiet': 'Breathe in quietly through both nostrils',
+        'instruction.hold': 'Hold the breath',
+        'instruction.both_out_slow': 'Breathe out slowly and completely',
+
+        'voice.right_in': 'Close your left nostril. Inhale through the right.',
+        'voice.left_out': 'Close your right nostril. Exhale through the left.',
+        'voice.left_in': 'Close your right nostril. Inhale through the left.',
+        'voice.right_out': 'Close your left nostril. Exhale through the right.',
+        'voice.left_out_slow': 'Close your right nostril. Exhale slowly through the left.',
+        'voice.right_out_slow': 'Close your left nostril. Exhale slowly through the right.',
+        'voice.hold_closed': 'Close both nostrils. Hold.',
+        'voice.release_left_out': 'Release the left. Exhale through the left.',
+        'voice.keep_right_in_left': 'Keep the right closed. Inhale through the left.',
+        'voice.release_right_out': 'Release the right. Exhale through the right.',
+        'voice.both_in': 'Inhale.',
+        'voice.hold_full': 'Hold.',
+        'voice.both_out': 'Exhale.',
+        'voice.hold_empty': 'Hold, lungs empty.',
+        'voice.both_in_quiet': 'Inhale quietly.',
+        'voice.hold': 'Hold.',
+        'voice.both_out_slow': 'Exhale slowly and completely.',
+
+        'guide.ready': 'Ready to begin',
+        'guide.paused': 'Paused',
+        'guide.inhale': 'Inhale through {through}',
+        'guide.exhale': 'Exhale through {through}',
+        'guide.hold': 'Hold the breath',
+        'guide.cycles': 'Cycles: {count}',
+        'nostril.left': 'left nostril',
+        'nostril.right': 'right nostril',
+        'nostril.both': 'both nostrils',
+
+        'announce.phase': '{instruction}, {seconds} seconds',
+        'announce.status': '{instruction}. Cycles done: {cycles}. {elapsed} of {total}.',
+        'announce.idle': 'Not practicing. Press Space to start.',
+        'announce.paused': 'Paused. Press Space to resume.',
+        'announce.resumed': 'Resumed. {instruction}',
+
+        'alert.posture': 'Sit tall and lengthen your spine.',
+        'alert.head': 'Bring your head back to center.',
+        'alert.eyes': 'Gently close your eyes.',
+
+        'coach.sit_tall': 'Sit up tall through the spine.',
+        'coach.recenter_left': "You've drifted left. Re-center.",
+        'coach.recenter_right': "You've drifted right. Re-center.",
+        'coach.move_back': 'Ease back a little from the screen.',
+        'coach.chin_up': 'Lift your chin slightly.',
+        'coach.chin_down': 'Lower your chin slightly.',
+        'coach.level_head': 'Level your head.',
+
+        'program.maintaining': 'Program complete - keep practicing the final stage',
+        'program.min_completion': 'Complete at least {percent}% of the session to advance',
+        'program.min_posture': 'Keep posture at {score}% or better to advance',
+        'program.already_counted': "Today's practice is already counted - come back tomorrow",
+        'program.completed': 'Congratulations - you have completed the program!',
+        'program.advanced': 'Day {day} complete - day {next} is next',
+        'program.advanced_unassessed': 'Day {day} complete - day {next} is next (posture was not assessed)',
+
+        'count': ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+            'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty']
+    },
+    hi: {
+        'instruction.prepare': 'अभ्यास के लिए तैयार हों',
+        'instruction.right_in': 'बायीं नासिका बंद करें, दायीं से सांस लें',
+        'instruction.left_out': 'दायीं नासिका बंद करें, बायीं से सांस छोड़ें',
+        'instruction.left_in': 'दायीं नासिका बंद करें, बायीं से सांस लें',
+        'instruction.right_out': 'बायीं नासिका बंद करें, दायीं से सांस छोड़ें',
+        'instruction.left_out_slow': 'दायीं नासिका बंद करें, बायीं से धीरे-धीरे सांस छोड़ें',
+        'instruction.right_out_slow': 'बायीं नासिका बंद करें, दायीं से धीरे-धीरे सांस छोड़ें',
+        'instruction.hold_closed': 'दोनों नासिकाएं बंद करें और सांस रोकें',
+        'instruction.release_left_out': 'बायीं नासिका खोलें, बायीं से सांस छोड़ें',
+        'instruction.keep_right_in_left': 'दायीं नासिका बंद रखें, बायीं से सांस लें',
+        'instruction.release_right_out': 'दायीं नासिका खोलें, दायीं से सांस छोड़ें',
+        'instruction.both_in': 'दोनों नासिकाओं से सांस लें',
+        'instruction.hold_full': 'फेफड़े भरे रखकर सांस रोकें',
+        'instruction.both_out': 'दोनों नासिकाओं से सांस छोड़ें',
+        'instruction.hold_empty': 'फेफड़े खाली रखकर सांस रोकें',
+        'instruction.both_in_quiet': 'दोनों नासिकाओं से धीरे से सांस लें',
+        'instruction.hold': 'सांस रोकें',
+        'instruction.both_out_slow': 'धीरे-धीरे और पूरी सांस छोड़ें',
+
+        'voice.hold_full': 'सांस रोकें।',
+        'voice.both_in': 'सांस लें।',
+        'voice.both_out': 'सांस छोड़ें।',
+
+        'guide.ready': 'शुरू करने के लिए तैयार',
+        'guide.paused': 'विराम',
+        'guide.inhale': '{through} से सांस लें',
+        'guide.exhale': '{through} से सांस छोड़ें',
+        'guide.hold': 'सांस रोकें',
+        'guide.cycles': 'चक्र: {count}',
+        'nostril.left': 'बायीं नासिका',
+        'nostril.right': 'दायीं नासिका',
+        'nostril.both': 'दोनों नासिकाओं',
+
+        'announce.phase': '{instruction}, {seconds} सेकंड',
+        'announce.status': '{instruction}। पूरे चक्र: {cycles}। {total} में से {elapsed}।',
+        'announce.idle': 'अभ्यास शुरू नहीं हुआ। शुरू करने के लिए Space दबाएं।',
+        'announce.paused': 'विराम। फिर से शुरू करने के लिए Space दबाएं।',
+        'announce.resumed': 'फिर से शुरू। {instruction}',
+
+        'alert.posture': 'सीधे बैठें और रीढ़ को लंबा रखें।',
+        'alert.head': 'सिर को वापस बीच में लाएं।',
+        'alert.eyes': 'धीरे से आंखें बंद करें।',
+
+        'coach.sit_tall': 'रीढ़ सीधी करके बैठें।',
+        'coach.recenter_left': 'आप बायीं ओर खिसक गए हैं। बीच में आएं।',
+        'coach.recenter_right': 'आप दायीं ओर खिसक गए हैं। बीच में आएं।',
+        'coach.move_back': 'स्क्रीन से थोड़ा पीछे हटें।',
+        'coach.chin_up': 'ठुड्डी थोड़ी ऊपर उठाएं।',
+        'coach.chin_down': 'ठुड्डी थोड़ी नीचे करें।',
+        'coach.level_head': 'सिर सीधा रखें।',
+
+        'program.maintaining': 'कार्यक्रम पूरा हुआ - अंतिम चरण का अभ्यास जारी रखें',
+        'program.min_completion': 'आगे बढ़ने के लिए सत्र का कम से कम {percent}% पूरा करें',
+        'program.min_posture': 'आगे बढ़ने के लिए मुद्रा {score}% या उससे बेहतर रखें',
+        'program.already_counted': 'आज का अभ्यास गिना जा चुका है - कल फिर आएं',
+        'program.completed': 'बधाई हो - आपने कार्यक्रम पूरा कर लिया!',
+        'program.advanced': 'दिन {day} पूरा - अब दिन {next}',
+        'program.advanced_unassessed': 'दिन {day} पूरा - अब दिन {next} (मुद्रा का आकलन नहीं हुआ)',
+
+        'count': ['एक', 'दो', 'तीन', 'चार', 'पांच', 'छह', 'सात', 'आठ', 'नौ', 'दस',
+            'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस', 'बीस']
+    }
+};
+
+function lookupTranslation(language, key) {
+    const table = TRANSLATIONS[language] || TRANSLATIONS[DEFAULT_LANGUAGE];
+    if (table[key] !== undefined) return table[key];
+    return TRANSLATIONS[DEFAULT_LANGUAGE][key];
+}
+
+function translate(language, key, params = {}) {
+    const text = lookupTranslation(language, key);
+    if (typeof text !== 'string') return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+// Spoken form of an instruction key, falling back to its on-screen text
+function translateVoice(language, instructionKey) {
+    const voiceKey = instructionKey.replace(/^instruction\./, 'voice.');
+    const table = TRANSLATIONS[language] || TRANSLATIONS[DEFAULT_LANGUAGE];
+    return table[voiceKey] !== undefined ? table[voiceKey] : translate(language, instructionKey);
+}
+
+function translateCount(language, number) {
+    const words = lookupTranslation(language, 'count');
+    return words[number - 1] || String(number);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LANGUAGES, DEFAULT_LANGUAGE, TRANSLATIONS, translate, translateVoice, translateCount };
+}
@@ -0,0 +1,177 @@
+// Phase Shift 2025 - Instructor dashboard
+//
+// Shows every student in a class as a card, updated from the state each
+// student's app publishes through the class relay, and sends a shared start
+// time so the whole class begins the same pattern together.
+
+const STUDENT_STALE_AFTER = 5000; // ms without an update before a card is marked stale
+
+class InstructorDashboard {
+    constructor() {
+        this.students = new Map(); // studentId -> { name, state, lastSeen }
+        this.schedule = null;
+        this.client = new ClassClient({
+            role: 'instructor',
+            onMessage: (message) => this.handleMessage(message),
+            onStatusChange: (status, detail) => this.updateConnectionStatus(status, detail)
+        });
+
+        this.grid = document.getElementById('studentGrid');
+        this.populatePatternPicker();
+        document.getElementById('relayUrl').value = getDefaultRelayUrl();
+        document.getElementById('connectBtn').addEventListener('click', () => this.toggleConnection());
+        document.getElementById('scheduleBtn').addEventListener('click', () => this.scheduleStart());
+        document.getElementById('cancelBtn').addEventListener('click', () => this.client.send({ type: 'cancel' }));
+
+        // Re-renders ages and countdowns between messages
+        setInterval(() => this.render(), 1000);
+    }
+
+    populatePatternPicker() {
+        const select = document.getElementById('breathingPattern');
+        Object.entries(BREATHING_PATTERNS).forEach(([id, pattern]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = pattern.name;
+            select.appendChild(option);
+        });
+        select.value = DEFAULT_BREATHING_PATTERN;
+    }
+
+    toggleConnection() {
+        if (this.client.isJoined()) {
+            this.client.disconnect();
+            return;
+        }
+
+        const classId = document.getElementById('classId').value.trim();
+        if (!classId) {
+            this.updateConnectionStatus('error', 'enter a class ID for students to join');
+            return;
+        }
+        this.students.clear();
+        this.schedule = null;
+        this.client.connect({ url: document.getElementById('relayUrl').value.trim() || getDefaultRelayUrl(), classId });
+    }
+
+    updateConnectionStatus(status, detail = '') {
+        const labels = {
+            connecting: 'Connecting to the class relay...',
+            joined: `Class ${document.getElementById('classId').value.trim()} is open`,
+            reconnecting: 'Connection lost, reconnecting...',
+            disconnected: 'Not connected',
+            error: `Error: ${detail}`
+        };
+        document.getElementById('connectionStatus').textContent = labels[status];
+        document.getElementById('connectBtn').textContent = this.client.isJoined() ? 'Close Class' : 'Open Class';
+        document.getElementById('scheduleBtn').disabled = status !== 'joined';
+        document.getElementById('cancelBtn').disabled = status !== 'joined';
+        this.render();
+    }
+
+    handleMessage(message) {
+        const now = Date.now();
+        if (message.type === 'roster') {
+            // The relay's view replaces ours after every (re)connect
+            this.students.clear();
+            message.students.forEach(student => {
+                this.students.set(student.studentId, { name: student.name, state: student.state, lastSeen: now });
+            });
+        } else if (message.type === 'state') {
+            this.students.set(message.studentId, { name: message.name, state: message.state, lastSeen: now });
+        } else if (message.type === 'leave') {
+            this.students.delete(message.studentId);
+        } else if (message.type === 'schedule') {
+            this.schedule = message;
+        } else if (message.type === 'cancel') {
+            this.schedule = null;
+        }
+        this.render();
+    }
+
+    scheduleStart() {
+        const delay = Math.max(5, parseInt(document.getElementById('startDelay').value) || 15);
+        this.client.send({
+            type: 'schedule',
+            pattern: document.getElementById('breathingPattern').value,
+            breathDuration: parseInt(document.getElementById('breathDuration').value),
+            sessionDuration: parseInt(document.getElementById('sessionDuration').value),
+            startAt: this.client.serverNow() + delay * 1000
+        });
+    }
+
+    formatTime(totalSeconds) {
+        const seconds = Math.max(0, Math.round(totalSeconds));
+        return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    renderSchedule() {
+        const status = document.getElementById('scheduleStatus');
+        if (!this.schedule) {
+            status.textContent = 'No start scheduled';
+            return;
+        }
+
+        const patternName = getBreathingPattern(this.schedule.pattern).name;
+        const untilStart = (this.schedule.startAt - this.client.serverNow()) / 1000;
+        const untilEnd = untilStart + (this.schedule.sessionDuration || 0);
+        if (untilStart > 0) {
+            status.textContent = `${patternName} starts in ${Math.ceil(untilStart)}s`;
+        } else if (untilEnd > 0) {
+            status.textContent = `${patternName} in progress, ${this.formatTime(untilEnd)} left`;
+        } else {
+            status.textContent = `${patternName} finished`;
+        }
+    }
+
+    renderStudent({ name, state, lastSeen }) {
+        const card = document.createElement('div');
+        card.className = 'student-card';
+        if (Date.now() - lastSeen > STUDENT_STALE_AFTER) {
+            card.classList.add('stale');
+        }
+
+        const title = document.createElement('h4');
+        title.textContent = name;
+        card.appendChild(title);
+
+        let summary = 'Waiting';
+        if (state && state.active) {
+            const phase = state.paused ? 'Paused' : (state.phase || '').replace(/_/g, ' ');
+            summary = `${phase} - cycle ${state.cycle} - ${this.formatTime(state.elapsed)} / ${this.formatTime(state.sessionDuration)}`;
+        } else if (state) {
+            summary = `Idle - ${state.patternName}`;
+        }
+        const rows = [
+            ['Session', summary],
+            ['Posture', state && state.postureScore !== null ? `${state.postureScore}% - ${state.postureStatus}` : '--'],
+            ['Head', state ? state.headStatus : '--'],
+            ['Eyes', state ? state.eyeStatus : '--'],
+            ['Hand', state ? state.handStatus : '--'],
+            ['Last update', `${Math.round((Date.now() - lastSeen) / 1000)}s ago`]
+        ];
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'student-card__row';
+            const labelEl = document.createElement('span');
+            labelEl.className = 'feedback-label';
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.textContent = value;
+            row.append(labelEl, valueEl);
+            card.appendChild(row);
+        });
+        return card;
+    }
+
+    render() {
+        const students = [...this.students.values()].sort((a, b) => a.name.localeCompare(b.name));
+        this.grid.replaceChildren(...students.map(student => this.renderStudent(student)));
+        document.getElementById('noStudents').classList.toggle('hidden', students.length > 0);
+        this.renderSchedule();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new InstructorDashboard();
+});
@@ -0,0 +1,88 @@
+// Phase Shift 2025 - Corrective prompts during practice
+//
+// Watches a few seconds of posture and head position at a time and queues a
+// prompt once a drift has lasted the whole window. Prompts are only handed
+// out at the start of an exhale, so they never cut into an inhale and stay
+// quiet through breath retention, and they are rate-limited overall and per
+// prompt. A queued prompt whose drift has been corrected is dropped unsaid.
+
+// Each test gets the window averages of the observed samples: postureDeficit is how
+// far the posture score sits below the Good threshold, dx/dy are face-center offsets
+// from the baseline as fractions of the frame (image coordinates, so +dx is the
+// user's left), sizeRatio is face width against the baseline, and headPitch and
+// headRoll are the pose measurements minus their baselines.
+const LIVE_COACH_PROMPTS = {
+    sit_tall: { key: 'coach.sit_tall', test: ({ postureDeficit, dy }) => postureDeficit > 0 || dy > 0.08 },
+    recenter_left: { key: 'coach.recenter_left', test: ({ dx }) => dx > 0.06 },
+    recenter_right: { key: 'coach.recenter_right', test: ({ dx }) => dx < -0.06 },
+    move_back: { key: 'coach.move_back', test: ({ sizeRatio }) => sizeRatio > 1.15 },
+    chin_up: { key: 'coach.chin_up', test: ({ headPitch }) => headPitch > 0.1 },
+    chin_down: { key: 'coach.chin_down', test: ({ headPitch }) => headPitch < -0.1 },
+    level_head: { key: 'coach.level_head', test: ({ headRoll }) => headRoll > 8 }
+};
+
+class LiveCoach {
+    constructor(options = {}) {
+        this.window = options.window || 5000; // ms a drift must last
+        this.minInterval = options.minInterval || 20000; // ms between any two prompts
+        this.repeatInterval = options.repeatInterval || 60000; // ms before the same prompt again
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+        this.queue = [];
+        this.lastPromptAt = null;
+        this.lastSaid = {};
+    }
+
+    // `sample` holds any of the fields the prompt tests read
+    observe(sample, now = performance.now()) {
+        this.samples.push({ time: now, ...sample });
+        while (this.samples.length > 0 && this.samples[0].time < now - this.window) {
+            this.samples.shift();
+        }
+        if (now - this.samples[0].time < this.window * 0.8) return;
+
+        const averages = this.getAverages();
+        Object.entries(LIVE_COACH_PROMPTS).forEach(([id, prompt]) => {
+            if (prompt.test(averages) && !this.queue.includes(id)) {
+                this.queue.push(id);
+            }
+        });
+    }
+
+    // Mean of each field over the window; fields never observed stay undefined, which no test passes
+    getAverages() {
+        const averages = {};
+        const fields = new Set([].concat(...this.samples.map(sample => Object.keys(sample))));
+        fields.delete('time');
+        fields.forEach(field => {
+            const values = this.samples.map(sample => sample[field]).filter(Number.isFinite);
+            if (values.length > 0) {
+                averages[field] = values.reduce((total, value) => total + value, 0) / values.length;
+            }
+        });
+        return averages;
+    }
+
+    // Called at each phase start; returns the i18n key of the prompt to give now, or null
+    nextPrompt(action, now = performance.now()) {
+        if (action !== 'out') return null;
+        if (this.lastPromptAt !== null && now - this.lastPromptAt < this.minInterval) return null;
+
+        const averages = this.getAverages();
+        this.queue = this.queue.filter(id => LIVE_COACH_PROMPTS[id].test(averages));
+        const index = this.queue.findIndex(id => this.lastSaid[id] === undefined || now - this.lastSaid[id] >= this.repeatInterval);
+        if (index === -1) return null;
+
+        const [id] = this.queue.splice(index, 1);
+        this.lastPromptAt = now;
+        this.lastSaid[id] = now;
+        return LIVE_COACH_PROMPTS[id].key;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LiveCoach, LIVE_COACH_PROMPTS };
+}
@@ -0,0 +1,71 @@
+// Phase Shift 2025 - Pinned MediaPipe model files
+//
+// The MediaPipe packages the app serves from vendor/mediapipe/, each pinned to
+// one version and its npm integrity hash. scripts/fetch-models.js downloads
+// and checks them, and the service worker precaches the files listed here.
+// Only the files the app loads are kept: the lite landmark models, since
+// every detector runs with modelComplexity 0.
+
+const MEDIAPIPE_VENDOR_DIR = 'vendor/mediapipe/';
+
+const MEDIAPIPE_MODELS = {
+    pose: {
+        packageName: '@mediapipe/pose',
+        version: '0.5.1675469404',
+        integrity: 'sha512-DFZsNWTsSphRIZppnUCuunzBiHP2FdJXR9ehc7mMi4KG+oPaOH0Em3d6kr7Py+TSyTXC1doH88KcF28k2sBxsQ==',
+        files: [
+            'pose.js',
+            'pose_web.binarypb',
+            'pose_landmark_lite.tflite',
+            'pose_solution_packed_assets_loader.js',
+            'pose_solution_packed_assets.data',
+            'pose_solution_simd_wasm_bin.js',
+            'pose_solution_simd_wasm_bin.wasm',
+            'pose_solution_simd_wasm_bin.data',
+            'pose_solution_wasm_bin.js',
+            'pose_solution_wasm_bin.wasm'
+        ]
+    },
+    hands: {
+        packageName: '@mediapipe/hands',
+        version: '0.4.1675469240',
+        integrity: 'sha512-GxoZvL1mmhJxFxjuyj7vnC++JIuInGznHBin5c7ZSq/RbcnGyfEcJrkM/bMu5K1Mz/2Ko+vEX6/+wewmEHPrHg==',
+        files: [
+            'hands.js',
+            'hands.binarypb',
+            'hand_landmark_lite.tflite',
+            'hands_solution_packed_assets_loader.js',
+            'hands_solution_packed_assets.data',
+            'hands_solution_simd_wasm_bin.js',
+            'hands_solution_simd_wasm_bin.wasm',
+            'hands_solution_simd_wasm_bin.data',
+            'hands_solution_wasm_bin.js',
+            'hands_solution_wasm_bin.wasm'
+        ]
+    },
+    face_mesh: {
+        packageName: '@mediapipe/face_mesh',
+        version: '0.4.1657299874',
+        integrity: 'sha512-Jdza+77HjDH4SQ6/DAYmnKUYdh2fU1GbhuGqXZbkK5rnJKpZLZe5KQeJmwUq9dmkYkCPSq4oe9vmcuveRPpwag==',
+        files: [
+            'face_mesh.js',
+            'face_mesh.binarypb',
+            'face_mesh_solution_packed_assets_loader.js',
+            'face_mesh_solution_packed_assets.data',
+            'face_mesh_solution_simd_wasm_bin.js',
+            'face_mesh_solution_simd_wasm_bin.wasm',
+            'face_mesh_solution_simd_wasm_bin.data',
+            'face_mesh_solution_wasm_bin.js',
+            'face_mesh_solution_wasm_bin.wasm'
+        ]
+    }
+};
+
+// Paths relative to the app root, e.g. 'vendor/mediapipe/pose/pose.js'
+function getModelFiles(names = Object.keys(MEDIAPIPE_MODELS)) {
+    return names.flatMap(name => MEDIAPIPE_MODELS[name].files.map(file => `${MEDIAPIPE_VENDOR_DIR}${name}/${file}`));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MEDIAPIPE_MODELS, MEDIAPIPE_VENDOR_DIR, getModelFiles };
+}
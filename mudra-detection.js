@@ -0,0 +1,160 @@
+// Phase Shift 2025 - Vishnu mudra verification from hand landmarks
+//
+// MediaPipe Hands is loaded from `vendor/mediapipe/hands/` like the pose
+// model. A nostril counts as blocked when a fingertip rests close to the
+// nose on that side. Camera frames are not mirrored, so the user's right
+// nostril appears on the left of the image (smaller x).
+
+const HANDS_VENDOR_PATH = 'vendor/mediapipe/hands/';
+
+// Thumb, index, middle, ring and little fingertips in the 21-point hand model
+const FINGERTIP_LANDMARKS = [4, 8, 12, 16, 20];
+
+class HandTracker {
+    constructor(basePath = HANDS_VENDOR_PATH) {
+        this.basePath = basePath;
+        this.hands = null;
+        this.latestResults = null;
+    }
+
+    async load() {
+        if (!window.Hands) {
+            await loadScript(`${this.basePath}hands.js`);
+        }
+
+        this.hands = new window.Hands({ locateFile: file => `${this.basePath}${file}` });
+        this.hands.setOptions({
+            maxNumHands: 2,
+            modelComplexity: 0,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+        this.hands.onResults(results => this.latestResults = results);
+        await this.hands.initialize();
+    }
+
+    // Returns a list of 21-point normalized hand landmark arrays
+    async estimate(image) {
+        if (!this.hands) return [];
+
+        this.latestResults = null;
+        await this.hands.send({ image });
+        return this.latestResults && this.latestResults.multiHandLandmarks
+            ? this.latestResults.multiHandLandmarks
+            : [];
+    }
+
+    close() {
+        if (this.hands) {
+            this.hands.close();
+            this.hands = null;
+        }
+    }
+}
+
+// `nose` and `faceWidth` are in canvas pixels; hand landmarks are normalized
+function detectBlockedNostrils(hands, nose, faceWidth, width, height) {
+    const reach = faceWidth * 0.3;
+    const blocked = { left: false, right: false };
+    let handNearFace = false;
+
+    hands.forEach(landmarks => {
+        FINGERTIP_LANDMARKS.forEach(index => {
+            const tip = landmarks[index];
+            if (!tip) return;
+
+            const x = tip.x * width;
+            const y = tip.y * height;
+            const distanceToNose = Math.hypot(x - nose.x, y - nose.y);
+            if (distanceToNose > reach * 2) return;
+            handNearFace = true;
+
+            if (distanceToNose <= reach) {
+                // Fingertips right over the bridge block neither side
+                const offset = x - nose.x;
+                if (offset < -faceWidth * 0.03) {
+                    blocked.right = true;
+                } else if (offset > faceWidth * 0.03) {
+                    blocked.left = true;
+                }
+            }
+        });
+    });
+
+    return { handNearFace, blocked };
+}
+
+// 'correct', 'incorrect' or 'no_hand' for the current breath, or 'not_needed'
+// when the pattern is practiced without the mudra (see breathing-patterns.js)
+function evaluateMudra(breath, detection, usesMudra = true) {
+    if (!usesMudra) {
+        return 'not_needed';
+    }
+    // Open breathing through both nostrils needs no mudra at all
+    if (breath.nostril === 'both') {
+        return detection.blocked.left || detection.blocked.right ? 'incorrect' : 'correct';
+    }
+    if (!detection.handNearFace) {
+        return 'no_hand';
+    }
+
+    const expected = {
+        left: breath.nostril === 'right' || breath.nostril === 'none',
+        right: breath.nostril === 'left' || breath.nostril === 'none'
+    };
+    return expected.left === detection.blocked.left && expected.right === detection.blocked.right
+        ? 'correct'
+        : 'incorrect';
+}
+
+// Tallies how many occurrences of each phase were held with the correct mudra
+class MudraTracker {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.phaseStats = {};
+        this.currentPhase = null;
+        this.frames = 0;
+        this.correctFrames = 0;
+    }
+
+    startPhase(phaseIndex) {
+        this.currentPhase = phaseIndex;
+        this.frames = 0;
+        this.correctFrames = 0;
+    }
+
+    // Frames that needed no mudra are not counted either way
+    recordFrame(status) {
+        if (this.currentPhase === null || status === 'not_needed') return;
+        this.frames++;
+        if (status === 'correct') {
+            this.correctFrames++;
+        }
+    }
+
+    endPhase() {
+        // Phases without any hand frames (camera off, model missing) are not counted
+        if (this.currentPhase !== null && this.frames > 0) {
+            const stats = this.phaseStats[this.currentPhase] || { attempts: 0, correct: 0 };
+            stats.attempts++;
+            if (this.correctFrames / this.frames >= 0.6) {
+                stats.correct++;
+            }
+            this.phaseStats[this.currentPhase] = stats;
+        }
+        this.currentPhase = null;
+    }
+
+    getSummary(sequence) {
+        return sequence
+            .map((breath, index) => ({ phase: breath.phase, instructionKey: breath.instructionKey, ...this.phaseStats[index] }))
+            .filter(entry => entry.attempts);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HandTracker, detectBlockedNostrils, evaluateMudra, MudraTracker, FINGERTIP_LANDMARKS };
+}
@@ -0,0 +1,199 @@
+// Phase Shift 2025 - Pose landmark posture analysis
+//
+// Runs MediaPipe Pose from files served alongside the app (see README), so
+// no CDN is needed at runtime. Landmarks are normalized to the frame, with
+// indices following the MediaPipe 33-point body model.
+
+const POSE_VENDOR_PATH = 'vendor/mediapipe/pose/';
+
+const POSE_LANDMARKS = {
+    nose: 0,
+    leftEye: 2,
+    rightEye: 5,
+    leftEar: 7,
+    rightEar: 8,
+    leftShoulder: 11,
+    rightShoulder: 12,
+    leftHip: 23,
+    rightHip: 24
+};
+
+const POSE_CONNECTIONS = [
+    ['leftEar', 'leftEye'], ['leftEye', 'nose'], ['nose', 'rightEye'], ['rightEye', 'rightEar'],
+    ['leftShoulder', 'rightShoulder'],
+    ['leftShoulder', 'leftHip'], ['rightShoulder', 'rightHip'],
+    ['leftHip', 'rightHip']
+];
+
+// Weights used when combining the available components into one score
+const POSTURE_COMPONENTS = {
+    spine: { label: 'Spine', weight: 0.3 },
+    shoulders: { label: 'Shoulders', weight: 0.2 },
+    headRoll: { label: 'Head Tilt', weight: 0.15 },
+    headPitch: { label: 'Chin Level', weight: 0.15 },
+    forwardHead: { label: 'Neck', weight: 0.2 }
+};
+
+const MIN_LANDMARK_VISIBILITY = 0.5;
+
+// Measurements of an upright sitter square to the camera; a calibrated baseline replaces them
+const POSTURE_IDEALS = {
+    shoulderTilt: 0,
+    spineLean: 0,
+    headRoll: 0,
+    headPitch: 0.05,
+    neckLength: 0.45,
+    earDepth: 0.6
+};
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+class PoseEstimator {
+    constructor(basePath = POSE_VENDOR_PATH) {
+        this.basePath = basePath;
+        this.pose = null;
+        this.latestResults = null;
+    }
+
+    async load() {
+        if (!window.Pose) {
+            await loadScript(`${this.basePath}pose.js`);
+        }
+
+        this.pose = new window.Pose({ locateFile: file => `${this.basePath}${file}` });
+        this.pose.setOptions({
+            modelComplexity: 0,
+            smoothLandmarks: true,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+        this.pose.onResults(results => this.latestResults = results);
+        await this.pose.initialize();
+    }
+
+    // Returns the 33 normalized landmarks, or null when no body is found
+    async estimate(image) {
+        if (!this.pose) return null;
+
+        this.latestResults = null;
+        await this.pose.send({ image });
+        return this.latestResults && this.latestResults.poseLandmarks
+            ? this.latestResults.poseLandmarks
+            : null;
+    }
+
+    close() {
+        if (this.pose) {
+            this.pose.close();
+            this.pose = null;
+        }
+    }
+}
+
+// Linear score: 100 at or below `good`, 0 at or beyond `bad`
+function scoreBetween(value, good, bad) {
+    if (good < bad) {
+        return Math.round(100 * Math.min(1, Math.max(0, (bad - value) / (bad - good))));
+    }
+    return Math.round(100 * Math.min(1, Math.max(0, (value - bad) / (good - bad))));
+}
+
+function angleFromHorizontal(a, b) {
+    const angle = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+    // Fold so that left-to-right and right-to-left lines compare the same
+    const folded = Math.abs(angle) > 90 ? 180 - Math.abs(angle) : Math.abs(angle);
+    return folded;
+}
+
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z || 0) + (b.z || 0)) / 2 };
+}
+
+// Measures posture components from normalized landmarks on a width x height frame,
+// scoring each against `baseline` measurements where given and POSTURE_IDEALS otherwise
+function analyzePoseLandmarks(landmarks, width, height, baseline = null) {
+    const point = name => {
+        const landmark = landmarks[POSE_LANDMARKS[name]];
+        if (!landmark || (landmark.visibility !== undefined && landmark.visibility < MIN_LANDMARK_VISIBILITY)) {
+            return null;
+        }
+        return { x: landmark.x * width, y: landmark.y * height, z: (landmark.z || 0) * width };
+    };
+
+    const leftShoulder = point('leftShoulder');
+    const rightShoulder = point('rightShoulder');
+    if (!leftShoulder || !rightShoulder) return null;
+
+    const shoulderMid = midpoint(leftShoulder, rightShoulder);
+    const shoulderWidth = Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y);
+    if (shoulderWidth === 0) return null;
+
+    const ideal = { ...POSTURE_IDEALS, ...baseline };
+    const measurements = {};
+    const components = {};
+
+    measurements.shoulderTilt = angleFromHorizontal(leftShoulder, rightShoulder);
+    components.shoulders = scoreBetween(Math.abs(measurements.shoulderTilt - ideal.shoulderTilt), 2, 10);
+
+    // Hips are often out of frame when seated at a desk; skip the spine then
+    const leftHip = point('leftHip');
+    const rightHip = point('rightHip');
+    if (leftHip && rightHip) {
+        const hipMid = midpoint(leftHip, rightHip);
+        measurements.spineLean = Math.abs(Math.atan2(shoulderMid.x - hipMid.x, hipMid.y - shoulderMid.y) * 180 / Math.PI);
+        components.spine = scoreBetween(Math.abs(measurements.spineLean - ideal.spineLean), 3, 15);
+    }
+
+    const leftEar = point('leftEar');
+    const rightEar = point('rightEar');
+    const leftEye = point('leftEye');
+    const rightEye = point('rightEye');
+    const nose = point('nose');
+
+    if (leftEye && rightEye) {
+        measurements.headRoll = angleFromHorizontal(leftEye, rightEye);
+        components.headRoll = scoreBetween(Math.abs(measurements.headRoll - ideal.headRoll), 3, 15);
+    }
+
+    if (leftEar && rightEar) {
+        const earMid = midpoint(leftEar, rightEar);
+
+        // Nose height relative to the ear line: dropping means chin down, rising chin up
+        if (nose) {
+            measurements.headPitch = (nose.y - earMid.y) / shoulderWidth;
+            components.headPitch = scoreBetween(Math.abs(measurements.headPitch - ideal.headPitch), 0.05, 0.25);
+        }
+
+        // A forward head shortens the visible neck and brings the ears towards the camera
+        measurements.neckLength = (shoulderMid.y - earMid.y) / shoulderWidth;
+        measurements.earDepth = (shoulderMid.z - earMid.z) / shoulderWidth;
+        const neckScore = scoreBetween(ideal.neckLength - measurements.neckLength, 0, 0.25);
+        const depthScore = scoreBetween(measurements.earDepth - ideal.earDepth, 0, 0.6);
+        components.forwardHead = Math.min(neckScore, depthScore);
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.entries(components).forEach(([name, value]) => {
+        weighted += value * POSTURE_COMPONENTS[name].weight;
+        totalWeight += POSTURE_COMPONENTS[name].weight;
+    });
+
+    return {
+        score: Math.round(weighted / totalWeight),
+        components,
+        measurements
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { POSE_LANDMARKS, POSE_CONNECTIONS, POSTURE_COMPONENTS, POSTURE_IDEALS, PoseEstimator, analyzePoseLandmarks, loadScript };
+}
@@ -0,0 +1,139 @@
+// Phase Shift 2025 - Personal posture baselines
+//
+// Without a baseline, posture is judged against the middle of the frame and
+// textbook body proportions, which penalizes a camera that sits off to the
+// side or looks up from a laptop. Calibrating records where the face sits
+// and how the body measures while the user holds their best seated position,
+// and scoring is then relative to that. A profile holds one baseline, so
+// each camera setup (desk, laptop, mat) can keep its own.
+
+const POSTURE_CALIBRATION_DURATION = 3000; // ms of samples per calibration
+
+class PostureCalibration {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = 'phaseShift2025PostureProfiles';
+        this.samples = null;
+
+        const saved = this.loadProfiles();
+        this.profiles = saved.profiles;
+        this.activeId = saved.activeId;
+    }
+
+    loadProfiles() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                return { profiles: parsed.profiles || [], activeId: parsed.activeId || null };
+            }
+        } catch (error) {
+            console.error('Error loading posture profiles:', error);
+        }
+        return { profiles: [], activeId: null };
+    }
+
+    saveProfiles() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ profiles: this.profiles, activeId: this.activeId }));
+        } catch (error) {
+            console.error('Error saving posture profiles:', error);
+        }
+    }
+
+    getProfiles() {
+        return this.profiles.slice();
+    }
+
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.activeId) || null;
+    }
+
+    // `null` goes back to judging against the frame center
+    setActiveProfile(id) {
+        this.activeId = this.profiles.some(profile => profile.id === id) ? id : null;
+        this.saveProfiles();
+    }
+
+    // Stores a baseline in the profile with `id`, or in a new profile, and makes it active
+    saveProfile({ id = null, name, camera = null, baseline }) {
+        let profile = this.profiles.find(entry => entry.id === id);
+        if (!profile) {
+            profile = { id: `profile-${Date.now().toString(36)}`, name, camera, createdAt: Date.now() };
+            this.profiles.push(profile);
+        }
+        Object.assign(profile, { baseline, calibratedAt: Date.now() });
+        if (name) {
+            profile.name = name;
+        }
+        this.activeId = profile.id;
+        this.saveProfiles();
+        return profile;
+    }
+
+    deleteProfile(id) {
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        this.saveProfiles();
+    }
+
+    getFaceBaseline() {
+        const profile = this.getActiveProfile();
+        return profile ? profile.baseline.face : null;
+    }
+
+    getPoseBaseline() {
+        const profile = this.getActiveProfile();
+        return profile ? profile.baseline.pose : null;
+    }
+
+    beginSample() {
+        this.samples = [];
+    }
+
+    isSampling() {
+        return this.samples !== null;
+    }
+
+    // `face` is { x, y, width } as fractions of the frame, `measurements` come from analyzePoseLandmarks()
+    addSample({ face = null, measurements = null }) {
+        if (this.samples) {
+            this.samples.push({ face, measurements });
+        }
+    }
+
+    // Median of every value seen since beginSample(), or null when neither face nor body was seen
+    endSample() {
+        const samples = this.samples || [];
+        this.samples = null;
+
+        const median = values => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+        const medianOf = (entries, key) => median(entries.map(entry => entry[key]).filter(Number.isFinite));
+
+        const faces = samples.map(sample => sample.face).filter(Boolean);
+        const bodies = samples.map(sample => sample.measurements).filter(Boolean);
+        if (faces.length === 0 && bodies.length === 0) return null;
+
+        const face = faces.length ? { x: medianOf(faces, 'x'), y: medianOf(faces, 'y'), width: medianOf(faces, 'width') } : null;
+        let pose = null;
+        if (bodies.length) {
+            pose = {};
+            Object.keys(POSTURE_IDEALS).forEach(key => {
+                const values = bodies.map(body => body[key]).filter(Number.isFinite);
+                if (values.length) {
+                    pose[key] = median(values);
+                }
+            });
+        }
+        return { face, pose };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PostureCalibration, POSTURE_CALIBRATION_DURATION };
+}
@@ -0,0 +1,168 @@
+// Phase Shift 2025 - Practice reminders
+//
+// A reminder is a time of day on chosen weekdays, with the pattern and
+// durations to practice. Each day it applies to is a slot, keyed
+// `<reminder id>@<day key>`. A slot counts as practiced when any session
+// starts from an hour before it to three hours after it; once that window
+// has passed without one, the slot is missed. Browsers have no way to wake
+// a closed page at a set time without a push server, so reminders are
+// checked while the app is open, in a tab or as an installed app.
+
+const PRACTICE_SNOOZE_MINUTES = 10;
+const PRACTICE_SLOT_EARLY = 60 * 60 * 1000; // ms before a slot that a session still counts for it
+const PRACTICE_SLOT_LATE = 3 * 60 * 60 * 1000; // ms after a slot before it is missed
+const PRACTICE_DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function formatPracticeDays(days) {
+    const sorted = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)); // Monday first
+    const key = sorted.join(',');
+    if (sorted.length === 7) return 'Every day';
+    if (key === '1,2,3,4,5') return 'Weekdays';
+    if (key === '6,0') return 'Weekends';
+    return sorted.map(day => PRACTICE_DAY_LABELS[day]).join(', ');
+}
+
+class PracticeSchedule {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = 'phaseShift2025PracticeSchedule';
+
+        const saved = this.load();
+        this.reminders = saved.reminders;
+        // slot key -> when to notify again (ms), or 0 once the slot needs no more notices
+        this.notices = saved.notices;
+    }
+
+    load() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                return { reminders: parsed.reminders || [], notices: parsed.notices || {} };
+            }
+        } catch (error) {
+            console.error('Error loading practice reminders:', error);
+        }
+        return { reminders: [], notices: {} };
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ reminders: this.reminders, notices: this.notices }));
+        } catch (error) {
+            console.error('Error saving practice reminders:', error);
+        }
+    }
+
+    getReminders() {
+        return this.reminders.slice();
+    }
+
+    getReminder(id) {
+        return this.reminders.find(reminder => reminder.id === id) || null;
+    }
+
+    // `days` are getDay() numbers (0 is Sunday), `time` is "HH:MM"; an empty
+    // `pattern` keeps whatever the app would otherwise practice, program included
+    addReminder({ days, time, pattern = '', breathDuration = null, sessionDuration = null }, now = Date.now()) {
+        if (!Array.isArray(days) || days.length === 0) {
+            throw new Error('Choose at least one day.');
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+            throw new Error('Choose a time of day.');
+        }
+        const reminder = {
+            id: `reminder-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            days: [...new Set(days)],
+            time,
+            pattern,
+            breathDuration,
+            sessionDuration,
+            createdAt: now
+        };
+        this.reminders.push(reminder);
+        this.save();
+        return reminder;
+    }
+
+    deleteReminder(id) {
+        this.reminders = this.reminders.filter(reminder => reminder.id !== id);
+        this.save();
+    }
+
+    // Slots between `from` and `to`, oldest first; none from before their reminder existed
+    getSlots(from, to) {
+        const slots = [];
+        const day = new Date(from);
+        day.setHours(0, 0, 0, 0);
+        for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+            this.reminders.forEach(reminder => {
+                if (!reminder.days.includes(day.getDay())) return;
+                const [hours, minutes] = reminder.time.split(':').map(Number);
+                const time = new Date(day).setHours(hours, minutes, 0, 0);
+                if (time >= from && time <= to && time >= reminder.createdAt) {
+                    slots.push({ reminder, time, slotKey: `${reminder.id}@${getDayKey(time)}` });
+                }
+            });
+        }
+        return slots.sort((a, b) => a.time - b.time);
+    }
+
+    getSlot(slotKey) {
+        const [id, dayKey] = slotKey.split('@');
+        const reminder = this.getReminder(id);
+        if (!reminder || !dayKey) return null;
+        const [hours, minutes] = reminder.time.split(':').map(Number);
+        const time = new Date(`${dayKey}T00:00:00`).setHours(hours, minutes, 0, 0);
+        return { reminder, time, slotKey };
+    }
+
+    getNextSlot(now = Date.now()) {
+        return this.getSlots(now, now + 8 * 24 * 60 * 60 * 1000)[0] || null;
+    }
+
+    // Slots whose time has come, within their practice window, that have not been noticed yet or were snoozed until now
+    getDueSlots(now = Date.now()) {
+        return this.getSlots(now - PRACTICE_SLOT_LATE, now).filter(({ slotKey }) => {
+            const next = this.notices[slotKey];
+            return next === undefined || (next > 0 && next <= now);
+        });
+    }
+
+    markNotified(slotKey, now = Date.now()) {
+        this.notices[slotKey] = 0;
+        // Old slots can never be due again, so their notices need not be kept
+        const oldest = getDayKey(now - 3 * 24 * 60 * 60 * 1000);
+        Object.keys(this.notices).forEach(key => {
+            if (key.split('@')[1] < oldest) {
+                delete this.notices[key];
+            }
+        });
+        this.save();
+    }
+
+    snooze(slotKey, now = Date.now(), minutes = PRACTICE_SNOOZE_MINUTES) {
+        this.notices[slotKey] = now + minutes * 60 * 1000;
+        this.save();
+        return this.notices[slotKey];
+    }
+
+    isSlotPracticed(slot, sessions) {
+        return sessions.some(session => session.startTime >= slot.time - PRACTICE_SLOT_EARLY && session.startTime <= slot.time + PRACTICE_SLOT_LATE);
+    }
+
+    // Slots between `from` and `now` whose practice window closed without a session
+    getMissedSlots(sessions, from, now = Date.now()) {
+        return this.getSlots(from, now - PRACTICE_SLOT_LATE).filter(slot => !this.isSlotPracticed(slot, sessions));
+    }
+
+    // With a routine set, days it leaves free neither extend nor break a streak
+    isRestDay(timestamp) {
+        const weekday = new Date(timestamp).getDay();
+        return this.reminders.length > 0 && !this.reminders.some(reminder => reminder.days.includes(weekday));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PracticeSchedule, formatPracticeDays, PRACTICE_SLOT_EARLY, PRACTICE_SLOT_LATE, PRACTICE_SNOOZE_MINUTES };
+}
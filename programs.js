@@ -0,0 +1,169 @@
+// Phase Shift 2025 - Progressive practice programs
+//
+// A program is a list of stages, each lasting a number of practice days and
+// fixing the pattern, base breath duration and session length. The user
+// advances one day per qualifying session (at most once per calendar day);
+// a session qualifies when enough of it was completed with good posture.
+// A session whose posture was never measured, e.g. with the camera off,
+// qualifies on completion alone and is reported as not assessed.
+
+const PRACTICE_PROGRAMS = {
+    nadi_shodhana_foundations: {
+        name: 'Nadi Shodhana Foundations (4 weeks)',
+        minCompletion: 0.9,
+        minPostureScore: 70,
+        stages: [
+            { label: 'Week 1: 4:4 equal breathing', days: 7, pattern: 'nadi_shodhana', breathDuration: 4, sessionDuration: 300 },
+            { label: 'Week 2: 4:8 lengthened exhale', days: 7, pattern: 'nadi_shodhana_1_2', breathDuration: 4, sessionDuration: 300 },
+            { label: 'Week 3: 4:16:8 with retention', days: 7, pattern: 'nadi_shodhana_1_4_2', breathDuration: 4, sessionDuration: 600 },
+            { label: 'Week 4: 5:20:10 with retention', days: 7, pattern: 'nadi_shodhana_1_4_2', breathDuration: 5, sessionDuration: 900 }
+        ]
+    },
+    calm_evenings: {
+        name: 'Calm Evenings (2 weeks)',
+        minCompletion: 0.8,
+        minPostureScore: 60,
+        stages: [
+            { label: 'Days 1-4: Chandra Bhedana', days: 4, pattern: 'chandra_bhedana', breathDuration: 4, sessionDuration: 180 },
+            { label: 'Days 5-9: Box breathing', days: 5, pattern: 'box', breathDuration: 4, sessionDuration: 300 },
+            { label: 'Days 10-14: 4-7-8 breath', days: 5, pattern: 'four_seven_eight', breathDuration: 4, sessionDuration: 300 }
+        ]
+    }
+};
+
+class ProgramTracker {
+    constructor(storage = window.localStorage, storageKey = 'phaseShift2025Program') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.state = this.load();
+    }
+    
+    load() {
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                if (PRACTICE_PROGRAMS[parsed.programId]) {
+                    return parsed;
+                }
+            }
+        } catch (error) {
+            console.error('Error loading program progress:', error);
+        }
+        return null;
+    }
+    
+    save() {
+        try {
+            if (this.state) {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+            } else {
+                this.storage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.error('Error saving program progress:', error);
+        }
+    }
+    
+    isEnrolled() {
+        return this.state !== null;
+    }
+    
+    getProgramId() {
+        return this.state ? this.state.programId : '';
+    }
+    
+    enroll(programId) {
+        if (!PRACTICE_PROGRAMS[programId]) {
+            this.leave();
+            return;
+        }
+        if (this.state && this.state.programId === programId) return;
+        
+        this.state = {
+            programId,
+            day: 0, // completed practice days
+            lastAdvancedOn: null,
+            completed: false
+        };
+        this.save();
+    }
+    
+    leave() {
+        this.state = null;
+        this.save();
+    }
+    
+    getTotalDays(program) {
+        return program.stages.reduce((total, stage) => total + stage.days, 0);
+    }
+    
+    // Parameters for the next session, or null when not enrolled
+    getCurrentSession() {
+        if (!this.state) return null;
+        
+        const program = PRACTICE_PROGRAMS[this.state.programId];
+        const totalDays = this.getTotalDays(program);
+        // After the final day the last stage keeps being offered for maintenance
+        const dayIndex = Math.min(this.state.day, totalDays - 1);
+        
+        let stageStart = 0;
+        for (const stage of program.stages) {
+            if (dayIndex < stageStart + stage.days) {
+                return {
+                    programName: program.name,
+                    stage,
+                    // The day being practiced; after the final day it stays on the last one
+                    day: Math.min(this.state.day + 1, totalDays),
+                    totalDays,
+                    completed: this.state.completed,
+                    pattern: stage.pattern,
+                    breathDuration: stage.breathDuration,
+                    sessionDuration: stage.sessionDuration
+                };
+            }
+            stageStart += stage.days;
+        }
+        return null;
+    }
+    
+    // Records a finished session and advances the program if it qualifies.
+    // `postureScore` is the session's average, or null when posture was not measured.
+    // The result's `reason` is an i18n.js key to show with `reasonParams`.
+    recordSession({ completion, postureScore = null, date = new Date() }) {
+        if (!this.state) return null;
+        
+        const program = PRACTICE_PROGRAMS[this.state.programId];
+        const today = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+        const result = { advanced: false, postureAssessed: postureScore !== null, reason: '', reasonParams: {} };
+        
+        if (this.state.completed) {
+            result.reason = 'program.maintaining';
+        } else if (completion < program.minCompletion) {
+            result.reason = 'program.min_completion';
+            result.reasonParams = { percent: Math.round(program.minCompletion * 100) };
+        } else if (result.postureAssessed && postureScore < program.minPostureScore) {
+            result.reason = 'program.min_posture';
+            result.reasonParams = { score: program.minPostureScore };
+        } else if (this.state.lastAdvancedOn === today) {
+            result.reason = 'program.already_counted';
+        } else {
+            this.state.day++;
+            this.state.lastAdvancedOn = today;
+            this.state.completed = this.state.day >= this.getTotalDays(program);
+            result.advanced = true;
+            if (this.state.completed) {
+                result.reason = 'program.completed';
+            } else {
+                result.reason = result.postureAssessed ? 'program.advanced' : 'program.advanced_unassessed';
+                result.reasonParams = { day: this.state.day, next: this.state.day + 1 };
+            }
+            this.save();
+        }
+        return result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PRACTICE_PROGRAMS, ProgramTracker };
+}
@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+// Phase Shift 2025 - Class relay
+//
+// A small WebSocket relay for class mode, using only Node's standard library
+// so it runs offline with `node relay/class-relay.js [port]`. It also serves
+// the app directory over HTTP, so students open http://<host>:<port>/ and the
+// instructor opens /instructor.html from the same machine.
+//
+// Messages are JSON text frames. Every client first sends
+// { type: 'join', role: 'student' | 'instructor', classId, name }.
+// Students then send { type: 'state', state } which is forwarded to the
+// class's instructors; instructors send { type: 'schedule', pattern,
+// breathDuration, sessionDuration, startAt } or { type: 'cancel' }, which go
+// to every student in the class. Times are relay clock milliseconds, and
+// every message from the relay carries `serverTime` so clients can correct
+// for their own clock. No video or images ever pass through the relay.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { getModelFiles } = require('../mediapipe-models.js');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const HEARTBEAT_INTERVAL = 30000; // ms between pings; clients that miss one are dropped
+const DEFAULT_PORT = 8765;
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.wasm': 'application/wasm',
+    '.tflite': 'application/octet-stream',
+    '.binarypb': 'application/octet-stream',
+    '.data': 'application/octet-stream'
+};
+
+// Every file the relay serves, relative to the app root: what index.html,
+// instructor.html and sw.js load, and the MediaPipe model files. The rest of
+// the directory, such as the relay itself and the tests, is not served.
+const APP_FILES = new Set([
+    'index.html',
+    'instructor.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'sw.js',
+    'mediapipe-models.js',
+    'i18n.js',
+    'breathing-patterns.js',
+    'session-clock.js',
+    'programs.js',
+    'session-history.js',
+    'settings-store.js',
+    'practice-schedule.js',
+    'session-export.js',
+    'camera-source.js',
+    'eye-detection.js',
+    'pose-estimation.js',
+    'posture-calibration.js',
+    'face-detection.js',
+    'detection-recording.js',
+    'mudra-detection.js',
+    'breath-detection.js',
+    'feedback-policy.js',
+    'detection-analysis.js',
+    'breathing-session.js',
+    'heart-rate.js',
+    'rppg.js',
+    'voice-guide.js',
+    'soundscape.js',
+    'class-mode.js',
+    'live-coach.js',
+    'coach-report.js',
+    'accessibility.js',
+    'app.js',
+    'instructor.js',
+    'ai-breathing-session.js',
+    ...getModelFiles()
+]);
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// One WebSocket connection: parses client frames and reassembles fragmented messages
+class RelayConnection {
+    constructor(socket, { onMessage, onClose }) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.alive = true;
+        this.closed = false;
+        this.client = null; // { id, role, classId, name } once joined
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        for (;;) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+            if (this.closed) return;
+        }
+    }
+
+    // Returns { fin, opcode, payload } or null until a whole frame has arrived
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0f;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (!masked || length > MAX_MESSAGE_BYTES) {
+            // Clients must mask their frames, and nothing this relay expects is large
+            this.close(masked ? 1009 : 1002);
+            return null;
+        }
+        if (this.buffer.length < offset + 4 + length) return null;
+
+        const mask = this.buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.buffer = this.buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+        case 0x0: // continuation
+        case 0x1: // text
+            this.fragments.push(payload);
+            if (this.fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_BYTES) {
+                this.close(1009);
+                return;
+            }
+            if (fin) {
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.onMessage(this, text);
+            }
+            break;
+        case 0x8: // close
+            this.close(1000);
+            break;
+        case 0x9: // ping
+            this.write(0xa, payload);
+            break;
+        case 0xa: // pong
+            this.alive = true;
+            break;
+        default:
+            // Binary and unknown frames have no place in this protocol
+            this.close(1003);
+        }
+    }
+
+    write(opcode, payload) {
+        if (!this.closed && this.socket.writable) {
+            this.socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    send(message) {
+        this.write(0x1, Buffer.from(JSON.stringify({ ...message, serverTime: Date.now() }), 'utf8'));
+    }
+
+    ping() {
+        this.write(0x9, Buffer.alloc(0));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(0x8, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    handleClose() {
+        this.socket.destroy();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+}
+
+// Keeps classes of students and instructors and routes messages between them
+class ClassRelay {
+    constructor() {
+        this.connections = new Set();
+        this.schedules = new Map(); // classId -> latest schedule, replayed to late joiners
+        this.nextId = 1;
+    }
+
+    add(socket) {
+        const connection = new RelayConnection(socket, {
+            onMessage: (conn, text) => this.handleMessage(conn, text),
+            onClose: conn => this.handleClose(conn)
+        });
+        this.connections.add(connection);
+        return connection;
+    }
+
+    members(classId, role) {
+        return [...this.connections].filter(conn => conn.client && conn.client.classId === classId && conn.client.role === role);
+    }
+
+    handleMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            connection.send({ type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+        if (!message || typeof message.type !== 'string') return;
+
+        if (message.type === 'join') {
+            this.join(connection, message);
+            return;
+        }
+        if (!connection.client) {
+            connection.send({ type: 'error', message: 'Join a class first' });
+            return;
+        }
+
+        const { id, role, classId, name } = connection.client;
+        if (message.type === 'state' && role === 'student') {
+            connection.client.state = message.state || null;
+            this.members(classId, 'instructor').forEach(conn => conn.send({ type: 'state', studentId: id, name, state: connection.client.state }));
+        } else if (message.type === 'schedule' && role === 'instructor') {
+            const schedule = {
+                type: 'schedule',
+                pattern: String(message.pattern || ''),
+                breathDuration: Number(message.breathDuration) || null,
+                sessionDuration: Number(message.sessionDuration) || null,
+                startAt: Number(message.startAt) || Date.now()
+            };
+            this.schedules.set(classId, schedule);
+            [...this.members(classId, 'student'), ...this.members(classId, 'instructor')].forEach(conn => conn.send(schedule));
+        } else if (message.type === 'cancel' && role === 'instructor') {
+            this.schedules.delete(classId);
+            [...this.members(classId, 'student'), ...this.members(classId, 'instructor')].forEach(conn => conn.send({ type: 'cancel' }));
+        }
+    }
+
+    join(connection, { role, classId, name }) {
+        if ((role !== 'student' && role !== 'instructor') || typeof classId !== 'string' || !classId.trim()) {
+            connection.send({ type: 'error', message: 'A join needs a role of student or instructor and a class ID' });
+            return;
+        }
+
+        const id = `c${this.nextId++}`;
+        connection.client = { id, role, classId: classId.trim(), name: String(name || '').slice(0, 60) || `Student ${id}`, state: null };
+        connection.send({ type: 'welcome', clientId: id });
+
+        const { classId: joinedClass } = connection.client;
+        if (role === 'instructor') {
+            const students = this.members(joinedClass, 'student')
+                .map(conn => ({ studentId: conn.client.id, name: conn.client.name, state: conn.client.state }));
+            connection.send({ type: 'roster', students });
+        } else {
+            this.members(joinedClass, 'instructor').forEach(conn => conn.send({ type: 'state', studentId: id, name: connection.client.name, state: null }));
+        }
+
+        // A class that has not finished yet is passed on, so late joiners can catch up with it
+        const schedule = this.schedules.get(joinedClass);
+        if (schedule && schedule.startAt + (schedule.sessionDuration || 0) * 1000 > Date.now()) {
+            connection.send(schedule);
+        }
+    }
+
+    handleClose(connection) {
+        this.connections.delete(connection);
+        if (connection.client && connection.client.role === 'student') {
+            this.members(connection.client.classId, 'instructor').forEach(conn => conn.send({ type: 'leave', studentId: connection.client.id }));
+        }
+    }
+
+    heartbeat() {
+        this.connections.forEach(connection => {
+            if (!connection.alive) {
+                connection.close(1001);
+                return;
+            }
+            connection.alive = false;
+            connection.ping();
+        });
+    }
+}
+
+// Serves the app's files from `root`: only those in APP_FILES, and nothing
+// outside it or under a dotted name such as .git/
+function serveStatic(root, request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        // A malformed escape such as %E0%A4%A
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(root, urlPath.endsWith('/') ? `${urlPath}index.html` : urlPath);
+    const segments = path.relative(root, filePath).split(path.sep);
+    if (!filePath.startsWith(root + path.sep) || segments.some(segment => segment.startsWith('.'))) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+    if (!APP_FILES.has(segments.join('/'))) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(filePath)] });
+        response.end(data);
+    });
+}
+
+function createRelayServer({ root = path.resolve(__dirname, '..') } = {}) {
+    const relay = new ClassRelay();
+    const server = http.createServer((request, response) => {
+        if (request.method !== 'GET') {
+            response.writeHead(405);
+            response.end();
+            return;
+        }
+        serveStatic(root, request, response);
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        relay.add(socket);
+    });
+
+    const heartbeat = setInterval(() => relay.heartbeat(), HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    server.on('close', () => clearInterval(heartbeat));
+
+    return { server, relay };
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.PORT) || DEFAULT_PORT;
+    const { server } = createRelayServer();
+    server.listen(port, () => {
+        console.log(`Class relay on ws://localhost:${port}`);
+        console.log(`Students: http://localhost:${port}/  Instructor: http://localhost:${port}/instructor.html`);
+    });
+}
+
+module.exports = { createRelayServer, ClassRelay, encodeFrame };
@@ -0,0 +1,247 @@
+// Phase Shift 2025 - Camera pulse and respiration estimates (remote photoplethysmography)
+//
+// Blood volume changes with each heartbeat shift skin colour very slightly,
+// most visibly in the green channel. The mean green value of forehead and
+// cheek pixels is sampled every frame, resampled to a fixed rate, and the
+// strongest frequency in the pulse band gives the heart rate. Breathing
+// modulates the same signal far more weakly, so the respiration estimate is
+// rougher. Both come with a quality score: the share of in-band power near
+// the peak. Readings are only as good as the lighting and how still the user
+// sits, which is why low-quality estimates are reported as unavailable.
+
+const RPPG_PULSE_BAND = { min: 42, max: 180 }; // beats per minute
+const RPPG_RESPIRATION_BAND = { min: 6, max: 30 }; // breaths per minute
+
+// Skin regions as fractions of the face bounding box
+const RPPG_REGIONS = [
+    { x: 0.3, y: 0.08, width: 0.4, height: 0.15 }, // forehead
+    { x: 0.12, y: 0.52, width: 0.2, height: 0.16 }, // user's right cheek
+    { x: 0.68, y: 0.52, width: 0.2, height: 0.16 } // user's left cheek
+];
+
+// Mean colour of the skin regions in an ImageData of the face box
+function averageSkinColor(imageData, regions = RPPG_REGIONS) {
+    const { width, height, data } = imageData;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    let count = 0;
+
+    regions.forEach(region => {
+        const x0 = Math.floor(region.x * width);
+        const y0 = Math.floor(region.y * height);
+        const x1 = Math.min(width, Math.ceil((region.x + region.width) * width));
+        const y1 = Math.min(height, Math.ceil((region.y + region.height) * height));
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const i = (y * width + x) * 4;
+                r += data[i];
+                g += data[i + 1];
+                b += data[i + 2];
+                count++;
+            }
+        }
+    });
+
+    return count > 0 ? { r: r / count, g: g / count, b: b / count } : null;
+}
+
+// Strongest frequency of `signal` within `band` (per minute) and its quality:
+// the share of in-band power within `peakWidth` of the peak (0-1)
+function findDominantRate(signal, sampleRate, band, step = 0.5, peakWidth = 3) {
+    // A Hann window keeps the window edges from smearing power across the band
+    const windowed = signal.map((value, i) => value * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (signal.length - 1))));
+
+    const powers = [];
+    for (let rate = band.min; rate <= band.max; rate += step) {
+        const omega = 2 * Math.PI * (rate / 60) / sampleRate;
+        let real = 0;
+        let imaginary = 0;
+        for (let i = 0; i < windowed.length; i++) {
+            real += windowed[i] * Math.cos(omega * i);
+            imaginary -= windowed[i] * Math.sin(omega * i);
+        }
+        powers.push({ rate, power: real * real + imaginary * imaginary });
+    }
+
+    const total = powers.reduce((sum, entry) => sum + entry.power, 0);
+    if (total === 0) return null;
+
+    const peak = powers.reduce((best, entry) => entry.power > best.power ? entry : best);
+    const nearPeak = powers
+        .filter(entry => Math.abs(entry.rate - peak.rate) <= peakWidth)
+        .reduce((sum, entry) => sum + entry.power, 0);
+    return { rate: peak.rate, quality: nearPeak / total };
+}
+
+// Subtracts a centered moving average, removing anything slower than about `size` samples
+function removeMovingAverage(signal, size) {
+    const half = Math.floor(size / 2);
+    return signal.map((value, i) => {
+        const from = Math.max(0, i - half);
+        const to = Math.min(signal.length, i + half + 1);
+        let sum = 0;
+        for (let j = from; j < to; j++) {
+            sum += signal[j];
+        }
+        return value - sum / (to - from);
+    });
+}
+
+function movingAverage(signal, size) {
+    const trend = removeMovingAverage(signal, size);
+    return signal.map((value, i) => value - trend[i]);
+}
+
+function removeLinearTrend(signal) {
+    const n = signal.length;
+    const meanX = (n - 1) / 2;
+    const meanY = signal.reduce((sum, value) => sum + value, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    signal.forEach((value, i) => {
+        numerator += (i - meanX) * (value - meanY);
+        denominator += (i - meanX) * (i - meanX);
+    });
+    const slope = denominator > 0 ? numerator / denominator : 0;
+    return signal.map((value, i) => value - meanY - slope * (i - meanX));
+}
+
+class RPPGEstimator {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 15; // Hz after resampling
+        this.pulseWindow = options.pulseWindow || 12; // seconds
+        this.respirationWindow = options.respirationWindow || 32; // seconds
+        this.minQuality = options.minQuality !== undefined ? options.minQuality : 0.3;
+        this.maxGap = 1; // seconds without a face before the signal starts over
+        this.reset();
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    // `time` in seconds; frames may arrive at any rate
+    addSample(color, time) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && (time - last.time > this.maxGap || time <= last.time)) {
+            this.reset();
+        }
+        this.samples.push({ time, g: color.g });
+
+        const keepFrom = time - this.respirationWindow;
+        while (this.samples.length > 0 && this.samples[0].time < keepFrom) {
+            this.samples.shift();
+        }
+    }
+
+    getDuration() {
+        return this.samples.length < 2 ? 0 : this.samples[this.samples.length - 1].time - this.samples[0].time;
+    }
+
+    // Green values over the last `seconds`, linearly resampled and normalized to their mean
+    resample(seconds) {
+        const end = this.samples[this.samples.length - 1].time;
+        const start = end - seconds;
+        const values = [];
+        let j = 0;
+        for (let t = start; t <= end; t += 1 / this.sampleRate) {
+            while (j < this.samples.length - 2 && this.samples[j + 1].time < t) {
+                j++;
+            }
+            const a = this.samples[j];
+            const b = this.samples[j + 1];
+            const fraction = Math.min(1, Math.max(0, (t - a.time) / (b.time - a.time)));
+            values.push(a.g + (b.g - a.g) * fraction);
+        }
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        return values.map(value => value / mean - 1);
+    }
+
+    // { pulse, respiration }, each { rate, quality } or null until enough clean signal
+    estimate() {
+        const duration = this.getDuration();
+        const result = { pulse: null, respiration: null };
+
+        if (duration >= this.pulseWindow) {
+            // Drop breathing and lighting drift, then smooth out frame noise above the pulse band
+            const signal = movingAverage(removeMovingAverage(this.resample(this.pulseWindow), this.sampleRate), 2);
+            const pulse = findDominantRate(signal, this.sampleRate, RPPG_PULSE_BAND, 1);
+            result.pulse = pulse && pulse.quality >= this.minQuality ? pulse : null;
+        }
+
+        if (duration >= this.respirationWindow - 1) {
+            // Averaging over a second removes the pulse and leaves the slow breathing swing
+            const signal = movingAverage(removeLinearTrend(this.resample(duration)), this.sampleRate);
+            const respiration = findDominantRate(signal, this.sampleRate, RPPG_RESPIRATION_BAND, 0.5, 1);
+            result.respiration = respiration && respiration.quality >= this.minQuality ? respiration : null;
+        }
+
+        return result;
+    }
+}
+
+// Crops the face box out of a video frame onto a small canvas and averages its skin regions
+class RPPGSampler {
+    constructor(size = 64) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = size;
+        this.canvas.height = size;
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    sample(video, box) {
+        const size = this.canvas.width;
+        this.ctx.drawImage(video, box.x, box.y, box.width, box.height, 0, 0, size, size);
+        return averageSkinColor(this.ctx.getImageData(0, 0, size, size));
+    }
+}
+
+// Steps through a recorded video frame by frame, e.g. after a detection replay.
+// `detectFace(video)` returns the face bounding box in video pixels, or null.
+// `duration` (s) defaults to the video's, which a MediaRecorder WebM may not
+// know, and `sampler` to an RPPGSampler. Resolves with one
+// { time, pulse, respiration } entry per second of video.
+async function analyzeRecordedVideo(video, detectFace, options = {}) {
+    const { fps = 30, duration = video.duration, estimator = new RPPGEstimator() } = options;
+    const sampler = options.sampler || new RPPGSampler();
+    const seek = time => new Promise(resolve => {
+        video.addEventListener('seeked', resolve, { once: true });
+        video.currentTime = time;
+    });
+
+    const results = [];
+    let nextReport = 1;
+    for (let time = 0; time < duration; time += 1 / fps) {
+        await seek(time);
+        const box = await detectFace(video);
+        const color = box ? sampler.sample(video, box) : null;
+        if (color) {
+            estimator.addSample(color, time);
+        }
+        if (time >= nextReport) {
+            results.push({ time: nextReport, ...estimator.estimate() });
+            nextReport++;
+        }
+    }
+    return results;
+}
+
+// Mean pulse and respiration rates over analyzeRecordedVideo() results, each null
+// when no second had a good enough estimate, and how many seconds had a pulse
+function summarizeVideoEstimates(results) {
+    const average = field => {
+        const rates = results.filter(result => result[field]).map(result => result[field].rate);
+        return rates.length > 0 ? Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : null;
+    };
+    return {
+        pulse: average('pulse'),
+        respiration: average('respiration'),
+        pulseSeconds: results.filter(result => result.pulse).length,
+        seconds: results.length
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RPPGEstimator, averageSkinColor, findDominantRate, analyzeRecordedVideo, summarizeVideoEstimates };
+}
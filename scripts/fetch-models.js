@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Phase Shift 2025 - Fetch the MediaPipe model files
+//
+// Downloads the packages pinned in mediapipe-models.js from the npm registry,
+// checks each tarball against its pinned integrity hash and unpacks the
+// listed files into vendor/mediapipe/<name>/. Uses only Node's standard
+// library: `node scripts/fetch-models.js [name ...]`, all of them by
+// default. Set npm_config_registry to use a mirror.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const zlib = require('zlib');
+
+const { MEDIAPIPE_MODELS, MEDIAPIPE_VENDOR_DIR } = require('../mediapipe-models.js');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const MAX_REDIRECTS = 5;
+
+function getTarballUrl({ packageName, version }) {
+    const registry = (process.env.npm_config_registry || 'https://registry.npmjs.org/').replace(/\/?$/, '/');
+    const baseName = packageName.split('/').pop();
+    return `${registry}${packageName}/-/${baseName}-${version}.tgz`;
+}
+
+function download(url, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        https.get(url, response => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error(`Too many redirects for ${url}`));
+                    return;
+                }
+                resolve(download(new URL(response.headers.location, url).href, redirects + 1));
+                return;
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`GET ${url} answered ${response.statusCode}`));
+                return;
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+// `integrity` is a Subresource Integrity string, as in package-lock.json
+function checkIntegrity(buffer, integrity) {
+    const [algorithm, expected] = integrity.split(/-(.*)/s);
+    const actual = crypto.createHash(algorithm).update(buffer).digest('base64');
+    return actual === expected;
+}
+
+// Regular files of an uncompressed tar archive, keyed by path
+function readTar(buffer) {
+    const entries = new Map();
+    let offset = 0;
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const size = parseInt(field(124, 12).trim(), 8) || 0;
+        const type = field(156, 1);
+        offset += 512;
+        if (type === '' || type === '0') {
+            entries.set(name, buffer.subarray(offset, offset + size));
+        }
+        offset += Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+async function fetchModel(name) {
+    const model = MEDIAPIPE_MODELS[name];
+    const url = getTarballUrl(model);
+    console.log(`${model.packageName}@${model.version}: downloading ${url}`);
+
+    const tarball = await download(url);
+    if (!checkIntegrity(tarball, model.integrity)) {
+        throw new Error(`${model.packageName}@${model.version} does not match its pinned integrity hash`);
+    }
+
+    // npm tarballs keep everything under package/
+    const entries = readTar(zlib.gunzipSync(tarball));
+    const targetDir = path.join(APP_ROOT, MEDIAPIPE_VENDOR_DIR, name);
+    fs.mkdirSync(targetDir, { recursive: true });
+    for (const file of model.files) {
+        const contents = entries.get(`package/${file}`);
+        if (!contents) {
+            throw new Error(`${model.packageName}@${model.version} has no ${file}`);
+        }
+        fs.writeFileSync(path.join(targetDir, file), contents);
+    }
+    console.log(`${model.packageName}@${model.version}: ${model.files.length} files in ${path.relative(APP_ROOT, targetDir)}/`);
+}
+
+async function main(names) {
+    const unknown = names.filter(name => !MEDIAPIPE_MODELS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown model ${unknown.join(', ')}; choose from ${Object.keys(MEDIAPIPE_MODELS).join(', ')}`);
+    }
+    for (const name of names) {
+        await fetchModel(name);
+    }
+}
+
+if (require.main === module) {
+    const names = process.argv.slice(2);
+    main(names.length > 0 ? names : Object.keys(MEDIAPIPE_MODELS)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,338 @@
+// Phase Shift 2025 - Session clock and breathing scheduler
+//
+// All session timing derives from one monotonic clock that stops while the
+// session is paused. The scheduler recomputes the phase from that clock on
+// each wake-up instead of counting interval callbacks, so late timers never
+// accumulate drift. Time is read through an injectable time source; the
+// ManualTimeSource below drives it deterministically outside a browser.
+
+const systemTimeSource = {
+    now: () => performance.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: id => clearTimeout(id)
+};
+
+// A time source that only moves when advance() is called
+class ManualTimeSource {
+    constructor(start = 0) {
+        this.time = start;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms) {
+        const id = this.nextId++;
+        this.timers.push({ id, at: this.time + Math.max(0, ms), callback });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    // Moves time forward, firing due timers in order
+    advance(ms) {
+        const target = this.time + ms;
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.at <= target)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+            this.timers = this.timers.filter(timer => timer !== due);
+            this.time = due.at;
+            due.callback();
+        }
+        this.time = target;
+    }
+}
+
+// Monotonic elapsed time that excludes paused intervals
+class SessionClock {
+    constructor(timeSource = systemTimeSource) {
+        this.timeSource = timeSource;
+        this.reset();
+    }
+
+    reset() {
+        this.startedAt = null;
+        this.pausedAt = null;
+        this.pausedTotal = 0;
+    }
+
+    // `alreadyElapsed` ms counts as practiced, for joining a session that began earlier
+    start(alreadyElapsed = 0) {
+        this.reset();
+        this.startedAt = this.timeSource.now() - alreadyElapsed;
+    }
+
+    pause() {
+        if (this.startedAt === null || this.pausedAt !== null) return;
+        this.pausedAt = this.timeSource.now();
+    }
+
+    resume() {
+        if (this.pausedAt === null) return;
+        this.pausedTotal += this.timeSource.now() - this.pausedAt;
+        this.pausedAt = null;
+    }
+
+    isPaused() {
+        return this.pausedAt !== null;
+    }
+
+    // Active milliseconds since start()
+    elapsed() {
+        if (this.startedAt === null) return 0;
+        const until = this.pausedAt !== null ? this.pausedAt : this.timeSource.now();
+        return until - this.startedAt - this.pausedTotal;
+    }
+}
+
+// Steps through the breathing sequence against a SessionClock.
+//
+// Events (subscribe with on()):
+//   phasestart { index, breath, duration, cycle, stale }
+//              duration in seconds; stale when the phase was already over
+//              by the time the scheduler caught up (e.g. after throttling)
+//   phaseend   { index, breath }
+//   tick       { remaining, waiting, elapsed }       whole seconds
+//   cycle      { count }
+//   end        { elapsed }                           session time is up
+class SessionScheduler {
+    constructor(options) {
+        this.timeSource = options.timeSource || systemTimeSource;
+        this.clock = new SessionClock(this.timeSource);
+        this.getSequence = options.getSequence;
+        this.getPhaseDuration = options.getPhaseDuration;
+        this.getSessionDuration = options.getSessionDuration;
+        // Optional hook that may keep a phase open past its duration
+        this.shouldExtendPhase = options.shouldExtendPhase || (() => false);
+        this.transitionDelay = options.transitionDelay !== undefined ? options.transitionDelay : 500;
+
+        this.listeners = {};
+        this.timer = null;
+        this.running = false;
+        this.resetState();
+    }
+
+    resetState() {
+        this.phaseIndex = 0;
+        this.cycleCount = 0;
+        this.phaseStart = null; // clock ms; null during a transition
+        this.phaseDuration = 0; // ms
+        this.transitionEnd = null;
+        this.lastTick = null;
+    }
+
+    on(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(listener => listener !== handler);
+        };
+    }
+
+    emit(type, detail) {
+        (this.listeners[type] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Scheduler ${type} handler failed:`, error);
+            }
+        });
+    }
+
+    // Phases already due when starting late are emitted as stale while the schedule catches up
+    start(alreadyElapsed = 0) {
+        this.stop();
+        this.resetState();
+        this.running = true;
+        this.clock.start(alreadyElapsed);
+        this.beginPhase(0, 0);
+        this.update();
+    }
+
+    pause() {
+        if (!this.running || this.clock.isPaused()) return;
+        this.clock.pause();
+        this.cancelTimer();
+    }
+
+    resume() {
+        if (!this.running || !this.clock.isPaused()) return;
+        this.clock.resume();
+        // Listeners usually cleared their display on pause, so always send a fresh tick
+        this.lastTick = null;
+        this.update();
+    }
+
+    // Stopping freezes the clock so the final elapsed time can still be read
+    stop() {
+        this.running = false;
+        this.clock.pause();
+        this.cancelTimer();
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    isInPhase() {
+        return this.running && this.phaseStart !== null;
+    }
+
+    // Active session time in whole seconds
+    getElapsedSeconds() {
+        return Math.floor(this.clock.elapsed() / 1000);
+    }
+
+    // Seconds spent in the current phase (0 during a transition)
+    getPhaseElapsed() {
+        return this.phaseStart === null ? 0 : (this.clock.elapsed() - this.phaseStart) / 1000;
+    }
+
+    getCurrentPhase() {
+        return this.phaseIndex;
+    }
+
+    // Ends the current phase now, e.g. when the user's breath finished early
+    advance() {
+        if (!this.isInPhase()) return;
+        this.endPhase(this.clock.elapsed());
+        this.update();
+    }
+
+    // Catches up immediately instead of waiting for a timer the browser may have
+    // throttled, e.g. when a backgrounded tab becomes visible again
+    resync() {
+        if (!this.running || this.clock.isPaused()) return;
+        this.lastTick = null;
+        this.update();
+    }
+
+    // Starts the sequence over from its first phase without touching the session clock
+    restartSequence() {
+        if (!this.running) return;
+        this.beginPhase(0, this.clock.elapsed());
+        this.update();
+    }
+
+    beginPhase(index, at) {
+        const sequence = this.getSequence();
+        this.phaseIndex = index % sequence.length;
+        this.phaseStart = at;
+        this.transitionEnd = null;
+        const breath = sequence[this.phaseIndex];
+        const duration = this.getPhaseDuration(breath);
+        this.phaseDuration = duration * 1000;
+        this.lastTick = null;
+        this.emit('phasestart', {
+            index: this.phaseIndex,
+            breath,
+            duration,
+            cycle: this.cycleCount,
+            stale: this.clock.elapsed() >= at + this.phaseDuration
+        });
+    }
+
+    endPhase(at) {
+        const sequence = this.getSequence();
+        this.emit('phaseend', { index: this.phaseIndex, breath: sequence[this.phaseIndex] });
+
+        this.phaseIndex = (this.phaseIndex + 1) % sequence.length;
+        if (this.phaseIndex === 0) {
+            this.cycleCount++;
+            this.emit('cycle', { count: this.cycleCount });
+        }
+        this.phaseStart = null;
+        this.transitionEnd = at + this.transitionDelay;
+    }
+
+    update() {
+        this.cancelTimer();
+        if (!this.running || this.clock.isPaused()) return;
+
+        const elapsed = this.clock.elapsed();
+        if (elapsed >= this.getSessionDuration() * 1000) {
+            this.stop();
+            this.emit('end', { elapsed: Math.floor(elapsed / 1000) });
+            return;
+        }
+
+        // Boundaries are placed where they were due, not where the timer fired,
+        // so a late or throttled wake-up catches up without shifting the rhythm
+        let waiting = false;
+        for (;;) {
+            if (this.phaseStart === null) {
+                if (elapsed < this.transitionEnd) break;
+                this.beginPhase(this.phaseIndex, this.transitionEnd);
+                continue;
+            }
+
+            const phaseEnd = this.phaseStart + this.phaseDuration;
+            if (elapsed < phaseEnd) break;
+
+            const breath = this.getSequence()[this.phaseIndex];
+            waiting = this.shouldExtendPhase(breath, (elapsed - phaseEnd) / 1000, this.phaseDuration / 1000);
+            if (waiting) break;
+            // A phase that was held open ends now rather than at its nominal end
+            this.endPhase(this.lastTick && this.lastTick.waiting ? elapsed : phaseEnd);
+        }
+
+        this.emitTick(elapsed, waiting);
+        if (this.running) {
+            this.scheduleNext(elapsed);
+        }
+    }
+
+    emitTick(elapsed, waiting) {
+        const remaining = this.phaseStart === null
+            ? 0
+            : Math.max(0, Math.ceil((this.phaseStart + this.phaseDuration - elapsed) / 1000));
+        const tick = { remaining, waiting, elapsed: Math.floor(elapsed / 1000) };
+        const last = this.lastTick;
+        if (!last || last.remaining !== tick.remaining || last.waiting !== tick.waiting || last.elapsed !== tick.elapsed) {
+            this.lastTick = tick;
+            this.emit('tick', tick);
+        }
+    }
+
+    // Sleeps until the next moment anything visible can change
+    scheduleNext(elapsed) {
+        const candidates = [
+            1000 - (elapsed % 1000), // next whole session second
+            this.getSessionDuration() * 1000 - elapsed
+        ];
+        if (this.phaseStart !== null) {
+            const phaseElapsed = elapsed - this.phaseStart;
+            const untilEnd = this.phaseDuration - phaseElapsed;
+            // While waiting on the extend hook, poll it a few times a second
+            candidates.push(untilEnd > 0 ? untilEnd : 250);
+            if (untilEnd > 0) {
+                candidates.push(untilEnd % 1000 || 1000);
+            }
+        } else {
+            candidates.push(this.transitionEnd - elapsed);
+        }
+
+        const delay = Math.max(1, Math.min(...candidates.filter(value => value > 0)));
+        this.timer = this.timeSource.setTimeout(() => {
+            this.timer = null;
+            this.update();
+        }, delay);
+    }
+
+    cancelTimer() {
+        if (this.timer !== null) {
+            this.timeSource.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SessionClock, SessionScheduler, ManualTimeSource, systemTimeSource };
+}
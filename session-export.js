@@ -0,0 +1,190 @@
+// Phase Shift 2025 - Session timeline recording and JSON/CSV export
+//
+// The JSON export is the lossless format and the only one that can be
+// imported again; the CSV files are flat views meant for spreadsheets and
+// notebooks: one row per session, or one row per practiced second.
+
+const SESSION_EXPORT_FORMAT = 'phase-shift-2025-sessions';
+const SESSION_EXPORT_VERSION = 1;
+
+// One row per active second of practice, plus a row wherever the session was paused
+class SessionTimeline {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.rows = [];
+        this.lastSecond = null;
+        this.openPause = null;
+        this.pausedAt = null;
+    }
+
+    // Repeated samples for the same second are ignored
+    record(second, sample) {
+        if (second === this.lastSecond) return;
+        this.lastSecond = second;
+        this.rows.push({ second, ...sample, paused: false });
+    }
+
+    pause(second, sample, now = Date.now()) {
+        this.resume(now);
+        this.openPause = { second, ...sample, paused: true, pauseDuration: 0 };
+        this.pausedAt = now;
+        this.rows.push(this.openPause);
+    }
+
+    resume(now = Date.now()) {
+        if (!this.openPause) return;
+        this.openPause.pauseDuration = Math.round((now - this.pausedAt) / 1000);
+        this.openPause = null;
+        this.pausedAt = null;
+    }
+
+    // Closes a pause still in progress and returns a copy of the rows
+    finish(now = Date.now()) {
+        this.resume(now);
+        return this.rows.map(row => ({ ...row }));
+    }
+}
+
+function exportSessionsJSON(sessions, now = Date.now()) {
+    return JSON.stringify({
+        format: SESSION_EXPORT_FORMAT,
+        version: SESSION_EXPORT_VERSION,
+        exportedAt: new Date(now).toISOString(),
+        sessions
+    }, null, 2);
+}
+
+// Returns { sessions, invalid }; throws when the text is not a session export at all
+function parseSessionsJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== SESSION_EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+        throw new Error('The file is not a Phase Shift 2025 session export.');
+    }
+    if (data.version > SESSION_EXPORT_VERSION) {
+        throw new Error('The file was exported by a newer version of the app.');
+    }
+
+    const sessions = [];
+    let invalid = 0;
+    data.sessions.forEach(session => {
+        const required = ['startTime', 'elapsed', 'breathDuration', 'sessionDuration'];
+        if (!session || typeof session.id !== 'string' || !required.every(field => Number.isFinite(session[field]))) {
+            invalid++;
+            return;
+        }
+        sessions.push({
+            averagePosture: null,
+            minPosture: null,
+            cycleCount: 0,
+            pauseCount: 0,
+            mudraAccuracy: [],
+            breathAdherence: null,
+            heartRate: null,
+            cameraVitals: null,
+            alerts: [],
+            timeline: [],
+            ...session,
+            patternName: session.patternName || session.pattern || 'Unknown pattern'
+        });
+    });
+    return { sessions, invalid };
+}
+
+function escapeCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns, rows) {
+    const lines = [columns.map(([header]) => header).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(([, getValue]) => escapeCSVField(getValue(row))).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Share of tracked phases held with the correct mudra, across all phases
+function getMudraPercent(session) {
+    const entries = session.mudraAccuracy || [];
+    const attempts = entries.reduce((total, entry) => total + entry.attempts, 0);
+    if (attempts === 0) return null;
+    return Math.round(entries.reduce((total, entry) => total + entry.correct, 0) / attempts * 100);
+}
+
+function getHeartRateReading(session, when, field) {
+    const reading = session.heartRate && session.heartRate[when];
+    return reading ? reading[field] : null;
+}
+
+const SESSION_CSV_COLUMNS = [
+    ['id', session => session.id],
+    ['start_time', session => new Date(session.startTime).toISOString()],
+    ['end_time', session => session.endTime ? new Date(session.endTime).toISOString() : null],
+    ['pattern', session => session.pattern],
+    ['pattern_name', session => session.patternName],
+    ['program_id', session => session.programId],
+    ['breath_duration_s', session => session.breathDuration],
+    ['planned_duration_s', session => session.sessionDuration],
+    ['practiced_s', session => session.elapsed],
+    ['cycles', session => session.cycleCount],
+    ['average_posture', session => session.averagePosture],
+    ['min_posture', session => session.minPosture],
+    ['pauses', session => session.pauseCount],
+    ['stopped_early', session => session.stoppedEarly ? 1 : 0],
+    ['mudra_correct_pct', getMudraPercent],
+    ['breath_adherence_pct', session => session.breathAdherence ? session.breathAdherence.adherence : null],
+    ['average_bpm', session => session.heartRate ? session.heartRate.averageBpm : null],
+    ['bpm_before', session => getHeartRateReading(session, 'before', 'bpm')],
+    ['bpm_after', session => getHeartRateReading(session, 'after', 'bpm')],
+    ['rmssd_before_ms', session => getHeartRateReading(session, 'before', 'rmssd')],
+    ['rmssd_after_ms', session => getHeartRateReading(session, 'after', 'rmssd')],
+    ['camera_pulse_bpm', session => session.cameraVitals ? session.cameraVitals.pulseBpm : null],
+    ['camera_respiration_rpm', session => session.cameraVitals ? session.cameraVitals.respirationRate : null],
+    ['feedback_alerts', session => session.alerts ? session.alerts.length : null]
+];
+
+const TIMELINE_CSV_COLUMNS = [
+    ['session_id', row => row.sessionId],
+    ['second', row => row.second],
+    ['phase', row => row.phase],
+    ['action', row => row.action],
+    ['posture_score', row => row.postureScore],
+    ['head_status', row => row.headStatus],
+    ['eye_status', row => row.eyeStatus],
+    ['heart_rate_bpm', row => row.heartRate],
+    ['camera_pulse_bpm', row => row.cameraPulse],
+    ['paused', row => row.paused ? 1 : 0],
+    ['pause_duration_s', row => row.paused ? row.pauseDuration : null]
+];
+
+function sessionsToCSV(sessions) {
+    return toCSV(SESSION_CSV_COLUMNS, sessions);
+}
+
+function timelineToCSV(sessions) {
+    const rows = [];
+    sessions.forEach(session => {
+        (session.timeline || []).forEach(row => rows.push({ sessionId: session.id, ...row }));
+    });
+    return toCSV(TIMELINE_CSV_COLUMNS, rows);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SessionTimeline,
+        exportSessionsJSON,
+        parseSessionsJSON,
+        sessionsToCSV,
+        timelineToCSV,
+        escapeCSVField
+    };
+}
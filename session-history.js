@@ -0,0 +1,155 @@
+// Phase Shift 2025 - Persistent session history (IndexedDB) and statistics
+
+class SessionHistory {
+    constructor(dbName = 'phaseShift2025', version = 1) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!('indexedDB' in window)) {
+            throw new Error('IndexedDB not supported');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const store = db.createObjectStore('sessions', { keyPath: 'id' });
+                    store.createIndex('startTime', 'startTime');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    async transaction(mode, callback) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('sessions', mode);
+            const request = callback(tx.objectStore('sessions'));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async addSession(session) {
+        const record = { id: SessionHistory.createId(), ...session };
+        await this.transaction('readwrite', store => store.put(record));
+        return record;
+    }
+
+    async getSession(id) {
+        return this.transaction('readonly', store => store.get(id));
+    }
+
+    // All sessions, newest first
+    async getSessions() {
+        const sessions = await this.transaction('readonly', store => store.index('startTime').getAll());
+        return sessions.reverse();
+    }
+
+    // Adds sessions whose IDs are not stored yet, so re-importing the same export is harmless
+    async importSessions(sessions) {
+        const known = new Set(await this.transaction('readonly', store => store.getAllKeys()));
+        const fresh = sessions.filter(session => {
+            if (known.has(session.id)) return false;
+            known.add(session.id);
+            return true;
+        });
+        if (fresh.length > 0) {
+            await this.transaction('readwrite', store => {
+                fresh.forEach(session => store.put(session));
+            });
+        }
+        return { added: fresh.length, skipped: sessions.length - fresh.length };
+    }
+
+    static createId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+// Local calendar day key, so streaks follow the user's midnight rather than UTC
+function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+}
+
+// `isRestDay(timestamp)` marks days that neither extend nor break a streak,
+// such as days a practice routine leaves free
+function computeStreaks(sessions, now = Date.now(), isRestDay = () => false) {
+    const days = new Set(sessions.map(session => getDayKey(session.startTime)));
+    const oneDay = 24 * 60 * 60 * 1000;
+    if (days.size === 0) return { current: 0, longest: 0 };
+    const sortedDays = [...days].sort();
+    const firstDay = sortedDays[0];
+    const lastDay = sortedDays[sortedDays.length - 1];
+
+    // The current streak survives until a full day has been missed
+    let current = 0;
+    let cursor = new Date(now);
+    cursor.setHours(12, 0, 0, 0);
+    if (!days.has(getDayKey(cursor.getTime()))) {
+        cursor = new Date(cursor.getTime() - oneDay);
+    }
+    while (getDayKey(cursor.getTime()) >= firstDay) {
+        if (days.has(getDayKey(cursor.getTime()))) {
+            current++;
+        } else if (!isRestDay(cursor.getTime())) {
+            break;
+        }
+        cursor = new Date(cursor.getTime() - oneDay);
+    }
+
+    let longest = 0;
+    let run = 0;
+    for (let day = new Date(`${firstDay}T12:00:00`); getDayKey(day.getTime()) <= lastDay; day = new Date(day.getTime() + oneDay)) {
+        if (days.has(getDayKey(day.getTime()))) {
+            run++;
+            longest = Math.max(longest, run);
+        } else if (!isRestDay(day.getTime())) {
+            run = 0;
+        }
+    }
+
+    return { current, longest };
+}
+
+function computeTotalMinutes(sessions) {
+    return Math.round(sessions.reduce((total, session) => total + session.elapsed, 0) / 60);
+}
+
+// Minutes practiced per week (Monday start) for the last `weeks` weeks, oldest first
+function computeWeeklyMinutes(sessions, weeks = 8, now = Date.now()) {
+    const weekStart = new Date(now);
+    weekStart.setHours(0, 0, 0, 0);
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+
+    const buckets = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+        const start = new Date(weekStart);
+        start.setDate(start.getDate() - i * 7);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 7);
+        buckets.push({ start: start.getTime(), end: end.getTime(), minutes: 0 });
+    }
+
+    sessions.forEach(session => {
+        const bucket = buckets.find(b => session.startTime >= b.start && session.startTime < b.end);
+        if (bucket) {
+            bucket.minutes += session.elapsed / 60;
+        }
+    });
+    buckets.forEach(bucket => bucket.minutes = Math.round(bucket.minutes));
+    return buckets;
+}
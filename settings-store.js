@@ -0,0 +1,39 @@
+// Phase Shift 2025 - Saved settings
+//
+// Settings are kept in localStorage, so they outlast the tab and the
+// installed app. Earlier versions kept them in sessionStorage; while nothing
+// is saved here yet, settings found there are moved over, once.
+
+class SettingsStore {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.legacyStorage = options.legacyStorage || window.sessionStorage;
+        this.storageKey = 'phaseShift2025Settings';
+    }
+
+    // The saved settings object, or null when none were saved
+    load() {
+        let saved = this.storage.getItem(this.storageKey);
+        if (saved === null) {
+            saved = this.migrate();
+        }
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    migrate() {
+        const legacy = this.legacyStorage.getItem(this.storageKey);
+        if (legacy !== null) {
+            this.storage.setItem(this.storageKey, legacy);
+            this.legacyStorage.removeItem(this.storageKey);
+        }
+        return legacy;
+    }
+
+    save(settings) {
+        this.storage.setItem(this.storageKey, JSON.stringify(settings));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SettingsStore };
+}
@@ -0,0 +1,249 @@
+// Phase Shift 2025 - Ambient soundscape synthesized with Web Audio
+//
+// Everything is generated in the browser so it plays offline: a tanpura or
+// drone on the tonic, optional binaural beats, and a noise bed whose level
+// and brightness swell on inhale and recede on exhale. The layers share one
+// master gain, so the soundscape volume is independent of the alert tones.
+
+const SOUNDSCAPE_TONIC = 130.81; // Sa at C3
+
+const SOUNDSCAPES = {
+    off: { name: 'Off' },
+    tanpura: { name: 'Tanpura' },
+    drone: { name: 'Drone' }
+};
+
+// Beat frequencies in Hz; the carrier tone is the fifth above the tonic
+const BINAURAL_BEATS = {
+    0: 'Off',
+    6: 'Theta (6 Hz)',
+    10: 'Alpha (10 Hz)'
+};
+
+class Soundscape {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.volume = 0.4;
+        this.fadeTime = 1.5; // seconds
+        this.master = null;
+        this.sources = [];
+        this.noise = null;
+        this.pluckTimer = null;
+        this.stopTimer = null;
+    }
+
+    isRunning() {
+        return this.master !== null;
+    }
+
+    // Fades in the requested layers, replacing whatever was playing
+    start({ type = 'off', binauralBeat = 0, noiseBed = false } = {}) {
+        this.stopNow();
+        if (type === 'off' && !binauralBeat && !noiseBed) return;
+
+        const now = this.audioContext.currentTime;
+        this.master = this.audioContext.createGain();
+        this.master.gain.setValueAtTime(0, now);
+        this.master.gain.linearRampToValueAtTime(this.volume, now + this.fadeTime);
+        this.master.connect(this.audioContext.destination);
+
+        if (type === 'drone') {
+            this.startDrone();
+        } else if (type === 'tanpura') {
+            this.startTanpura();
+        }
+        if (binauralBeat) {
+            this.startBinaural(binauralBeat);
+        }
+        if (noiseBed) {
+            this.startNoiseBed();
+        }
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.master && !this.stopTimer) {
+            this.rampParam(this.master.gain, volume, 0.3);
+        }
+    }
+
+    // Swells the noise bed over an inhale and lets it recede over an exhale; holds keep it where it is
+    followBreath(action, seconds) {
+        if (!this.noise) return;
+
+        if (action === 'in') {
+            this.rampParam(this.noise.gain.gain, 0.5, seconds);
+            this.rampParam(this.noise.filter.frequency, 1400, seconds);
+        } else if (action === 'out') {
+            this.rampParam(this.noise.gain.gain, 0.12, seconds);
+            this.rampParam(this.noise.filter.frequency, 300, seconds);
+        } else {
+            this.rampParam(this.noise.gain.gain, this.noise.gain.gain.value, 0);
+            this.rampParam(this.noise.filter.frequency, this.noise.filter.frequency.value, 0);
+        }
+    }
+
+    // Resolves once the soundscape has faded to silence and released its nodes
+    fadeOut(seconds = this.fadeTime) {
+        if (!this.master) return Promise.resolve();
+
+        this.rampParam(this.master.gain, 0, seconds);
+        clearTimeout(this.stopTimer);
+        return new Promise(resolve => {
+            this.stopTimer = setTimeout(() => {
+                this.stopNow();
+                resolve();
+            }, seconds * 1000);
+        });
+    }
+
+    stopNow() {
+        clearTimeout(this.stopTimer);
+        this.stopTimer = null;
+        clearInterval(this.pluckTimer);
+        this.pluckTimer = null;
+
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        this.sources = [];
+        this.noise = null;
+        if (this.master) {
+            this.master.disconnect();
+            this.master = null;
+        }
+    }
+
+    rampParam(param, value, seconds) {
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(value, now + Math.max(0.05, seconds));
+    }
+
+    addOscillator(frequency, type, destination, input = 0) {
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+        oscillator.connect(destination, 0, input);
+        oscillator.start();
+        this.sources.push(oscillator);
+        return oscillator;
+    }
+
+    // Lower octave, lower fifth and tonic, with a slow beating detune for warmth
+    startDrone() {
+        const voices = [
+            { frequency: SOUNDSCAPE_TONIC / 2, level: 0.22 },
+            { frequency: SOUNDSCAPE_TONIC * 3 / 4, level: 0.12 },
+            { frequency: SOUNDSCAPE_TONIC, level: 0.16 }
+        ];
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 900;
+        filter.connect(this.master);
+
+        voices.forEach(voice => {
+            const gain = this.audioContext.createGain();
+            gain.gain.value = voice.level;
+            gain.connect(filter);
+            this.addOscillator(voice.frequency, 'triangle', gain);
+            this.addOscillator(voice.frequency * 1.003, 'sawtooth', gain).detune.value = -4;
+        });
+    }
+
+    // Repeating Pa-Sa-Sa-Sa cycle of plucked strings, scheduled slightly ahead of audio time
+    startTanpura() {
+        const strings = [SOUNDSCAPE_TONIC * 3 / 4, SOUNDSCAPE_TONIC, SOUNDSCAPE_TONIC, SOUNDSCAPE_TONIC / 2];
+        const spacing = 1.2;
+        const cycleRest = 1.2;
+        let nextTime = this.audioContext.currentTime + 0.1;
+        let stringIndex = 0;
+
+        const schedule = () => {
+            while (nextTime < this.audioContext.currentTime + 0.5) {
+                this.pluck(strings[stringIndex], nextTime);
+                stringIndex = (stringIndex + 1) % strings.length;
+                nextTime += spacing + (stringIndex === 0 ? cycleRest : 0);
+            }
+        };
+        schedule();
+        this.pluckTimer = setInterval(schedule, 200);
+    }
+
+    pluck(frequency, time) {
+        const duration = 4.5;
+        const gain = this.audioContext.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.25, time + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        // The closing filter stands in for the buzzing jivari bridge fading out
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 4;
+        filter.frequency.setValueAtTime(3200, time);
+        filter.frequency.exponentialRampToValueAtTime(500, time + duration);
+        filter.connect(gain);
+        gain.connect(this.master);
+
+        [0, 5].forEach(detune => {
+            const oscillator = this.audioContext.createOscillator();
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.value = frequency;
+            oscillator.detune.value = detune;
+            oscillator.connect(filter);
+            oscillator.start(time);
+            oscillator.stop(time + duration);
+            oscillator.onended = () => {
+                this.sources = this.sources.filter(source => source !== oscillator);
+            };
+            this.sources.push(oscillator);
+        });
+    }
+
+    // One tone per ear; the beat is only heard through headphones
+    startBinaural(beat) {
+        const carrier = SOUNDSCAPE_TONIC * 1.5;
+        const merger = this.audioContext.createChannelMerger(2);
+        const gain = this.audioContext.createGain();
+        gain.gain.value = 0.08;
+        merger.connect(gain);
+        gain.connect(this.master);
+
+        this.addOscillator(carrier, 'sine', merger, 0);
+        this.addOscillator(carrier + beat, 'sine', merger, 1);
+    }
+
+    // Looping brown noise through a low-pass filter the breath can open and close
+    startNoiseBed() {
+        const length = this.audioContext.sampleRate * 4;
+        const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        let last = 0;
+        for (let i = 0; i < length; i++) {
+            last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+            data[i] = last * 3.5;
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        const gain = this.audioContext.createGain();
+        gain.gain.value = 0.12;
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.master);
+        source.start();
+        this.sources.push(source);
+        this.noise = { filter, gain };
+    }
+}
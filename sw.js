@@ -0,0 +1,117 @@
+// Phase Shift 2025 - Service worker for offline practice
+//
+// The app shell and the MediaPipe files under vendor/ (see
+// mediapipe-models.js) are cached on install. The model files are optional:
+// one that was not fetched is skipped rather than failing the install.
+// Everything else from the same origin is cached the first time it loads, so
+// a session that worked online keeps working offline. Files are served from
+// the cache first, so bump CACHE_NAME whenever any of them change.
+
+importScripts('mediapipe-models.js');
+
+const CACHE_NAME = 'phase-shift-2025-v15';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'mediapipe-models.js',
+    'i18n.js',
+    'breathing-patterns.js',
+    'session-clock.js',
+    'programs.js',
+    'session-history.js',
+    'settings-store.js',
+    'practice-schedule.js',
+    'session-export.js',
+    'camera-source.js',
+    'eye-detection.js',
+    'pose-estimation.js',
+    'posture-calibration.js',
+    'face-detection.js',
+    'detection-recording.js',
+    'mudra-detection.js',
+    'breath-detection.js',
+    'feedback-policy.js',
+    'detection-analysis.js',
+    'breathing-session.js',
+    'heart-rate.js',
+    'rppg.js',
+    'voice-guide.js',
+    'soundscape.js',
+    'class-mode.js',
+    'live-coach.js',
+    'coach-report.js',
+    'accessibility.js',
+    'app.js',
+    'instructor.html',
+    'instructor.js',
+    'ai-breathing-session.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL).then(() => Promise.all(getModelFiles().map(file =>
+                cache.add(file).catch(error => console.warn(`Model file ${file} not cached:`, error))
+            ))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            }).catch(error => {
+                // Offline navigations still get the app shell
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw error;
+            });
+        })
+    );
+});
+
+// Practice reminders: an open app window is told which button was pressed,
+// otherwise a new one opens on the reminder, see handleReminderLaunch in app.js
+self.addEventListener('notificationclick', (event) => {
+    const slotKey = event.notification.data && event.notification.data.slotKey;
+    if (!slotKey) return;
+    const action = event.action === 'snooze' ? 'snooze' : 'start';
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            // The instructor dashboard shares the scope but has no sessions
+            const app = windows.find(client => !new URL(client.url).pathname.endsWith('instructor.html'));
+            if (app) {
+                app.postMessage({ type: 'reminder', action, slotKey });
+                return action === 'start' ? app.focus() : undefined;
+            }
+            // Snoozes are kept in the page's storage, so even those need a window
+            return self.clients.openWindow(`./?reminder=${encodeURIComponent(slotKey)}&action=${action}`);
+        })
+    );
+});
@@ -0,0 +1,49 @@
+// Phase Shift 2025 - Screen reader announcement tests
+//
+// Run with `node --test`. Elements are plain objects with the few DOM
+// properties the announcer writes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LiveAnnouncer } = require('../accessibility.js');
+
+function element(hidden = false) {
+    const classes = new Set(hidden ? ['hidden'] : []);
+    return {
+        textContent: '',
+        classList: {
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name)
+        }
+    };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 60));
+
+test('a message shown in an element is also announced', async () => {
+    const polite = element();
+    const assertive = element();
+    const announcer = new LiveAnnouncer(polite, assertive);
+    const prompt = element(true);
+
+    announcer.show(prompt, 'Sit up tall through the spine.');
+    assert.equal(prompt.textContent, 'Sit up tall through the spine.');
+    assert.equal(prompt.classList.contains('hidden'), false);
+
+    await settle();
+    assert.equal(polite.textContent, 'Sit up tall through the spine.');
+    assert.equal(assertive.textContent, '');
+});
+
+test('the same message is cleared and written again so it is repeated', async () => {
+    const polite = element();
+    const announcer = new LiveAnnouncer(polite, element());
+    announcer.announce('Gently close your eyes.');
+    await settle();
+
+    announcer.announce('Gently close your eyes.');
+    assert.equal(polite.textContent, '');
+    await settle();
+    assert.equal(polite.textContent, 'Gently close your eyes.');
+});
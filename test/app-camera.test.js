@@ -0,0 +1,186 @@
+// Phase Shift 2025 - Camera handling between sessions
+//
+// Run with `node --test`. app.js is a browser script, so it is loaded into a
+// VM context with only the globals these methods touch, and the app is built
+// from its prototype with stand-ins for the DOM, the detectors and the camera.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function createContext() {
+    const elements = new Map();
+    const getElement = id => {
+        if (!elements.has(id)) {
+            elements.set(id, { id, textContent: '', className: '', disabled: false, appendChild() {} });
+        }
+        return elements.get(id);
+    };
+    const context = vm.createContext({
+        console,
+        EventTarget,
+        setTimeout,
+        clearTimeout,
+        performance,
+        URL,
+        requestAnimationFrame: () => {},
+        navigator: {
+            mediaDevices: {
+                getUserMedia: async () => {
+                    const track = { label: 'Test camera', stop() {}, addEventListener() {} };
+                    return { getVideoTracks: () => [track], getTracks: () => [track] };
+                }
+            }
+        },
+        document: { addEventListener() {}, getElementById: getElement }
+    });
+    for (const file of ['camera-source.js', 'detection-recording.js', 'app.js']) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    // Calibration holds still for this long; short, so the test does not wait seconds
+    vm.runInContext('const POSTURE_CALIBRATION_DURATION = 10;', context);
+    return { context, getElement };
+}
+
+// An app between sessions whose camera was allowed and then released
+function createIdleApp() {
+    const { context, getElement } = createContext();
+    const app = Object.create(vm.runInContext('PhaseShift2025.prototype', context));
+    const CameraSource = vm.runInContext('CameraSource', context);
+    Object.assign(app, {
+        breathingSession: { isActive: () => false, isPaused: () => false },
+        cameraEnabled: true,
+        cameraSource: new CameraSource({ onStream: stream => app.handleCameraStream(stream) }),
+        stream: null,
+        videoElement: { srcObject: null, style: {}, removeAttribute() {}, pause() {} },
+        faceDetector: { detect: async () => [] },
+        poseEstimator: null,
+        handTracker: null,
+        detectionActive: false,
+        detectionReplay: null,
+        liveDetectors: null,
+        resolveReplay: null,
+        detectionRecorder: { isRecording: () => false },
+        isCalibratingPosture: false,
+        startBtn: {},
+        breathText: {},
+        // A face is only seen while the camera is open and detection runs
+        postureCalibration: {
+            beginSample() {},
+            endSample: () => (app.stream && app.detectionActive ? { face: { x: 0.5, y: 0.4, width: 0.2 }, pose: null } : null),
+            getProfiles: () => [],
+            getActiveProfile: () => null,
+            saveProfile: ({ name, baseline }) => ({ id: 'profile-1', name, baseline })
+        },
+        // The frame loop itself is not under test
+        detectFaces() {},
+        showDetectionUnavailable() {},
+        populatePostureProfilePicker() {},
+        playBreathingSound() {},
+        t: key => key
+    });
+    return { app, getElement };
+}
+
+const RECORDING = {
+    format: 'phase-shift-2025-detections',
+    version: 1,
+    width: 640,
+    height: 480,
+    frames: [{ t: 0, faces: [], pose: null }]
+};
+
+test('a replay with the camera off stops detection when it ends', async () => {
+    const { app } = createIdleApp();
+    const liveDetector = app.faceDetector;
+    const done = app.replayDetections(RECORDING);
+    assert.equal(app.detectionActive, true);
+
+    app.finishReplay();
+    await done;
+    assert.equal(app.faceDetector, liveDetector);
+    assert.equal(app.detectionActive, false);
+});
+
+test('calibrating after a replay reopens the camera and releases it again', async () => {
+    const { app, getElement } = createIdleApp();
+    const done = app.replayDetections(RECORDING);
+    app.finishReplay();
+    await done;
+
+    const profile = await app.calibratePosture({ name: 'Desk' });
+    assert.equal(getElement('postureCalibrationStatus').textContent, 'Calibrated "Desk".');
+    assert.deepEqual(profile.baseline.face, { x: 0.5, y: 0.4, width: 0.2 });
+
+    // The camera goes back off, since no session is running
+    assert.equal(app.cameraSource.isActive(), false);
+    assert.equal(app.stream, null);
+    assert.equal(app.detectionActive, false);
+});
+
+test('calibrating before a session can keep the camera open for it', async () => {
+    const { app } = createIdleApp();
+    await app.calibratePosture({ keepCamera: true });
+    assert.equal(app.cameraSource.isActive(), true);
+    assert.equal(app.detectionActive, true);
+});
+
+// Starting a session records what happened instead of running one
+function trackSessionStart(app) {
+    const started = [];
+    let active = false;
+    Object.assign(app, {
+        breathingSession: { isActive: () => active, isPaused: () => false, stop: () => (active = false) },
+        recalibrateOnStart: false,
+        autoCalibrationFailed: false,
+        startSession() {
+            active = true;
+            started.push({ calibrations: app.calibrations });
+        },
+        showFeedbackAlert(message) {
+            started[started.length - 1].notice = message;
+        }
+    });
+    app.calibrations = 0;
+    const calibratePosture = app.calibratePosture;
+    app.calibratePosture = function (...args) {
+        app.calibrations++;
+        return calibratePosture.apply(this, args);
+    };
+    return started;
+}
+
+test('starting without the camera skips calibration', async () => {
+    const { app } = createIdleApp();
+    const started = trackSessionStart(app);
+    app.cameraEnabled = false;
+
+    await app.beginSession();
+    assert.deepEqual(started, [{ calibrations: 0 }]);
+});
+
+test('a failed calibration on first use starts the session anyway and is not retried', async () => {
+    const { app } = createIdleApp();
+    const started = trackSessionStart(app);
+    // Nobody in front of the camera
+    app.postureCalibration.endSample = () => null;
+
+    await app.beginSession();
+    assert.equal(started.length, 1);
+    assert.equal(started[0].calibrations, 1);
+    assert.match(started[0].notice, /not calibrated/);
+
+    app.breathingSession.stop();
+    await app.beginSession();
+    assert.deepEqual(started[1], { calibrations: 1 });
+
+    // Asking for calibration before every session still tries each time
+    app.breathingSession.stop();
+    app.recalibrateOnStart = true;
+    await app.beginSession();
+    assert.equal(started[2].calibrations, 2);
+});
@@ -0,0 +1,158 @@
+// Phase Shift 2025 - Headless breathing session tests
+//
+// Run with `node --test`. Time comes from ManualTimeSource, and every event
+// the session dispatches is kept with the time it came at.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BreathingSession, BREATHING_SESSION_EVENTS } = require('../breathing-session.js');
+const { ManualTimeSource } = require('../session-clock.js');
+
+// Nadi shodhana at a 4 s base: four 4 s phases with 0.5 s transitions, 18 s a cycle
+function createSession(options = {}) {
+    const time = new ManualTimeSource();
+    const session = new BreathingSession({ pattern: 'nadi_shodhana', breathDuration: 4, sessionDuration: 20, timeSource: time, ...options });
+    const events = [];
+    BREATHING_SESSION_EVENTS.forEach(type => {
+        session.addEventListener(type, event => events.push({ type, at: time.now(), detail: event.detail }));
+    });
+    const ofType = type => events.filter(event => event.type === type);
+    return { session, time, events, ofType };
+}
+
+test('starting announces the session and its first phase', () => {
+    const { session, ofType } = createSession();
+    session.start();
+
+    assert.equal(session.isActive(), true);
+    const [start] = ofType('sessionstart');
+    assert.equal(start.detail.pattern, 'nadi_shodhana');
+    assert.equal(start.detail.patternName, 'Nadi Shodhana (1:1)');
+    assert.equal(start.detail.breathDuration, 4);
+    assert.equal(start.detail.sessionDuration, 20);
+    assert.deepEqual(ofType('phasechange').map(event => event.detail), [
+        { index: 0, phase: 'right_in', action: 'in', nostril: 'right', instructionKey: 'instruction.right_in', duration: 4, cycle: 0 }
+    ]);
+});
+
+test('phases follow the pattern and a full round completes a cycle', () => {
+    const { session, time, ofType } = createSession();
+    session.start();
+    time.advance(18000);
+
+    assert.deepEqual(ofType('phasechange').map(event => `${event.at} ${event.detail.phase}`), [
+        '0 right_in',
+        '4500 left_out',
+        '9000 left_in',
+        '13500 right_out',
+        '18000 right_in'
+    ]);
+    assert.deepEqual(ofType('phaseend').map(event => `${event.at} ${event.detail.phase}`), [
+        '4000 right_in',
+        '8500 left_out',
+        '13000 left_in',
+        '17500 right_out'
+    ]);
+    assert.deepEqual(ofType('cyclecomplete').map(event => `${event.at} ${event.detail.count}`), ['17500 1']);
+});
+
+test('an unknown pattern falls back to the default', () => {
+    const { session } = createSession({ pattern: 'no_such_pattern' });
+    assert.equal(session.pattern, 'nadi_shodhana');
+});
+
+test('pausing holds the session and leaves the paused time out', () => {
+    const { session, time, ofType } = createSession();
+    session.start();
+    time.advance(2000);
+    session.pause();
+    assert.equal(session.isPaused(), true);
+    assert.deepEqual(ofType('pause').map(event => event.detail), [{ elapsed: 2 }]);
+
+    // Pausing twice counts once, and nothing moves while paused
+    session.pause();
+    time.advance(30000);
+    assert.equal(ofType('phasechange').length, 1);
+
+    session.resume();
+    assert.deepEqual(ofType('resume').map(event => event.detail), [{ elapsed: 2 }]);
+    time.advance(2500);
+    assert.deepEqual(ofType('phasechange').map(event => `${event.at} ${event.detail.phase}`), ['0 right_in', '34500 left_out']);
+    assert.equal(session.getElapsedSeconds(), 4);
+});
+
+test('running the full duration ends with a completed summary', () => {
+    const { session, time, ofType } = createSession();
+    session.start();
+    time.advance(5000);
+    session.pause();
+    time.advance(1000);
+    session.resume();
+    time.advance(20000);
+
+    assert.equal(session.isActive(), false);
+    const [end] = ofType('sessionend');
+    assert.equal(end.at, 21000);
+    const { summary } = end.detail;
+    assert.equal(summary.pattern, 'nadi_shodhana');
+    assert.equal(summary.elapsed, 20);
+    assert.equal(summary.cycleCount, 1);
+    assert.equal(summary.completed, true);
+    assert.equal(summary.pauseCount, 1);
+    assert.equal(summary.averagePosture, null);
+});
+
+test('stopping early ends the session once, not completed', () => {
+    const { session, time, ofType } = createSession();
+    session.start();
+    time.advance(6000);
+    const summary = session.stop();
+
+    assert.equal(summary.completed, false);
+    assert.equal(summary.elapsed, 6);
+    assert.equal(session.stop(), null);
+    assert.equal(ofType('sessionend').length, 1);
+});
+
+test('posture scores are averaged while the session runs', () => {
+    const { session, time, ofType } = createSession();
+    // Before the session, scores set the level but are not counted
+    session.reportPosture(20);
+    session.start();
+    session.reportPosture(90);
+    session.reportPosture(70);
+    session.pause();
+    session.reportPosture(10);
+    session.resume();
+    session.reportPosture(80);
+    time.advance(1000);
+    const summary = session.stop();
+
+    assert.equal(summary.averagePosture, 80);
+    assert.equal(summary.minPosture, 70);
+    assert.deepEqual(ofType('posturechange').map(event => event.detail.level), ['poor', 'excellent', 'fair', 'poor', 'good']);
+});
+
+test('score changes within a level are reported at most once a second', () => {
+    const { session, time, ofType } = createSession();
+    session.start();
+    session.reportPosture(95);
+    time.advance(400);
+    session.reportPosture(93);
+    time.advance(600);
+    session.reportPosture(93);
+    session.reportPosture(92);
+    time.advance(1000);
+    // An unchanged score is not repeated
+    session.reportPosture(93);
+    time.advance(200);
+    // A level change is reported at once
+    session.reportPosture(80);
+
+    assert.deepEqual(ofType('posturechange').map(event => `${event.at} ${event.detail.score} ${event.detail.level}`), [
+        '0 95 excellent',
+        '1000 93 excellent',
+        '2200 80 good'
+    ]);
+});
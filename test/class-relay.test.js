@@ -0,0 +1,267 @@
+// Phase Shift 2025 - Class relay tests
+//
+// Run with `node --test`. Each test starts a relay on a free port and talks
+// to it over raw sockets, so the exact frames on the wire can be checked.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const { createRelayServer, encodeFrame } = require('../relay/class-relay.js');
+
+const TEST_TIMEOUT = 5000;
+const ROOT = path.join(__dirname, '..');
+
+async function startRelay(t) {
+    const { server, relay } = createRelayServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    // Upgraded sockets belong to the relay, and the server waits for them to close
+    t.after(() => new Promise(resolve => {
+        relay.connections.forEach(connection => connection.socket.destroy());
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+    return server.address().port;
+}
+
+// Client frames must be masked; `length` overrides the declared payload length
+function clientFrame(opcode, payload, { length = payload.length } = {}) {
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, 0x80 | length]);
+    } else if (length < 65536) {
+        header = Buffer.from([0x80 | opcode, 0x80 | 126, 0, 0]);
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+// A minimal WebSocket client that keeps every message and the close code it receives
+class TestClient {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.messages = [];
+        this.closeCode = null;
+        this.waiters = [];
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.check());
+    }
+
+    static connect(port, t) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(port, '127.0.0.1');
+            t.after(() => socket.destroy());
+            socket.once('error', reject);
+            socket.write([
+                'GET / HTTP/1.1',
+                `Host: 127.0.0.1:${port}`,
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+                'Sec-WebSocket-Version: 13',
+                '',
+                ''
+            ].join('\r\n'));
+
+            let head = Buffer.alloc(0);
+            const onHandshake = data => {
+                head = Buffer.concat([head, data]);
+                const end = head.indexOf('\r\n\r\n');
+                if (end === -1) return;
+                socket.off('data', onHandshake);
+                if (!head.toString('utf8', 0, end).startsWith('HTTP/1.1 101')) {
+                    reject(new Error(`Handshake refused: ${head.toString('utf8', 0, end)}`));
+                    return;
+                }
+                const client = new TestClient(socket);
+                client.receive(head.subarray(end + 4));
+                resolve(client);
+            };
+            socket.on('data', onHandshake);
+        });
+    }
+
+    // Server frames are unmasked and, from this relay, never fragmented
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.buffer.length >= 2) {
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            if (this.buffer.length < offset + length) break;
+            const opcode = this.buffer[0] & 0x0f;
+            const payload = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            if (opcode === 0x1) {
+                this.messages.push(JSON.parse(payload.toString('utf8')));
+            } else if (opcode === 0x8) {
+                this.closeCode = payload.readUInt16BE(0);
+            }
+        }
+        this.check();
+    }
+
+    send(message) {
+        this.socket.write(clientFrame(0x1, Buffer.from(JSON.stringify(message))));
+    }
+
+    // Resolves with, and consumes, the first message of `type`
+    next(type) {
+        return new Promise(resolve => {
+            this.waiters.push({ test: () => this.messages.findIndex(message => message.type === type), resolve });
+            this.check();
+        });
+    }
+
+    closed() {
+        return new Promise(resolve => {
+            this.waiters.push({ test: () => (this.closeCode !== null && this.socket.destroyed ? 0 : -1), resolve: () => resolve(this.closeCode) });
+            this.check();
+        });
+    }
+
+    check() {
+        this.waiters = this.waiters.filter(waiter => {
+            const index = waiter.test();
+            if (index === -1) return true;
+            waiter.resolve(this.messages.splice(index, 1)[0]);
+            return false;
+        });
+    }
+}
+
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        // http.get sends the path untouched, unlike fetch, which would normalize it
+        http.get({ host: '127.0.0.1', port, path: urlPath }, response => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        }).on('error', reject);
+    });
+}
+
+async function join(port, t, role, classId, name) {
+    const client = await TestClient.connect(port, t);
+    client.send({ type: 'join', role, classId, name });
+    const welcome = await client.next('welcome');
+    return { client, id: welcome.clientId };
+}
+
+test('students join and their state reaches the instructor', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    const { client: instructor } = await join(port, t, 'instructor', 'yoga');
+    assert.deepEqual((await instructor.next('roster')).students, []);
+
+    const { client: student, id } = await join(port, t, 'student', 'yoga', 'Asha');
+    const joined = await instructor.next('state');
+    assert.equal(joined.studentId, id);
+    assert.equal(joined.name, 'Asha');
+    assert.equal(joined.state, null);
+
+    student.send({ type: 'state', state: { phase: 'left_in', cycle: 2 } });
+    const update = await instructor.next('state');
+    assert.deepEqual(update.state, { phase: 'left_in', cycle: 2 });
+    assert.equal(typeof update.serverTime, 'number');
+
+    // An instructor joining later sees the student in its roster
+    const { client: assistant } = await join(port, t, 'instructor', 'yoga');
+    const roster = await assistant.next('roster');
+    assert.deepEqual(roster.students, [{ studentId: id, name: 'Asha', state: { phase: 'left_in', cycle: 2 } }]);
+});
+
+test('schedules go to the class and are replayed to late joiners', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    const { client: instructor } = await join(port, t, 'instructor', 'yoga');
+    const { client: student } = await join(port, t, 'student', 'yoga', 'Asha');
+    const { client: outsider } = await join(port, t, 'student', 'other', 'Ben');
+
+    const startAt = Date.now() + 2000;
+    instructor.send({ type: 'schedule', pattern: 'nadi_shodhana', breathDuration: 4, sessionDuration: 60, startAt });
+    const schedule = await student.next('schedule');
+    assert.equal(schedule.pattern, 'nadi_shodhana');
+    assert.equal(schedule.breathDuration, 4);
+    assert.equal(schedule.sessionDuration, 60);
+    assert.equal(schedule.startAt, startAt);
+    await instructor.next('schedule');
+
+    const { client: late } = await join(port, t, 'student', 'yoga', 'Late');
+    assert.equal((await late.next('schedule')).startAt, startAt);
+
+    // Nothing crossed over to the other class
+    assert.equal(outsider.messages.some(message => message.type === 'schedule'), false);
+});
+
+test('unmasked frames close the connection with 1002', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    const client = await TestClient.connect(port, t);
+    client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'join', role: 'student', classId: 'yoga' }))));
+    assert.equal(await client.closed(), 1002);
+    assert.equal(client.messages.length, 0);
+});
+
+test('oversized frames close the connection with 1009', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    const client = await TestClient.connect(port, t);
+    // Only the header is needed: the declared length alone is refused
+    client.socket.write(clientFrame(0x1, Buffer.alloc(0), { length: 64 * 1024 + 1 }));
+    assert.equal(await client.closed(), 1009);
+});
+
+test('a malformed escape in the URL is a 400 and the relay keeps serving', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    assert.equal(await get(port, '/%E0%A4%A'), 400);
+    assert.equal(await get(port, '/index.html'), 200);
+});
+
+test('only app files are served, never dotfiles', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    assert.equal(await get(port, '/'), 200);
+    assert.equal(await get(port, '/icons/icon.svg'), 200);
+    assert.equal(await get(port, '/.git/config'), 403);
+    assert.equal(await get(port, '/%2Egit/config'), 403);
+    assert.equal(await get(port, '/icons/.hidden.svg'), 403);
+    assert.equal(await get(port, '/..%2F..%2Fetc/passwd'), 403);
+    assert.equal(await get(port, '/README.md'), 404);
+});
+
+test('files outside the app are not served', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    assert.equal(await get(port, '/relay/class-relay.js'), 404);
+    assert.equal(await get(port, '/test/class-relay.test.js'), 404);
+    assert.equal(await get(port, '/scripts/fetch-models.js'), 404);
+    assert.equal(await get(port, '/test/fixtures/detections/upright.json'), 404);
+});
+
+test('every file the pages and the service worker load is served', { timeout: TEST_TIMEOUT }, async t => {
+    const port = await startRelay(t);
+    const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const files = new Set(['sw.js']);
+    for (const page of ['index.html', 'instructor.html']) {
+        for (const [, file] of read(page).matchAll(/(?:src|href)="([^"#:]+)"/g)) {
+            files.add(file);
+        }
+    }
+    const appShell = read('sw.js').match(/const APP_SHELL = \[([^\]]*)\]/)[1];
+    for (const [, file] of appShell.matchAll(/'([^']+)'/g)) {
+        files.add(file);
+    }
+
+    for (const file of files) {
+        assert.equal(await get(port, `/${file.replace(/^\.\//, '')}`), 200, file);
+    }
+});
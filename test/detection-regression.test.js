@@ -0,0 +1,65 @@
+// Phase Shift 2025 - Regression clips for posture, head and eye feedback
+//
+// Run with `node --test`. Each clip under fixtures/detections/ is a detection
+// recording, the file the app's "Record detections" button saves. The clips
+// run through the same analysis and feedback policy as the app, at the
+// default settings, and must give the statuses and alerts listed here.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { analyzeRecording } = require('../detection-analysis.js');
+const { parseDetectionRecording } = require('../detection-recording.js');
+
+function loadClip(name) {
+    return parseDetectionRecording(fs.readFileSync(path.join(__dirname, 'fixtures', 'detections', `${name}.json`), 'utf8'));
+}
+
+test('sitting upright raises no alerts', () => {
+    const { summary, alerts } = analyzeRecording(loadClip('upright'));
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(summary.statuses, {
+        postureStatus: { Excellent: 13 },
+        headStatus: { Level: 13 },
+        eyeStatus: { Closed: 13 }
+    });
+});
+
+test('slouching forward is flagged for posture and head after the dwell time', () => {
+    const { summary, results, alerts } = analyzeRecording(loadClip('slouching'));
+    assert.deepEqual(alerts, [
+        { issue: 'posture', channel: 'visual', second: 8 },
+        { issue: 'head', channel: 'visual', second: 8 }
+    ]);
+    assert.deepEqual(summary.statuses.postureStatus, { Excellent: 3, Poor: 10 });
+    assert.equal(results.at(-1).headStatus, 'Leaning forward');
+    // Without a face the eyes are never judged
+    assert.equal(results.at(-1).eyeStatus, null);
+});
+
+test('drifting sideways is judged by face position without the pose model', () => {
+    const { results, alerts } = analyzeRecording(loadClip('drifting'));
+    assert.deepEqual(results.slice(0, 5).map(result => result.postureStatus), ['Excellent', 'Good', 'Good', 'Fair', 'Poor']);
+    assert.deepEqual(alerts, [{ issue: 'posture', channel: 'visual', second: 8 }]);
+    assert.equal(results.at(-1).headStatus, 'Centered');
+});
+
+test('eyes left open alert after the eye alert delay, and only when enabled', () => {
+    const clip = loadClip('eyes-open');
+    const { results, alerts } = analyzeRecording(clip);
+    assert.deepEqual(alerts, [{ issue: 'eyes', channel: 'visual', second: 10 }]);
+    assert.equal(results[2].eyeStatus, 'Closed');
+    assert.equal(results.at(-1).eyeStatus, 'Open (7s)');
+
+    assert.deepEqual(analyzeRecording(clip, { eyeAlertDelay: 8 }).alerts, []);
+    assert.deepEqual(analyzeRecording(clip, { eyeAlerts: false }).alerts, []);
+});
+
+test('a calibrated baseline moves where posture is judged from', () => {
+    const baseline = { face: { x: 0.62, y: 0.5, width: 0.2 }, pose: null };
+    const { results } = analyzeRecording(loadClip('drifting'), { baseline });
+    assert.equal(results[0].postureStatus, 'Poor');
+    assert.equal(results.at(-1).postureStatus, 'Excellent');
+});
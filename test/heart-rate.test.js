@@ -0,0 +1,61 @@
+// Phase Shift 2025 - Heart rate measurement and HRV tests
+//
+// Run with `node --test`. Measurements are built byte by byte as a strap
+// sends them in the GATT Heart Rate Measurement characteristic.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseHeartRateMeasurement, computeRMSSD, HeartRateMonitor } = require('../heart-rate.js');
+
+function measurement(bytes) {
+    return new DataView(Uint8Array.from(bytes).buffer);
+}
+
+test('an 8-bit heart rate is read from the byte after the flags', () => {
+    assert.deepEqual(parseHeartRateMeasurement(measurement([0x00, 72])), { bpm: 72, rrIntervals: [], contact: null });
+});
+
+test('a 16-bit heart rate is read little-endian', () => {
+    // 0x0113 = 275 bpm, out of reach of a single byte
+    assert.equal(parseHeartRateMeasurement(measurement([0x01, 0x13, 0x01])).bpm, 275);
+});
+
+test('sensor contact is only reported when the strap supports detecting it', () => {
+    assert.equal(parseHeartRateMeasurement(measurement([0x06, 60])).contact, true);
+    assert.equal(parseHeartRateMeasurement(measurement([0x04, 60])).contact, false);
+    assert.equal(parseHeartRateMeasurement(measurement([0x02, 60])).contact, null);
+});
+
+test('RR intervals are converted from 1/1024 s to ms', () => {
+    // 1024 and 768 ticks: 1000 ms and 750 ms
+    const { bpm, rrIntervals } = parseHeartRateMeasurement(measurement([0x10, 64, 0x00, 0x04, 0x00, 0x03]));
+    assert.equal(bpm, 64);
+    assert.deepEqual(rrIntervals, [1000, 750]);
+});
+
+test('RR intervals follow a 16-bit rate and the energy expended field', () => {
+    const { bpm, rrIntervals } = parseHeartRateMeasurement(measurement([0x19, 0x50, 0x00, 0x10, 0x27, 0x00, 0x04]));
+    assert.equal(bpm, 80);
+    assert.deepEqual(rrIntervals, [1000]);
+});
+
+test('RMSSD is the root mean square of successive differences', () => {
+    // Differences of 20, -20 and 40 ms: sqrt((400 + 400 + 1600) / 3)
+    assert.equal(computeRMSSD([800, 820, 800, 840]), Math.sqrt(800));
+    assert.equal(computeRMSSD([1000, 1000, 1000]), 0);
+    assert.equal(computeRMSSD([800, 820]), null);
+});
+
+test('the monitor leaves artifact RR intervals out of HRV', () => {
+    const monitor = new HeartRateMonitor();
+    monitor.beginSession(0);
+    monitor.handleMeasurement({ bpm: 70, rrIntervals: [850, 870, 100] }, 1000);
+    monitor.handleMeasurement({ bpm: 72, rrIntervals: [3000, 850, 890] }, 2000);
+
+    const summary = monitor.endSession(3000);
+    assert.equal(summary.averageBpm, 71);
+    // 850, 870, 850, 890: differences of 20, -20 and 40 ms
+    assert.equal(summary.sessionRmssd, Math.round(Math.sqrt(800)));
+    assert.equal(summary.before.beats, 4);
+});
@@ -0,0 +1,83 @@
+// Phase Shift 2025 - Vishnu mudra tests
+//
+// Run with `node --test`. Hands are placed by their fingertips only, in
+// normalized coordinates of a 640x480 frame with the nose in the middle.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectBlockedNostrils, evaluateMudra, MudraTracker } = require('../mudra-detection.js');
+const { BREATHING_PATTERNS } = require('../breathing-patterns.js');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const NOSE = { x: 320, y: 240 };
+const FACE_WIDTH = 200;
+
+// A hand with every fingertip at one point, given in frame pixels
+function handAt(x, y) {
+    const hand = [];
+    [4, 8, 12, 16, 20].forEach(index => {
+        hand[index] = { x: x / WIDTH, y: y / HEIGHT, z: 0 };
+    });
+    return hand;
+}
+
+function detect(hands) {
+    return detectBlockedNostrils(hands, NOSE, FACE_WIDTH, WIDTH, HEIGHT);
+}
+
+function phaseOf(patternId, phase) {
+    return BREATHING_PATTERNS[patternId].phases.find(breath => breath.phase === phase);
+}
+
+test('a fingertip beside the nose blocks the nostril on that side of the image', () => {
+    // The user's right nostril is on the left of an unmirrored frame
+    assert.deepEqual(detect([handAt(300, 240)]), { handNearFace: true, blocked: { left: false, right: true } });
+    assert.deepEqual(detect([handAt(340, 240)]), { handNearFace: true, blocked: { left: true, right: false } });
+    // Right over the bridge blocks neither, and a hand in the lap is not near the face
+    assert.deepEqual(detect([handAt(322, 240)]).blocked, { left: false, right: false });
+    assert.equal(detect([handAt(320, 470)]).handNearFace, false);
+});
+
+test('alternate nostril phases need the opposite nostril closed', () => {
+    const rightIn = phaseOf('nadi_shodhana', 'right_in');
+    assert.equal(evaluateMudra(rightIn, detect([handAt(340, 240)])), 'correct');
+    assert.equal(evaluateMudra(rightIn, detect([handAt(300, 240)])), 'incorrect');
+    assert.equal(evaluateMudra(rightIn, detect([])), 'no_hand');
+});
+
+test('a retention in a mudra pattern needs both nostrils closed', () => {
+    const hold = phaseOf('nadi_shodhana_1_4_2', 'hold_in');
+    assert.equal(BREATHING_PATTERNS.nadi_shodhana_1_4_2.mudra, true);
+    assert.equal(evaluateMudra(hold, detect([handAt(300, 240), handAt(340, 240)]), true), 'correct');
+    assert.equal(evaluateMudra(hold, detect([handAt(300, 240)]), true), 'incorrect');
+    assert.equal(evaluateMudra(hold, detect([]), true), 'no_hand');
+});
+
+test('box breathing holds need no hand at all', () => {
+    assert.notEqual(BREATHING_PATTERNS.box.mudra, true);
+    const hold = phaseOf('box', 'hold_in');
+    assert.equal(hold.nostril, 'none');
+    assert.equal(evaluateMudra(hold, detect([]), false), 'not_needed');
+    assert.equal(evaluateMudra(hold, detect([handAt(300, 240), handAt(340, 240)]), false), 'not_needed');
+    assert.equal(evaluateMudra(phaseOf('box', 'both_in'), detect([]), false), 'not_needed');
+});
+
+test('phases that need no mudra are left out of the accuracy summary', () => {
+    const tracker = new MudraTracker();
+    const sequence = BREATHING_PATTERNS.box.phases;
+    sequence.forEach((breath, index) => {
+        tracker.startPhase(index);
+        tracker.recordFrame(evaluateMudra(breath, detect([]), false));
+        tracker.endPhase();
+    });
+    assert.deepEqual(tracker.getSummary(sequence), []);
+
+    // In a mudra pattern a phase counts as correct when most of its frames were
+    const nadi = BREATHING_PATTERNS.nadi_shodhana.phases;
+    tracker.startPhase(0);
+    ['correct', 'correct', 'no_hand'].forEach(status => tracker.recordFrame(status));
+    tracker.endPhase();
+    assert.deepEqual(tracker.getSummary(nadi), [{ phase: 'right_in', instructionKey: 'instruction.right_in', attempts: 1, correct: 1 }]);
+});
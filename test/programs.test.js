@@ -0,0 +1,117 @@
+// Phase Shift 2025 - Practice program tests
+//
+// Run with `node --test`. Sessions are recorded with explicit dates, since a
+// program advances at most once per calendar day.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PRACTICE_PROGRAMS, ProgramTracker } = require('../programs.js');
+const { translate } = require('../i18n.js');
+
+// The part of the Web Storage API the tracker uses
+class MemoryStorage {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+const PROGRAM_ID = 'calm_evenings';
+const TOTAL_DAYS = 14;
+
+function dayOf(n) {
+    return new Date(2026, 0, n, 20, 0);
+}
+
+function enroll(storage = new MemoryStorage()) {
+    const tracker = new ProgramTracker(storage);
+    tracker.enroll(PROGRAM_ID);
+    return tracker;
+}
+
+test('a qualifying session advances the program by a day', () => {
+    const storage = new MemoryStorage();
+    const tracker = enroll(storage);
+    assert.equal(tracker.getCurrentSession().day, 1);
+
+    const result = tracker.recordSession({ completion: 1, postureScore: 80, date: dayOf(1) });
+    assert.deepEqual(result, { advanced: true, postureAssessed: true, reason: 'program.advanced', reasonParams: { day: 1, next: 2 } });
+    assert.equal(translate('en', result.reason, result.reasonParams), 'Day 1 complete - day 2 is next');
+
+    // Progress is saved, so a reload picks up on the next day
+    assert.equal(new ProgramTracker(storage).getCurrentSession().day, 2);
+});
+
+test('a short session or poor posture repeats the day', () => {
+    const tracker = enroll();
+
+    const short = tracker.recordSession({ completion: 0.5, postureScore: 90, date: dayOf(1) });
+    assert.equal(short.advanced, false);
+    assert.equal(translate('en', short.reason, short.reasonParams), 'Complete at least 80% of the session to advance');
+
+    const slouched = tracker.recordSession({ completion: 1, postureScore: 40, date: dayOf(1) });
+    assert.equal(slouched.advanced, false);
+    assert.equal(translate('en', slouched.reason, slouched.reasonParams), 'Keep posture at 60% or better to advance');
+
+    assert.equal(tracker.getCurrentSession().day, 1);
+});
+
+test('only one session a day counts', () => {
+    const tracker = enroll();
+    tracker.recordSession({ completion: 1, postureScore: 80, date: dayOf(1) });
+    const again = tracker.recordSession({ completion: 1, postureScore: 80, date: dayOf(1) });
+    assert.equal(again.advanced, false);
+    assert.equal(again.reason, 'program.already_counted');
+    assert.equal(tracker.getCurrentSession().day, 2);
+});
+
+test('posture that was not measured is not judged, and is reported as not assessed', () => {
+    const tracker = enroll();
+    const result = tracker.recordSession({ completion: 1, postureScore: null, date: dayOf(1) });
+    assert.equal(result.advanced, true);
+    assert.equal(result.postureAssessed, false);
+    assert.equal(translate('en', result.reason, result.reasonParams), 'Day 1 complete - day 2 is next (posture was not assessed)');
+});
+
+test('the stage follows the day, and the program completes after its last day', () => {
+    const tracker = enroll();
+    const stages = PRACTICE_PROGRAMS[PROGRAM_ID].stages;
+    assert.equal(tracker.getCurrentSession().stage, stages[0]);
+
+    let result;
+    for (let day = 1; day <= TOTAL_DAYS; day++) {
+        if (day === 5) {
+            assert.equal(tracker.getCurrentSession().pattern, 'box');
+        }
+        result = tracker.recordSession({ completion: 1, postureScore: 80, date: dayOf(day) });
+    }
+    assert.equal(result.reason, 'program.completed');
+
+    // The final stage is offered for maintenance, without counting past the last day
+    const session = tracker.getCurrentSession();
+    assert.equal(session.completed, true);
+    assert.equal(session.day, TOTAL_DAYS);
+    assert.equal(session.stage, stages[stages.length - 1]);
+
+    const after = tracker.recordSession({ completion: 1, postureScore: 80, date: dayOf(TOTAL_DAYS + 1) });
+    assert.deepEqual(after, { advanced: false, postureAssessed: true, reason: 'program.maintaining', reasonParams: {} });
+});
+
+test('enrolling in an unknown program leaves the current one', () => {
+    const tracker = enroll();
+    tracker.enroll('no_such_program');
+    assert.equal(tracker.isEnrolled(), false);
+    assert.equal(tracker.getCurrentSession(), null);
+});
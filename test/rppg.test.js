@@ -0,0 +1,85 @@
+// Phase Shift 2025 - Camera pulse estimate tests
+//
+// Run with `node --test`. A stand-in video seeks instantly, and the sampler
+// returns a synthetic skin colour for the current video time in place of
+// reading pixels.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeRecordedVideo, summarizeVideoEstimates } = require('../rppg.js');
+
+const PULSE_BPM = 72;
+const BREATHS_PER_MINUTE = 12;
+
+// Enough of HTMLVideoElement for stepping through frames
+class FakeVideo extends EventTarget {
+    constructor(duration) {
+        super();
+        this.duration = duration;
+        this.time = 0;
+    }
+
+    get currentTime() {
+        return this.time;
+    }
+
+    set currentTime(time) {
+        this.time = time;
+        queueMicrotask(() => this.dispatchEvent(new Event('seeked')));
+    }
+}
+
+// Green rises and falls slightly with each heartbeat and, more slowly, with each breath
+function syntheticSampler() {
+    return {
+        sample(video) {
+            const t = video.currentTime;
+            const g = 120
+                + 0.4 * Math.sin(2 * Math.PI * PULSE_BPM / 60 * t)
+                + 0.8 * Math.sin(2 * Math.PI * BREATHS_PER_MINUTE / 60 * t);
+            return { r: 150, g, b: 100 };
+        }
+    };
+}
+
+const FACE_BOX = { x: 100, y: 80, width: 120, height: 120 };
+
+test('pulse and breathing rates are recovered from a recorded video', async () => {
+    const video = new FakeVideo(40);
+    const results = await analyzeRecordedVideo(video, () => FACE_BOX, { fps: 15, sampler: syntheticSampler() });
+    assert.equal(results.length, 39);
+
+    // The pulse needs 12 s of signal, breathing 31 s
+    assert.equal(results[10].pulse, null);
+    assert.equal(results[20].respiration, null);
+    const last = results[results.length - 1];
+    assert.ok(Math.abs(last.pulse.rate - PULSE_BPM) <= 2, `pulse ${last.pulse.rate}`);
+    assert.ok(Math.abs(last.respiration.rate - BREATHS_PER_MINUTE) <= 1, `respiration ${last.respiration.rate}`);
+
+    const summary = summarizeVideoEstimates(results);
+    assert.ok(Math.abs(summary.pulse - PULSE_BPM) <= 2, `average pulse ${summary.pulse}`);
+    assert.equal(summary.pulseSeconds, 28);
+    assert.equal(summary.seconds, 39);
+});
+
+test('frames without a face are not sampled', async () => {
+    const video = new FakeVideo(20);
+    const sampled = [];
+    const sampler = {
+        sample(frame, box) {
+            sampled.push(box);
+            return syntheticSampler().sample(frame);
+        }
+    };
+    // The face is only found in the second half, as a recording's face boxes would say
+    const results = await analyzeRecordedVideo(video, frame => (frame.currentTime >= 10 ? FACE_BOX : null), {
+        fps: 15,
+        duration: 20,
+        sampler
+    });
+    assert.ok(sampled.every(box => box === FACE_BOX));
+    assert.equal(sampled.length, 150);
+    // Ten seconds of face is short of the pulse window
+    assert.deepEqual(summarizeVideoEstimates(results), { pulse: null, respiration: null, pulseSeconds: 0, seconds: 19 });
+});
@@ -0,0 +1,168 @@
+// Phase Shift 2025 - Session clock and scheduler tests
+//
+// Run with `node --test`. Time comes from ManualTimeSource, so every
+// boundary lands on an exact millisecond.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SessionClock, SessionScheduler, ManualTimeSource } = require('../session-clock.js');
+
+const SEQUENCE = [
+    { action: 'in', nostril: 'left' },
+    { action: 'out', nostril: 'right' }
+];
+
+// Two 4 s phases with 0.5 s transitions: a cycle takes 9 s
+function createScheduler(timeSource, sessionDuration = 20) {
+    const scheduler = new SessionScheduler({
+        timeSource,
+        getSequence: () => SEQUENCE,
+        getPhaseDuration: () => 4,
+        getSessionDuration: () => sessionDuration,
+        transitionDelay: 500
+    });
+    const events = [];
+    for (const type of ['phasestart', 'phaseend', 'cycle', 'end']) {
+        scheduler.on(type, detail => events.push({ type, at: timeSource.now(), ...detail }));
+    }
+    return { scheduler, events };
+}
+
+function summarize(events) {
+    return events.map(event => {
+        if (event.type === 'phasestart') return `${event.at} start ${event.index}${event.stale ? ' stale' : ''}`;
+        if (event.type === 'phaseend') return `${event.at} end ${event.index}`;
+        if (event.type === 'cycle') return `${event.at} cycle ${event.count}`;
+        return `${event.at} session end ${event.elapsed}`;
+    });
+}
+
+test('the clock leaves paused time out of elapsed', () => {
+    const time = new ManualTimeSource(1000);
+    const clock = new SessionClock(time);
+    assert.equal(clock.elapsed(), 0);
+
+    clock.start();
+    time.advance(1500);
+    clock.pause();
+    time.advance(5000);
+    assert.equal(clock.elapsed(), 1500);
+
+    // A second pause must not restart the paused interval
+    clock.pause();
+    time.advance(1000);
+    clock.resume();
+    time.advance(500);
+    assert.equal(clock.elapsed(), 2000);
+    assert.equal(clock.isPaused(), false);
+});
+
+test('the clock counts alreadyElapsed as practiced', () => {
+    const time = new ManualTimeSource();
+    const clock = new SessionClock(time);
+    clock.start(7000);
+    time.advance(1000);
+    assert.equal(clock.elapsed(), 8000);
+});
+
+test('the scheduler places phase, cycle and end boundaries on time', () => {
+    const time = new ManualTimeSource();
+    const { scheduler, events } = createScheduler(time);
+    scheduler.start();
+    time.advance(25000);
+
+    assert.deepEqual(summarize(events), [
+        '0 start 0',
+        '4000 end 0',
+        '4500 start 1',
+        '8500 end 1',
+        '8500 cycle 1',
+        '9000 start 0',
+        '13000 end 0',
+        '13500 start 1',
+        '17500 end 1',
+        '17500 cycle 2',
+        '18000 start 0',
+        '20000 session end 20'
+    ]);
+    assert.equal(scheduler.isRunning(), false);
+    assert.equal(scheduler.getElapsedSeconds(), 20);
+});
+
+test('pausing the scheduler holds every boundary back by the pause', () => {
+    const time = new ManualTimeSource();
+    const { scheduler, events } = createScheduler(time);
+    const ticks = [];
+    scheduler.on('tick', tick => ticks.push(tick));
+    scheduler.start();
+
+    time.advance(2000);
+    scheduler.pause();
+    time.advance(10000);
+    assert.deepEqual(summarize(events), ['0 start 0']);
+
+    ticks.length = 0;
+    scheduler.resume();
+    // The display gets a fresh tick even though nothing changed
+    assert.deepEqual(ticks, [{ remaining: 2, waiting: false, elapsed: 2 }]);
+
+    time.advance(2500);
+    assert.deepEqual(summarize(events), ['0 start 0', '14000 end 0', '14500 start 1']);
+    assert.equal(scheduler.getElapsedSeconds(), 4);
+});
+
+test('resync catches up on phases whose timers never fired', () => {
+    const time = new ManualTimeSource();
+    const { scheduler, events } = createScheduler(time);
+    scheduler.start();
+
+    // A throttled tab: time passes without any timer running
+    time.time = 10000;
+    scheduler.resync();
+
+    assert.deepEqual(summarize(events), [
+        '0 start 0',
+        '10000 end 0',
+        '10000 start 1 stale',
+        '10000 end 1',
+        '10000 cycle 1',
+        '10000 start 0'
+    ]);
+    // The current phase began where it was due, not when resync ran
+    assert.equal(scheduler.getCurrentPhase(), 0);
+    assert.equal(scheduler.getPhaseElapsed(), 1);
+
+    time.advance(3000);
+    assert.equal(summarize(events).at(-1), '13000 end 0');
+});
+
+test('resync does nothing while paused', () => {
+    const time = new ManualTimeSource();
+    const { scheduler, events } = createScheduler(time);
+    scheduler.start();
+    scheduler.pause();
+    time.time = 10000;
+    scheduler.resync();
+    assert.deepEqual(summarize(events), ['0 start 0']);
+});
+
+test('starting late emits the phases already over as stale', () => {
+    const time = new ManualTimeSource();
+    const { scheduler, events } = createScheduler(time);
+    scheduler.start(10000);
+
+    assert.deepEqual(summarize(events), [
+        '0 start 0 stale',
+        '0 end 0',
+        '0 start 1 stale',
+        '0 end 1',
+        '0 cycle 1',
+        '0 start 0'
+    ]);
+    assert.equal(scheduler.getElapsedSeconds(), 10);
+    assert.equal(scheduler.getPhaseElapsed(), 1);
+
+    time.advance(10000);
+    assert.deepEqual(summarize(events).slice(6), ['3000 end 0', '3500 start 1', '7500 end 1', '7500 cycle 2', '8000 start 0', '10000 session end 20']);
+});
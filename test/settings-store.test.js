@@ -0,0 +1,58 @@
+// Phase Shift 2025 - Saved settings tests
+//
+// Run with `node --test`. A reload is a new SettingsStore over the same
+// storage objects, which is all the browser keeps between page loads.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SettingsStore } = require('../settings-store.js');
+
+// The part of the Web Storage API the store uses
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+test('settings saved before a reload are there after it', () => {
+    const localStorage = new MemoryStorage();
+    new SettingsStore({ storage: localStorage, legacyStorage: new MemoryStorage() })
+        .save({ breathingPattern: 'box', breathDuration: 5, mirrorVideo: true });
+
+    // A closed tab or app starts with an empty sessionStorage
+    const reloaded = new SettingsStore({ storage: localStorage, legacyStorage: new MemoryStorage() });
+    assert.deepEqual(reloaded.load(), { breathingPattern: 'box', breathDuration: 5, mirrorVideo: true });
+});
+
+test('nothing saved loads as null', () => {
+    const store = new SettingsStore({ storage: new MemoryStorage(), legacyStorage: new MemoryStorage() });
+    assert.equal(store.load(), null);
+});
+
+test('settings from sessionStorage are moved over once', () => {
+    const localStorage = new MemoryStorage();
+    const sessionStorage = new MemoryStorage({ phaseShift2025Settings: JSON.stringify({ breathDuration: 6 }) });
+    const store = new SettingsStore({ storage: localStorage, legacyStorage: sessionStorage });
+
+    assert.deepEqual(store.load(), { breathDuration: 6 });
+    assert.equal(sessionStorage.getItem('phaseShift2025Settings'), null);
+    assert.equal(localStorage.getItem('phaseShift2025Settings'), JSON.stringify({ breathDuration: 6 }));
+
+    // Later saves win over anything left in sessionStorage by another tab
+    store.save({ breathDuration: 7 });
+    sessionStorage.setItem('phaseShift2025Settings', JSON.stringify({ breathDuration: 4 }));
+    assert.deepEqual(new SettingsStore({ storage: localStorage, legacyStorage: sessionStorage }).load(), { breathDuration: 7 });
+});
@@ -0,0 +1,59 @@
+// Phase Shift 2025 - Spoken guidance via the Speech Synthesis API
+
+class VoiceGuide {
+    constructor(synth = window.speechSynthesis) {
+        this.synth = synth || null;
+        this.language = DEFAULT_LANGUAGE;
+        this.voiceURI = '';
+        this.rate = 0.9;
+        this.pitch = 1;
+    }
+
+    isSupported() {
+        return this.synth !== null && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    // Installed voices matching the guide language, e.g. any "hi-*" voice for Hindi
+    getVoices(language = this.language) {
+        if (!this.isSupported()) return [];
+        const prefix = LANGUAGES[language].speechLang.split('-')[0].toLowerCase();
+        return this.synth.getVoices().filter(voice => voice.lang.toLowerCase().startsWith(prefix));
+    }
+
+    onVoicesChanged(callback) {
+        if (this.isSupported() && this.synth.addEventListener) {
+            this.synth.addEventListener('voiceschanged', callback);
+        }
+    }
+
+    speak(text, { interrupt = false } = {}) {
+        if (!this.isSupported()) return;
+
+        try {
+            if (interrupt) {
+                this.synth.cancel();
+            }
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = LANGUAGES[this.language].speechLang;
+            const voice = this.synth.getVoices().find(v => v.voiceURI === this.voiceURI);
+            if (voice) {
+                utterance.voice = voice;
+            }
+            utterance.rate = this.rate;
+            utterance.pitch = this.pitch;
+            this.synth.speak(utterance);
+        } catch (error) {
+            console.warn('Speech synthesis failed:', error);
+        }
+    }
+
+    isSpeaking() {
+        return this.isSupported() && (this.synth.speaking || this.synth.pending);
+    }
+
+    cancel() {
+        if (this.isSupported()) {
+            this.synth.cancel();
+        }
+    }
+}